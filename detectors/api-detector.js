@@ -1,36 +1,10 @@
-const { getFileAtRevision, getCurrentFileContent } = require("../utils/git");
+const { createSpecDetector, revisionReaders } = require("../utils/spec-detector");
 const { diffOpenAPISpecs } = require("../utils/openapi-diff");
 
-async function run(changedFiles) {
-  const diffs = [];
-
-  for (const file of changedFiles) {
-    console.log(`🔍 Processing API spec change: ${file}`);
-
-    try {
-      // Get old and new versions from git
-      const oldSpec = getFileAtRevision(file, 'HEAD~1');
-      const newSpec = getCurrentFileContent(file);
-
-      if (!oldSpec || !newSpec) {
-        console.warn(`Could not retrieve spec versions for ${file}, skipping...`);
-        continue;
-      }
-
-      const apiChanges = diffOpenAPISpecs(oldSpec, newSpec);
-      if (apiChanges.length > 0) {
-        console.log(`📊 Found ${apiChanges.length} changes in ${file}`);
-        diffs.push({ file, changes: apiChanges });
-      } else {
-        console.log(`📝 No significant changes detected in ${file}`);
-      }
-    } catch (error) {
-      console.error(`Error processing ${file}:`, error.message);
-      // Continue with other files even if one fails
-    }
-  }
-
-  return diffs;
-}
-
-module.exports = { run };
+module.exports = createSpecDetector({
+  label: 'API spec',
+  matches: file => /\.(ya?ml|json)$/i.test(file),
+  // Relative $refs are resolved against the same revision as the root spec
+  diff: (oldSpec, newSpec, { file, previousFile, base, head }) =>
+    diffOpenAPISpecs(oldSpec, newSpec, { file, previousFile, ...revisionReaders({ base, head }) })
+});
@@ -0,0 +1,10 @@
+const { createSpecDetector, revisionReaders } = require("../utils/spec-detector");
+const { diffAsyncAPIDocs } = require("../utils/asyncapi-diff");
+
+module.exports = createSpecDetector({
+  label: 'AsyncAPI document',
+  matches: file => /\.(ya?ml|json)$/i.test(file),
+  // Relative $refs are resolved against the same revision as the root document
+  diff: (oldDoc, newDoc, { file, previousFile, base, head }) =>
+    diffAsyncAPIDocs(oldDoc, newDoc, { file, previousFile, ...revisionReaders({ base, head }) })
+});
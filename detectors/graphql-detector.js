@@ -0,0 +1,9 @@
+const { createSpecDetector } = require("../utils/spec-detector");
+const { diffGraphQLSchemas } = require("../utils/graphql-diff");
+
+module.exports = createSpecDetector({
+  label: 'GraphQL schema',
+  // SDL, or introspection results saved as JSON
+  matches: file => /\.(graphqls?|gql|json)$/i.test(file),
+  diff: diffGraphQLSchemas
+});
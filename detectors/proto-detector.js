@@ -0,0 +1,8 @@
+const { createSpecDetector } = require("../utils/spec-detector");
+const { diffProtoFiles } = require("../utils/proto-diff");
+
+module.exports = createSpecDetector({
+  label: 'proto definition',
+  matches: file => /\.proto$/i.test(file),
+  diff: diffProtoFiles
+});
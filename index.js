@@ -3,7 +3,16 @@ const path = require('path');
 const { detectChanges } = require('./scripts/detect-changes');
 const suggestUpdates = require('./scripts/suggest-updates');
 const createDraftPR = require('./scripts/create-draft-pr');
-const { cloneTestRepo } = require('./utils/git');
+const writePatch = require('./scripts/write-patch');
+const verifyTests = require('./scripts/verify-tests');
+const { cloneTestRepo, resolveCommitRange } = require('./utils/git');
+const { classifyChanges, applySeverityThreshold, countBySeverity } = require('./utils/change-severity');
+const { validateProvider } = require('./utils/llm-provider');
+const { validateLanguage } = require('./utils/language-profile');
+const { validateTokenBudget } = require('./utils/token-budget');
+const { validateRetries } = require('./utils/retry');
+const { validateUsageSettings } = require('./utils/model-usage');
+const { validateGeneration } = require('./utils/change-groups');
 
 async function loadConfig(configPath) {
   try {
@@ -33,11 +42,45 @@ function validateConfig(config) {
     process.exit(1);
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY environment variable is required');
+  const providerErrors = validateProvider(config);
+  if (providerErrors.length > 0) {
+    providerErrors.forEach(error => console.error(error));
     process.exit(1);
   }
 
+  const languageErrors = validateLanguage(config);
+  if (languageErrors.length > 0) {
+    languageErrors.forEach(error => console.error(error));
+    process.exit(1);
+  }
+
+  const budgetErrors = validateTokenBudget(config);
+  if (budgetErrors.length > 0) {
+    budgetErrors.forEach(error => console.error(error));
+    process.exit(1);
+  }
+
+  const generationErrors = validateGeneration(config);
+  if (generationErrors.length > 0) {
+    generationErrors.forEach(error => console.error(error));
+    process.exit(1);
+  }
+
+  const spendErrors = [...validateRetries(config), ...validateUsageSettings(config)];
+  if (spendErrors.length > 0) {
+    spendErrors.forEach(error => console.error(error));
+    process.exit(1);
+  }
+
+  // A dry run works on a local test repository and never touches a remote
+  if (config.dry_run) {
+    if (!config.test_repo.path || !fs.existsSync(config.test_repo.path)) {
+      console.error('test_repo_path must point to a local test repository in dry-run mode');
+      process.exit(1);
+    }
+    return;
+  }
+
   if (!process.env.TEST_REPO_PAT) {
     console.error('TEST_REPO_PAT environment variable is required for cross-repo operations');
     process.exit(1);
@@ -49,6 +92,18 @@ function validateConfig(config) {
   }
 }
 
+// Model usage in the GitHub Actions job summary, also when no pull request is opened
+function writeRunSummary(suggestions) {
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    return;
+  }
+  try {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `## 🤖 AI-Assisted Test Updater\n${createDraftPR.describeModelUsage(suggestions)}\n`);
+  } catch (error) {
+    console.warn('Could not write the job summary:', error.message);
+  }
+}
+
 (async () => {
   try {
     console.log('🚀 AI-Assisted Test Updater starting...');
@@ -58,16 +113,37 @@ function validateConfig(config) {
     
     config.test_repo = {
       branch: process.env.INPUT_TEST_REPO_BRANCH || 'main',
-      url: process.env.INPUT_TEST_REPO_URL
+      url: process.env.INPUT_TEST_REPO_URL,
+      path: process.env.INPUT_TEST_REPO_PATH || config.test_repo_path
     };
+
+    if (process.env.INPUT_DRY_RUN) {
+      config.dry_run = process.env.INPUT_DRY_RUN === 'true';
+    }
+
+    if (process.env.INPUT_OUTPUT_DIR) {
+      config.output_dir = process.env.INPUT_OUTPUT_DIR;
+    }
     
     if (process.env.INPUT_OPENAI_MODEL) {
       config.model = process.env.INPUT_OPENAI_MODEL;
     }
+
+    if (process.env.INPUT_PROVIDER) {
+      config.provider = process.env.INPUT_PROVIDER;
+    }
     
     validateConfig(config);
     console.log('✅ Configuration loaded and validated');
-    console.log(`📊 Target test repo: ${config.test_repo.url}`);
+    if (config.dry_run) {
+      console.log(`🧪 Dry run: using local test repo ${config.test_repo.path}, writing results to ${config.output_dir || 'test-updater-output'}`);
+    } else {
+      console.log(`📊 Target test repo: ${config.test_repo.url}`);
+    }
+
+    // Resolve which commits to compare
+    config.commit_range = resolveCommitRange(config);
+    console.log(`🔀 Comparing ${config.commit_range.base}..${config.commit_range.head || 'HEAD'}`);
 
     // Detect relevant file changes in source repo
     const changedFiles = await detectChanges(config);
@@ -78,7 +154,8 @@ function validateConfig(config) {
     }
 
     // Load the appropriate detector
-    const detectorPath = `./detectors/${config.detector}-detector.js`;
+    // Resolved next to this file, so the updater can run from inside the source repository
+    const detectorPath = path.join(__dirname, 'detectors', `${config.detector}-detector.js`);
     if (!fs.existsSync(detectorPath)) {
       console.error(`Detector not found: ${detectorPath}`);
       process.exit(1);
@@ -96,24 +173,77 @@ function validateConfig(config) {
 
     console.log(`📊 Found ${diffs.length} API specification changes`);
 
-    // Clone test repository to analyze existing tests
-    console.log('📥 Cloning test repository...');
-    const testRepoPath = await cloneTestRepo(config.test_repo);
+    // Classify changes and apply the configured severity threshold
+    const classifiedDiffs = diffs.map(diff => ({ ...diff, changes: classifyChanges(diff.changes) }));
+    const severityCounts = countBySeverity(classifiedDiffs.flatMap(diff => diff.changes));
+    console.log(`⚖️ Severity: ${severityCounts.breaking} breaking, ${severityCounts.potentially_breaking} potentially breaking, ${severityCounts.non_breaking} non-breaking`);
+
+    const { generate, report, skipped } = applySeverityThreshold(classifiedDiffs, config);
+    if (skipped > 0) {
+      console.log(`⏭️ Skipping ${skipped} changes below the severity threshold`);
+    }
+    report.forEach(diff => {
+      diff.changes.forEach(change => {
+        console.log(`📋 Reported without tests (${change.severity}): ${diff.file} ${change.type} ${change.path || ''}`);
+      });
+    });
+
+    if (generate.length === 0) {
+      console.log("📝 No changes meet the severity threshold for test generation. Exiting.");
+      process.exit(0);
+    }
+
+    // Clone test repository to analyze existing tests (a dry run reads the local one)
+    let testRepoPath;
+    if (config.dry_run) {
+      testRepoPath = path.resolve(config.test_repo.path);
+    } else {
+      console.log('📥 Cloning test repository...');
+      testRepoPath = await cloneTestRepo(config.test_repo);
+    }
 
     // Generate AI suggestions with test repo context
     console.log('🤖 Generating AI suggestions for test updates...');
-    const suggestions = await suggestUpdates(diffs, config, testRepoPath);
+    const suggestions = await suggestUpdates(generate, config, testRepoPath);
 
     if (suggestions.length === 0) {
       console.log("📝 No test update suggestions generated. Exiting.");
       process.exit(0);
     }
 
+    writeRunSummary(suggestions);
+
+    // A pull request with nothing but error messages helps nobody
+    const operations = suggestions.flatMap(s => s.operations);
+    const generatedNothing = suggestions.every(s => s.generatedTests.length === 0)
+      && operations.every(o => o.status === 'failed' || o.status === 'skipped');
+    if (generatedNothing && operations.some(o => o.status === 'failed')) {
+      console.error('❌ No tests were generated because the model requests failed. Re-run the job to try again');
+      process.exit(1);
+    }
+    if (generatedNothing) {
+      console.log('⏸️ The spend limit was reached before any tests were generated. Exiting.');
+      process.exit(0);
+    }
+
     console.log(`💡 Generated ${suggestions.length} test update suggestions`);
 
+    // Optionally run the generated tests against a mock server built from the new spec
+    if (config.verification) {
+      console.log('🧪 Verifying generated tests against a local mock server...');
+      await verifyTests(suggestions, config, testRepoPath);
+    }
+
+    if (config.dry_run) {
+      console.log('📝 Writing patch and summary...');
+      await writePatch(suggestions, config, testRepoPath, report);
+      console.log('🎉 AI-Assisted Test Updater dry run completed successfully!');
+      return;
+    }
+
     // Create draft PR in test repository
     console.log('📋 Creating draft pull request in test repository...');
-    await createDraftPR(suggestions, config, testRepoPath);
+    await createDraftPR(suggestions, config, testRepoPath, report);
     console.log('✅ Draft pull request created successfully');
 
     console.log('🎉 AI-Assisted Test Updater completed successfully!');
@@ -0,0 +1,114 @@
+const { spawnSync } = require("child_process");
+const { splitBlocks, mergeBlocks } = require("../utils/block-merge");
+
+const SYNTAX = {
+  indent: '',
+  isPrefix: line => line.startsWith('//'),
+  isComment: line => line.startsWith('//')
+};
+let warnedMissingGofmt = false;
+
+/**
+ * Go tests with the standard `testing` package. Syntax is checked with `gofmt -e`
+ * (skipped with a warning when Go is not installed).
+ */
+module.exports = {
+  name: 'go',
+  label: 'Go (testing)',
+  extensions: ['.go'],
+  fences: ['go', 'golang'],
+  commentPrefix: '//',
+  conventions: 'Test files are named `*_test.go` and live next to the code they test, in the same package (or its `_test` package). Tests are `func TestXxx(t *testing.T)` functions; table-driven tests with `t.Run` are preferred. Use `net/http` (or the helpers already used in the suite) for requests.',
+  updateInstructions: 'a complete Go file with the `package` clause, the imports it needs and only the functions to add or change: a top-level function or type with the same name as an existing one replaces it, others are added at the end of the file',
+
+  detectFramework(content) {
+    if (/func Test\w*\(t \*testing\.T\)/.test(content)) return 'Go testing';
+    return null;
+  },
+
+  checkSyntax(content) {
+    const result = spawnSync('gofmt', ['-e'], { input: content, encoding: 'utf8' });
+    if (result.error) {
+      if (!warnedMissingGofmt) {
+        console.warn('gofmt is not available, skipping syntax checks of generated Go tests');
+        warnedMissingGofmt = true;
+      }
+      return [];
+    }
+    // "<standard input>:3:5: expected ')', found '{'"
+    return result.stderr.split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => line.replace(/^<standard input>:(\d+):(\d+): /, '$1:$2 '));
+  },
+
+  merge(existingContent, code) {
+    const generated = code.split('\n');
+    const { specs, body } = splitImports(generated.filter(line => !/^package\s/.test(line)));
+    const lines = mergeImports(existingContent.split('\n'), specs);
+
+    const blocks = splitBlocks(body, SYNTAX).map(block => body.slice(block.start, block.end));
+    return mergeBlocks(lines, { start: 0, end: lines.length, indent: '' }, blocks, {
+      syntax: SYNTAX,
+      blockName,
+      separator: 1
+    }).join('\n');
+  }
+};
+
+// Import specs (`"net/http"`, `alias "pkg"`) of the import declarations, and the rest of the code
+function splitImports(lines) {
+  const specs = [];
+  const body = [];
+  for (let i = 0; i < lines.length; i++) {
+    const single = lines[i].match(/^import\s+([^(].*)$/);
+    if (single) {
+      specs.push(single[1].trim());
+    } else if (/^import\s*\($/.test(lines[i].trim())) {
+      while (++i < lines.length && lines[i].trim() !== ')') {
+        if (lines[i].trim() !== '') {
+          specs.push(lines[i].trim());
+        }
+      }
+    } else {
+      body.push(lines[i]);
+    }
+  }
+  return { specs, body };
+}
+
+// Adds import specs that are missing, to the existing import block when there is one
+function mergeImports(lines, specs) {
+  const existing = splitImports(lines).specs;
+  const missing = specs.filter(spec => !existing.includes(spec));
+  if (missing.length === 0) {
+    return lines;
+  }
+
+  const result = [...lines];
+  const blockStart = result.findIndex(line => /^import\s*\($/.test(line.trim()));
+  if (blockStart !== -1) {
+    const blockEnd = result.findIndex((line, index) => index > blockStart && line.trim() === ')');
+    result.splice(blockEnd, 0, ...missing.map(spec => `\t${spec}`));
+    return result;
+  }
+
+  const lastImport = result.findLastIndex(line => /^import\s/.test(line));
+  if (lastImport !== -1) {
+    result.splice(lastImport + 1, 0, ...missing.map(spec => `import ${spec}`));
+    return result;
+  }
+
+  const packageLine = result.findIndex(line => /^package\s/.test(line));
+  result.splice(packageLine + 1, 0, '', 'import (', ...missing.map(spec => `\t${spec}`), ')');
+  return result;
+}
+
+function blockName(lines) {
+  const declaration = lines.find(line => !SYNTAX.isPrefix(line.trim()));
+  const match = declaration && declaration.match(/^func\s+(?:\(([^)]*)\)\s*)?(\w+)|^(?:type|var|const)\s+(\w+)/);
+  if (!match) {
+    return null;
+  }
+  // Methods are named after their receiver type too
+  return match[3] || (match[1] ? `${match[1].trim().split(/\s+/).pop().replace('*', '')}.${match[2]}` : match[2]);
+}
@@ -0,0 +1,145 @@
+const { splitBlocks, mergeBlocks, reindentLines, leadingIndent } = require("../utils/block-merge");
+
+const CLASS_DECLARATION = /^(?:(?:public|protected|private|abstract|final|static)\s+)*(?:class|interface|record|enum)\s+\w+/;
+const SYNTAX = {
+  isPrefix: line => line.startsWith('@') || isComment(line),
+  isComment
+};
+
+/**
+ * Java tests with JUnit 5 and RestAssured. Syntax is checked with java-parser; updates
+ * are merged into the body of the test class.
+ */
+module.exports = {
+  name: 'java',
+  label: 'Java (JUnit/RestAssured)',
+  extensions: ['.java'],
+  fences: ['java'],
+  commentPrefix: '//',
+  conventions: 'Test classes live under `src/test/java` in the package of the code they test, are named `*Test.java` (or `*IT.java` for integration tests) and contain one public class named after the file. Tests are JUnit 5 `@Test` methods; HTTP calls use RestAssured `given()/when()/then()` with static imports.',
+  updateInstructions: 'the imports it needs and the test class with only the fields and methods to add or change: a field with the same name, or a method with the same name and parameter types, as an existing one replaces it, others are added at the end of the class',
+
+  detectFramework(content) {
+    if (content.includes('io.restassured')) return 'JUnit/RestAssured';
+    if (content.includes('@Test')) return 'JUnit';
+    return null;
+  },
+
+  checkSyntax(content) {
+    // Loaded on demand: only needed for Java test suites
+    const { parse } = require('java-parser');
+    try {
+      parse(content);
+      return [];
+    } catch (error) {
+      // "Sad sad panda, parsing errors detected in line: 3, column: 5!\nExpecting --> ';' <-- but found --> '}' <--!"
+      const [first, ...rest] = error.message.split('\n');
+      const position = first.match(/line: (\d+), column: (\d+)/);
+      const details = [rest.find(line => !line.startsWith('\t')), rest.find(line => line.startsWith('but found'))]
+        .filter(Boolean).join(' ');
+      return [position ? `${position[1]}:${position[2]} ${details || first}` : error.message];
+    }
+  },
+
+  merge(existingContent, code) {
+    const lines = mergeImports(existingContent.split('\n'), code.split('\n').filter(line => /^import\s/.test(line)));
+    const existingBody = classBody(lines);
+    if (!existingBody) {
+      return null;
+    }
+
+    // The model may send a whole class or just its members
+    const generated = code.split('\n').filter(line => !/^(import|package)\s/.test(line));
+    const generatedBody = classBody(generated) || { start: 0, end: generated.length };
+    const members = generated.slice(generatedBody.start, generatedBody.end);
+    const memberIndent = indentOf(members) || '';
+    const targetIndent = indentOf(lines.slice(existingBody.start, existingBody.end)) || `${leadingIndent(lines[existingBody.start - 1])}    `;
+
+    const blocks = splitBlocks(members, { ...SYNTAX, indent: memberIndent })
+      .map(block => reindentLines(members.slice(block.start, block.end), memberIndent, targetIndent));
+    return mergeBlocks(lines, { ...existingBody, indent: targetIndent }, blocks, {
+      syntax: SYNTAX,
+      blockName,
+      separator: 1
+    }).join('\n');
+  }
+};
+
+function isComment(line) {
+  return line.startsWith('//') || line.startsWith('/*') || line.startsWith('*');
+}
+
+// Adds import lines that are missing after the last import (or the package declaration)
+function mergeImports(lines, imports) {
+  const missing = imports.filter(line => !lines.some(existing => existing.trim() === line.trim()));
+  if (missing.length === 0) {
+    return lines;
+  }
+  const result = [...lines];
+  const lastImport = result.findLastIndex(line => /^import\s/.test(line));
+  if (lastImport !== -1) {
+    result.splice(lastImport + 1, 0, ...missing);
+  } else {
+    const packageLine = result.findIndex(line => /^package\s/.test(line));
+    result.splice(packageLine + 1, 0, ...(packageLine !== -1 ? [''] : []), ...missing, ...(packageLine === -1 ? [''] : []));
+  }
+  return result;
+}
+
+// Lines between the first top-level class declaration's opening brace and its closing brace
+function classBody(lines) {
+  const declaration = lines.findIndex(line => CLASS_DECLARATION.test(line));
+  if (declaration === -1) {
+    return null;
+  }
+  const open = lines.findIndex((line, index) => index >= declaration && line.includes('{'));
+  const close = lines.findLastIndex(line => line.trim() === '}' && leadingIndent(line) === leadingIndent(lines[declaration]));
+  if (open === -1 || close <= open) {
+    return null;
+  }
+  return { start: open + 1, end: close };
+}
+
+function indentOf(lines) {
+  const first = lines.find(line => line.trim() !== '');
+  return first === undefined ? null : leadingIndent(first);
+}
+
+// Fields are named by the field (even when initialized with a call, `spec = given()...`),
+// methods by their name and parameter types, so overloads are told apart
+function blockName(lines) {
+  const start = lines.findIndex(line => !SYNTAX.isPrefix(line.trim()));
+  if (start === -1) {
+    return null;
+  }
+  const declaration = lines.slice(start).join('\n');
+  const field = declaration.match(/^[^(]*?(\w+)\s*(?:=(?!=)|;)/);
+  if (field) {
+    return field[1];
+  }
+  const method = declaration.match(/(\w+)\s*\(/);
+  return method ? `${method[1]}(${parameterTypes(declaration.slice(method.index + method[0].length)).join(',')})` : null;
+}
+
+// Types of the parameters in a parameter list, from the text after its opening parenthesis
+function parameterTypes(text) {
+  const parameters = [''];
+  let depth = 0;
+  for (const char of text) {
+    if (char === ')' && depth === 0) {
+      break;
+    }
+    if (char === '(' || char === '<') depth++;
+    if (char === ')' || char === '>') depth--;
+    if (char === ',' && depth === 0) {
+      parameters.push('');
+    } else {
+      parameters[parameters.length - 1] += char;
+    }
+  }
+  return parameters
+    .map(parameter => parameter.replace(/@[\w.]+(?:\([^)]*\))?/g, '').replace(/\bfinal\b/g, '').trim())
+    .filter(Boolean)
+    // Drop the parameter name; what is left is the type
+    .map(parameter => parameter.replace(/\s*\w+$/, '').replace(/\s+/g, ''));
+}
@@ -0,0 +1,46 @@
+const path = require("path");
+
+/**
+ * JavaScript/TypeScript tests (Jest, Mocha, Vitest, Jasmine). Syntax is checked with the
+ * TypeScript parser and updates are merged into `describe` blocks (see utils/test-merge).
+ */
+module.exports = {
+  name: 'javascript',
+  label: 'JavaScript/TypeScript',
+  extensions: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'],
+  fences: ['javascript', 'js', 'typescript', 'ts', 'jsx', 'tsx'],
+  commentPrefix: '//',
+  conventions: 'Test files are named like the existing ones (e.g. `*.test.js`, `*.spec.ts`), with tests in `describe`/`it` (or `test`) blocks.',
+  updateInstructions: 'only the imports and tests to add or change, nested in the same `describe` blocks as in the existing file: a test with the same name as an existing one replaces it, other tests are added to the matching `describe`',
+
+  detectFramework(content) {
+    if (content.includes('describe(') && content.includes('it(')) return 'Jest/Mocha';
+    if (content.includes('test(')) return 'Jest';
+    return null;
+  },
+
+  checkSyntax(content, filePath) {
+    // Loaded on demand: the TypeScript compiler is large and only needed when tests are generated
+    const ts = require('typescript');
+    // Transpiling reports syntax errors only, no type checking
+    const { diagnostics } = ts.transpileModule(content, {
+      fileName: path.basename(filePath),
+      reportDiagnostics: true,
+      compilerOptions: { jsx: ts.JsxEmit.Preserve, allowJs: true }
+    });
+
+    return (diagnostics || []).map(diagnostic => {
+      const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ');
+      if (!diagnostic.file || diagnostic.start === undefined) {
+        return message;
+      }
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+      return `${line + 1}:${character + 1} ${message}`;
+    });
+  },
+
+  merge(existingContent, code, filePath) {
+    // Required here: utils/test-merge loads the profiles itself
+    return require("../utils/test-merge").mergeScript(existingContent, code, filePath);
+  }
+};
@@ -0,0 +1,118 @@
+const { spawnSync } = require("child_process");
+const { splitBlocks, mergeBlocks } = require("../utils/block-merge");
+
+// Prints "line:column message" for the first syntax error, nothing when the code parses
+const CHECK_SCRIPT = `
+import ast, sys
+try:
+    ast.parse(sys.stdin.read())
+except SyntaxError as e:
+    print(f"{e.lineno}:{e.offset} {e.msg}")
+`;
+
+const SYNTAX = {
+  indent: '',
+  isPrefix: line => line.startsWith('@') || line.startsWith('#'),
+  isComment: line => line.startsWith('#')
+};
+let warnedMissingPython = false;
+
+/**
+ * Python tests with pytest. Syntax is checked with Python's own parser (`python3`, skipped
+ * with a warning when it is not installed).
+ */
+module.exports = {
+  name: 'python',
+  label: 'Python (pytest)',
+  extensions: ['.py'],
+  fences: ['python', 'py'],
+  commentPrefix: '#',
+  conventions: 'Test files are named `test_*.py` (or `*_test.py`) and contain plain `test_*` functions using pytest fixtures and `assert`. Shared fixtures belong in `conftest.py`.',
+  updateInstructions: 'only the imports, fixtures and test functions to add or change: a top-level function or class with the same name as an existing one replaces it, others are added at the end of the file',
+
+  detectFramework(content) {
+    if (content.includes('def test_')) return 'pytest';
+    if (content.includes('unittest.TestCase')) return 'unittest';
+    return null;
+  },
+
+  checkSyntax(content) {
+    const result = spawnSync('python3', ['-c', CHECK_SCRIPT], { input: content, encoding: 'utf8' });
+    if (result.error) {
+      if (!warnedMissingPython) {
+        console.warn('python3 is not available, skipping syntax checks of generated Python tests');
+        warnedMissingPython = true;
+      }
+      return [];
+    }
+    return result.stdout.split('\n').filter(line => line.trim() !== '');
+  },
+
+  merge(existingContent, code) {
+    const lines = existingContent.split('\n');
+    const { imports, body } = splitImports(code.split('\n'));
+
+    // Missing imports go after the last top-level import; names are added to an existing `from x import a`
+    const missing = [];
+    for (const line of imports) {
+      if (lines.some(l => l.trim() === line.trim())) {
+        continue;
+      }
+      const from = line.match(/^from\s+(\S+)\s+import\s+[^(]+$/);
+      const existingFrom = from ? lines.findIndex(l => new RegExp(`^from\\s+${escapeRegExp(from[1])}\\s+import\\s+[^(]+$`).test(l)) : -1;
+      if (existingFrom === -1) {
+        missing.push(line);
+        continue;
+      }
+      const names = importedNames(lines[existingFrom]);
+      const added = importedNames(line).filter(name => !names.includes(name));
+      if (added.length > 0) {
+        lines[existingFrom] = `${lines[existingFrom].trimEnd()}, ${added.join(', ')}`;
+      }
+    }
+    if (missing.length > 0) {
+      const lastImport = lines.findLastIndex(line => /^(import|from)\s/.test(line));
+      lines.splice(lastImport + 1, 0, ...missing, ...(lastImport === -1 ? [''] : []));
+    }
+
+    const blocks = splitBlocks(body, SYNTAX).map(block => body.slice(block.start, block.end));
+    return mergeBlocks(lines, { start: 0, end: lines.length, indent: '' }, blocks, {
+      syntax: SYNTAX,
+      blockName,
+      separator: 2
+    }).join('\n');
+  }
+};
+
+// Top-level import statements (including parenthesized multi-line ones) and the rest of the code
+function splitImports(lines) {
+  const imports = [];
+  const body = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!/^(import|from)\s/.test(lines[i])) {
+      body.push(lines[i]);
+      continue;
+    }
+    let statement = lines[i];
+    // Join `from x import (\n a,\n b\n)` into a single line
+    while (statement.includes('(') && !statement.includes(')') && i + 1 < lines.length) {
+      statement += ` ${lines[++i].trim()}`;
+    }
+    imports.push(statement.replace(/\(\s*([^)]*?),?\s*\)/, '$1'));
+  }
+  return { imports, body };
+}
+
+function importedNames(line) {
+  return line.replace(/^from\s+\S+\s+import\s+/, '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+function blockName(lines) {
+  const declaration = lines.find(line => !SYNTAX.isPrefix(line.trim()));
+  const match = declaration && declaration.match(/^(?:async\s+def|def|class)\s+(\w+)|^(\w+)\s*(?::[^=]*)?=/);
+  return match ? match[1] || match[2] : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
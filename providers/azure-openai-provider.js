@@ -0,0 +1,41 @@
+const { AzureOpenAI } = require("openai");
+const { chatCompletion } = require("../utils/llm-provider");
+
+const DEFAULT_API_VERSION = "2024-10-21";
+
+function validate(config = {}) {
+  const options = config.provider_options || {};
+  const errors = [];
+  if (!process.env.AZURE_OPENAI_API_KEY) {
+    errors.push('AZURE_OPENAI_API_KEY environment variable is required');
+  }
+  if (!options.endpoint && !process.env.AZURE_OPENAI_ENDPOINT) {
+    errors.push('provider_options.endpoint or the AZURE_OPENAI_ENDPOINT environment variable is required');
+  }
+  if (!options.deployment && !config.model) {
+    errors.push('provider_options.deployment (or model) is required');
+  }
+  return errors;
+}
+
+function create(config = {}) {
+  const options = config.provider_options || {};
+  // Azure routes requests by deployment name; the model field is informational
+  const deployment = options.deployment || config.model;
+  const client = new AzureOpenAI({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: options.endpoint || process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: options.api_version || process.env.OPENAI_API_VERSION || DEFAULT_API_VERSION,
+    deployment,
+    // Failed requests are retried by loadProvider (see utils/retry), not by the client
+    maxRetries: 0
+  });
+
+  return {
+    name: 'azure-openai',
+    model: deployment,
+    complete: chatCompletion(client, deployment, config)
+  };
+}
+
+module.exports = { validate, create };
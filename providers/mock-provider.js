@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Replays recorded responses from `provider_options.fixtures_dir`, for offline runs and tests.
+ *
+ * Each response is stored as `<key>.md`, where the key is derived from the prompt messages
+ * (see fixtureKey), so the same prompt always gets the same response. Prompts without a
+ * recording get `default.md` when present. Responses can be recorded from a real provider
+ * with the `record_fixtures` setting.
+ */
+function validate(config = {}) {
+  const options = config.provider_options || {};
+  if (!options.fixtures_dir) {
+    return ['provider_options.fixtures_dir is required for the mock provider'];
+  }
+  if (!fs.existsSync(options.fixtures_dir)) {
+    return [`Fixtures directory not found: ${options.fixtures_dir}`];
+  }
+  return [];
+}
+
+function create(config = {}) {
+  const fixturesDir = path.resolve(process.cwd(), (config.provider_options || {}).fixtures_dir);
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    async complete({ messages }) {
+      const key = fixtureKey(messages);
+      for (const name of [`${key}.md`, 'default.md']) {
+        const fixturePath = path.join(fixturesDir, name);
+        if (fs.existsSync(fixturePath)) {
+          console.log(`🎞️ Replaying recorded response ${name}`);
+          // Recordings have no usage; it is counted with the tokenizer instead
+          return { content: fs.readFileSync(fixturePath, 'utf8'), usage: null };
+        }
+      }
+      throw new Error(`No recorded response for prompt ${key} in ${fixturesDir}`);
+    }
+  };
+}
+
+/**
+ * @param {Object[]} messages - Chat messages sent to the provider
+ * @returns {string} Stable key of the prompt (SHA-256 of the messages, first 16 hex characters)
+ */
+function fixtureKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Store a response so the mock provider can replay it
+ * @param {string} fixturesDir - Directory to write to
+ * @param {Object[]} messages - Chat messages the response was generated for
+ * @param {string} content - Response content
+ */
+function saveFixture(fixturesDir, messages, content) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, `${fixtureKey(messages)}.md`), content);
+}
+
+module.exports = { validate, create, fixtureKey, saveFixture };
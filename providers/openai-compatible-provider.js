@@ -0,0 +1,34 @@
+const OpenAI = require("openai");
+const { chatCompletion } = require("../utils/llm-provider");
+
+// Local servers such as Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+function validate(config = {}) {
+  const options = config.provider_options || {};
+  const errors = [];
+  if (!options.base_url) {
+    errors.push('provider_options.base_url is required, e.g. "http://localhost:11434/v1"');
+  }
+  if (!config.model) {
+    errors.push('model is required, e.g. "llama3.1"');
+  }
+  return errors;
+}
+
+function create(config = {}) {
+  const options = config.provider_options || {};
+  const client = new OpenAI({
+    baseURL: options.base_url,
+    // Most local servers ignore the key, but the client refuses to start without one
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    // Failed requests are retried by loadProvider (see utils/retry), not by the client
+    maxRetries: 0
+  });
+
+  return {
+    name: 'openai-compatible',
+    model: config.model,
+    complete: chatCompletion(client, config.model, config)
+  };
+}
+
+module.exports = { validate, create };
@@ -0,0 +1,23 @@
+const OpenAI = require("openai");
+const { chatCompletion } = require("../utils/llm-provider");
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+function validate() {
+  return process.env.OPENAI_API_KEY ? [] : ['OPENAI_API_KEY environment variable is required'];
+}
+
+function create(config = {}) {
+  const options = config.provider_options || {};
+  // Failed requests are retried by loadProvider (see utils/retry), not by the client
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0, ...(options.base_url && { baseURL: options.base_url }) });
+  const model = config.model || DEFAULT_MODEL;
+
+  return {
+    name: 'openai',
+    model,
+    complete: chatCompletion(client, model, config)
+  };
+}
+
+module.exports = { validate, create };
@@ -1,10 +1,27 @@
-const { execSync } = require("child_process");
+const { execFileSync } = require("child_process");
 const { Octokit } = require("@octokit/rest");
 const fs = require("fs");
 const path = require("path");
 const { setupGitConfig } = require("../utils/git");
-
-async function createDraftPR(suggestions, config, testRepoPath) {
+const { highestSeverity, countBySeverity } = require("../utils/change-severity");
+const { renderTestChange } = require("../utils/test-merge");
+const { emptyUsage, addUsage, formatUsage } = require("../utils/model-usage");
+
+const SEVERITY_LABELS = {
+  breaking: '🔴 Breaking',
+  potentially_breaking: '🟠 Potentially breaking',
+  non_breaking: '🟢 Non-breaking'
+};
+const GROUP_STATUS_LABELS = {
+  generated: '✅ Generated',
+  partial: '⚠️ Partly generated',
+  rejected: '🚫 Excluded',
+  no_tests: '➖ No test changes',
+  failed: '❌ Failed',
+  skipped: '⏸️ Skipped (spend limit)'
+};
+
+async function createDraftPR(suggestions, config, testRepoPath, reportedDiffs = []) {
   // Create a more descriptive branch name
   const date = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
   const timestamp = Date.now().toString().slice(-6); // Last 6 digits for uniqueness
@@ -25,7 +42,7 @@ async function createDraftPR(suggestions, config, testRepoPath) {
     
     // Create new branch in test repository
     console.log(`Creating branch: ${branchName} in test repository`);
-    execSync(`git checkout -b ${branchName}`, { 
+    execFileSync('git', ['checkout', '-b', branchName], {
       cwd: testRepoPath,
       stdio: 'pipe' 
     });
@@ -64,15 +81,14 @@ async function createDraftPR(suggestions, config, testRepoPath) {
     if (modifiedFiles.length === 0) {
       console.log('⚠️ No test files were modified. Creating summary only.');
       // Create a summary file if no actual changes were made
-      const summaryPath = path.join(testRepoPath, 'AI_TEST_SUGGESTIONS.md');
-      const summaryContent = suggestions.map(s => `# ${s.file}\n\n${s.aiOutput}`).join('\n\n---\n\n');
-      fs.writeFileSync(summaryPath, summaryContent);
-      modifiedFiles.push('AI_TEST_SUGGESTIONS.md');
+      const summary = renderSuggestionsFile(suggestions);
+      fs.writeFileSync(path.join(testRepoPath, summary.filePath), summary.content);
+      modifiedFiles.push(summary.filePath);
     }
 
     // Stage all modified files
     modifiedFiles.forEach(file => {
-      execSync(`git add "${file}"`, { 
+      execFileSync('git', ['add', '--', file], {
         cwd: testRepoPath,
         stdio: 'pipe' 
       });
@@ -87,30 +103,31 @@ async function createDraftPR(suggestions, config, testRepoPath) {
 - Based on API changes in: ${suggestions.map(s => s.file).join(', ')}
 
 🔍 API Changes Detected:
-${suggestions.map(s => s.changes.map(c => `- ${c.type}: ${c.path || c.method || 'general'}`).join('\n')).join('\n')}
+${suggestions.map(s => s.changes.map(c => `- [${c.severity || 'unclassified'}] ${c.type}: ${c.path || c.method || 'general'}`).join('\n')).join('\n')}
 
 Generated automatically on ${new Date().toISOString()}`;
 
-    execSync(`git commit -m "${commitMessage}"`, { 
+    // Spec paths end up in the message, so it is passed as an argument rather than through a shell
+    execFileSync('git', ['commit', '-m', commitMessage], {
       cwd: testRepoPath,
       stdio: 'pipe' 
     });
     console.log('✅ Changes committed to test repository branch');
 
     // Push branch to test repo
-    execSync(`git remote set-url origin ${config.test_repo.url}`, { 
+    execFileSync('git', ['remote', 'set-url', 'origin', config.test_repo.url], {
       cwd: testRepoPath,
       stdio: 'pipe' 
     });
     
-    execSync(`git push origin ${branchName}`, { 
+    execFileSync('git', ['push', 'origin', branchName], {
       cwd: testRepoPath,
       stdio: 'pipe' 
     });
     console.log('✅ Branch pushed to test repository');
 
     // Create PR in test repository
-    await createGitHubPR(config, branchName, suggestions, { testsCreated, testsModified, modifiedFiles });
+    await createGitHubPR(config, branchName, suggestions, { testsCreated, testsModified, modifiedFiles }, reportedDiffs);
 
     // Cleanup: remove test repo clone
     try {
@@ -135,7 +152,7 @@ Generated automatically on ${new Date().toISOString()}`;
 }
 
 async function applyTestChanges(testFile) {
-  const { filePath, action, description, code, absolutePath } = testFile;
+  const { filePath, action, description, absolutePath } = testFile;
   
   console.log(`📝 ${action}: ${filePath} - ${description}`);
   
@@ -145,42 +162,44 @@ async function applyTestChanges(testFile) {
     fs.mkdirSync(dir, { recursive: true });
   }
   
+  const existingContent = fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null;
+  const content = renderTestChange(testFile, existingContent);
+  if (content === null) {
+    return;
+  }
+
+  fs.writeFileSync(absolutePath, content);
   if (action === 'create') {
-    // Create new test file
-    fs.writeFileSync(absolutePath, code);
     console.log(`✅ Created new test file: ${filePath}`);
-  } else if (action === 'update' || action === 'modify') {
-    // For updates, we'll append or replace content
-    // In a more sophisticated version, we could parse and merge intelligently
-    
-    if (fs.existsSync(absolutePath)) {
-      const existingContent = fs.readFileSync(absolutePath, 'utf8');
-      
-      // Simple strategy: append new tests to existing file
-      const updatedContent = `${existingContent}\n\n// === AI-Generated Test Updates ===\n// ${description}\n\n${code}`;
-      fs.writeFileSync(absolutePath, updatedContent);
-      console.log(`✅ Updated test file: ${filePath}`);
-    } else {
-      // File doesn't exist, create it
-      fs.writeFileSync(absolutePath, code);
-      console.log(`✅ Created test file (was marked as update): ${filePath}`);
-    }
+  } else if (existingContent !== null) {
+    console.log(`✅ Updated test file: ${filePath}`);
+  } else {
+    console.log(`✅ Created test file (was marked as update): ${filePath}`);
   }
 }
 
 async function createSummaryFile(suggestion, testRepoPath) {
-  const summaryDir = path.join(testRepoPath, 'ai-generated-tests');
-  if (!fs.existsSync(summaryDir)) {
-    fs.mkdirSync(summaryDir, { recursive: true });
+  const summary = renderSummaryFile(suggestion);
+  const summaryFile = path.join(testRepoPath, summary.filePath);
+  if (!fs.existsSync(path.dirname(summaryFile))) {
+    fs.mkdirSync(path.dirname(summaryFile), { recursive: true });
   }
   
-  const summaryFile = path.join(summaryDir, `summary-${path.basename(suggestion.file, path.extname(suggestion.file))}.md`);
+  fs.writeFileSync(summaryFile, summary.content);
+}
+
+/**
+ * @returns {{ filePath: string, content: string }} Per-spec summary file, relative to the test repository
+ */
+function renderSummaryFile(suggestion) {
+  const filePath = path.join('ai-generated-tests', `summary-${path.basename(suggestion.file, path.extname(suggestion.file))}.md`);
   const content = `# Test Updates for ${suggestion.file}
 
 ## 📊 Summary
 - **Source File**: \`${suggestion.file}\`
 - **Changes Detected**: ${suggestion.changes.length}
-- **Test Files Generated**: ${suggestion.generatedTests ? suggestion.generatedTests.length : 0}
+- **Highest Severity**: ${SEVERITY_LABELS[highestSeverity(suggestion.changes.map(c => c.severity))]}
+- **Test Files Generated**: ${suggestion.generatedTests ? suggestion.generatedTests.length : 0}${suggestion.usage ? `\n- **Model Usage**: ${formatUsage(suggestion.usage)}` : ''}
 
 ## 🔍 API Changes
 \`\`\`json
@@ -192,15 +211,69 @@ ${suggestion.generatedTests ? suggestion.generatedTests.map(t => `- **${t.action
 
 ## 📝 AI Analysis
 ${suggestion.aiOutput}
-
+${describeOperations(suggestion)}${describeOutputErrors(suggestion)}${describeRejectedTests(suggestion)}${describeVerification(suggestion)}
 ---
 *Generated by AI-Assisted Test Updater on ${new Date().toISOString()}*
 `;
-  
-  fs.writeFileSync(summaryFile, content);
+
+  return { filePath, content };
 }
 
-async function createGitHubPR(config, branchName, suggestions, stats) {
+function describeOperations(suggestion) {
+  if (!suggestion.operations || suggestion.operations.length < 2) {
+    return '';
+  }
+  return `
+## 🧩 Generation by Operation
+| Operation | Changes | Status | Test Files |
+|-----------|---------|--------|------------|
+${suggestion.operations.map(o => `| \`${o.operation}\` | ${o.changes} | ${GROUP_STATUS_LABELS[o.status]} | ${o.files.map(file => `\`${file}\``).join(', ') || '-'} |`).join('\n')}
+`;
+}
+
+function describeOutputErrors(suggestion) {
+  if (!suggestion.outputErrors || suggestion.outputErrors.length === 0) {
+    return '';
+  }
+  return `
+## ⚠️ Model Output Problems
+These parts of the model output were invalid and skipped:
+${suggestion.outputErrors.map(error => `- ${error}`).join('\n')}
+`;
+}
+
+function describeRejectedTests(suggestion) {
+  if (!suggestion.rejectedTests || suggestion.rejectedTests.length === 0) {
+    return '';
+  }
+  return `
+## 🚫 Excluded Files
+These generated files had syntax errors or undefined Cucumber steps that the model could not fix:
+${suggestion.rejectedTests.map(t => `- \`${t.filePath}\`\n${t.errors.map(error => `  - ${error}`).join('\n')}`).join('\n')}
+`;
+}
+
+function describeVerification(suggestion) {
+  if (!suggestion.verification || suggestion.verification.length === 0) {
+    return '';
+  }
+  return `
+## 🧪 Verification Against Mock Server
+${suggestion.verification.map(v => `### ${v.passed ? '✅' : '❌'} \`${v.filePath}\`${v.passed ? '' : `\n\`\`\`\n${v.output}\n\`\`\``}`).join('\n\n')}
+`;
+}
+
+/**
+ * @returns {{ filePath: string, content: string }} Raw AI output of all suggestions, used when no test file was changed
+ */
+function renderSuggestionsFile(suggestions) {
+  return {
+    filePath: 'AI_TEST_SUGGESTIONS.md',
+    content: suggestions.map(s => `# ${s.file}\n\n${s.aiOutput}`).join('\n\n---\n\n')
+  };
+}
+
+async function createGitHubPR(config, branchName, suggestions, stats, reportedDiffs = []) {
   if (!process.env.TEST_REPO_PAT) {
     console.warn('TEST_REPO_PAT not provided. Skipping GitHub PR creation.');
     return;
@@ -217,18 +290,97 @@ async function createGitHubPR(config, branchName, suggestions, stats) {
       baseUrl: baseUrl
     });
     
-    // Get source repository info from GitHub context
-    const sourceRepo = process.env.GITHUB_REPOSITORY || 'unknown/unknown';
-    const sourceCommit = process.env.GITHUB_SHA || 'unknown';
-    const sourceRef = process.env.GITHUB_REF || 'unknown';
-    
-    const changesSummary = suggestions.map(s => 
-      `- **${s.file}**: ${s.changes.length} change(s) - ${s.changes.map(c => c.type).join(', ')}`
-    ).join('\n');
+    const prBody = buildPRBody(suggestions, stats, reportedDiffs);
+
+    // Extract owner and repo from URL
+    const urlMatch = config.test_repo.url.match(/\/([^\/]+)\/([^\/]+?)(?:\.git)?$/);
+    if (!urlMatch) {
+      throw new Error(`Cannot parse owner/repo from URL: ${config.test_repo.url}`);
+    }
+    const [, owner, repo] = urlMatch;
+
+    const title = buildPRTitle(suggestions);
+
+    const result = await octokit.pulls.create({
+      owner: owner,
+      repo: repo,
+      title: title,
+      head: branchName,
+      base: config.test_repo.branch,
+      draft: false,  // Not a draft since it contains actual code
+      body: prBody
+    });
+
+    console.log(`✅ PR created in test repository: ${result.data.html_url}`);
     
-    const filesSummary = stats.modifiedFiles.map(file => `- \`${file}\``).join('\n');
+    // Add helpful labels
+    try {
+      await octokit.issues.addLabels({
+        owner: owner,
+        repo: repo,
+        issue_number: result.data.number,
+        labels: ['ai-generated', 'tests', 'automated', 'ready-for-review']
+      });
+    } catch (labelError) {
+      console.log('Note: Could not add labels to PR (labels may not exist in target repo)');
+    }
     
-    const prBody = `## 🤖 AI-Generated Test Code
+  } catch (error) {
+    console.error('Error creating GitHub PR:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Pull request description: changes, severities, generated files and review notes
+ * @param {Object[]} suggestions - Suggestions from suggestUpdates
+ * @param {Object} stats - { testsCreated, testsModified, modifiedFiles }
+ * @param {Object[]} [reportedDiffs] - Diffs below the generation threshold, listed without tests
+ * @returns {string} Markdown body
+ */
+function buildPRBody(suggestions, stats, reportedDiffs = []) {
+  // Get source repository info from GitHub context
+  const sourceRepo = process.env.GITHUB_REPOSITORY || 'unknown/unknown';
+  const sourceCommit = process.env.GITHUB_SHA || 'unknown';
+  const sourceRef = process.env.GITHUB_REF || 'unknown';
+  
+  const changesSummary = suggestions.map(s => 
+    `- **${s.file}**: ${s.changes.length} change(s)\n` +
+    s.changes.map(c => `  - ${describeChange(c)}`).join('\n')
+  ).join('\n');
+
+  const allChanges = suggestions.flatMap(s => s.changes);
+  const severityCounts = countBySeverity(allChanges);
+  const overallSeverity = highestSeverity(allChanges.map(c => c.severity));
+
+  const reportedChanges = reportedDiffs.flatMap(d => d.changes.map(c => ({ ...c, file: d.file })));
+  const reportedSummary = reportedChanges.length > 0
+    ? `\n### 📋 Reported Without Tests\nThese changes are below the configured \`severity_threshold\` for test generation:\n${reportedChanges.map(c => `- ${describeChange(c)} (${c.file})`).join('\n')}\n`
+    : '';
+
+  const operations = suggestions.flatMap(s => (s.operations || []).length > 1 ? s.operations.map(o => ({ ...o, file: s.file })) : []);
+  const operationsSummary = operations.length > 0
+    ? `\n### 🧩 Generation by Operation\nTests were generated separately for each changed operation:\n${operations.map(o => `- ${GROUP_STATUS_LABELS[o.status]}: \`${o.operation}\` (${o.file})${o.files.length > 0 ? ` → ${o.files.map(file => `\`${file}\``).join(', ')}` : ''}`).join('\n')}\n`
+    : '';
+
+  const problemSuggestions = suggestions.filter(s => s.outputErrors && s.outputErrors.length > 0);
+  const problemsSummary = problemSuggestions.length > 0
+    ? `\n### ⚠️ Model Output Problems\nParts of the model output were invalid and skipped; the affected specs may need tests written by hand:\n${problemSuggestions.map(s => `- **${s.file}**: ${s.outputErrors.join('; ')}`).join('\n')}\n`
+    : '';
+
+  const verifiedFiles = suggestions.flatMap(s => s.verification || []);
+  const verificationSummary = verifiedFiles.length > 0
+    ? `\n### 🧪 Verification Against Mock Server\n${verifiedFiles.filter(v => v.passed).length} of ${verifiedFiles.length} generated file(s) passed against a mock server built from the new spec:\n${verifiedFiles.map(v => `- ${v.passed ? '✅' : '❌'} \`${v.filePath}\``).join('\n')}\n`
+    : '';
+
+  const rejectedTests = suggestions.flatMap(s => (s.rejectedTests || []).map(t => ({ ...t, file: s.file })));
+  const rejectedSummary = rejectedTests.length > 0
+    ? `\n### 🚫 Excluded Files\nThese generated files still had syntax errors or undefined Cucumber steps after asking the model to fix them, so they were left out:\n${rejectedTests.map(t => `- \`${t.filePath}\` (for ${t.file}): ${t.errors.join('; ')}`).join('\n')}\n`
+    : '';
+  
+  const filesSummary = stats.modifiedFiles.map(file => `- \`${file}\``).join('\n');
+  
+  const prBody = `## 🤖 AI-Generated Test Code
 
 This PR contains **automatically generated test code** based on API specification changes detected in the source repository. The tests are ready for review and should be executable.
 
@@ -242,9 +394,15 @@ This PR contains **automatically generated test code** based on API specificatio
 - **Source Commit**: \`${sourceCommit.substring(0, 8)}\`
 - **Source Ref**: \`${sourceRef}\`
 
+### ⚖️ Change Severity
+**Overall: ${SEVERITY_LABELS[overallSeverity]}**
+- **${severityCounts.breaking}** breaking
+- **${severityCounts.potentially_breaking}** potentially breaking
+- **${severityCounts.non_breaking}** non-breaking
+
 ### 🔍 API Changes Detected
 ${changesSummary}
-
+${reportedSummary}${operationsSummary}${problemsSummary}${rejectedSummary}${verificationSummary}${describeModelUsage(suggestions)}
 ### 📂 Modified Files
 ${filesSummary}
 
@@ -287,55 +445,65 @@ This PR was automatically created by the [AI-Assisted Test Updater](https://gith
 ---
 *Generated automatically on ${new Date().toISOString()}*`;
 
-    // Extract owner and repo from URL
-    const urlMatch = config.test_repo.url.match(/\/([^\/]+)\/([^\/]+?)(?:\.git)?$/);
-    if (!urlMatch) {
-      throw new Error(`Cannot parse owner/repo from URL: ${config.test_repo.url}`);
-    }
-    const [, owner, repo] = urlMatch;
+  return prBody;
+}
 
-    // Create a more descriptive PR title
-    const apiFiles = suggestions.map(s => path.basename(s.file)).join(', ');
-    const changedEndpoints = suggestions.flatMap(s => 
-      s.changes.map(c => c.path)
-        .filter(Boolean)
-        .map(p => p.replace(/^\/paths/, '').replace(/\/(get|post|put|delete|patch)$/, ''))
-        .filter(p => p.length > 1)
-    );
-    
-    const uniqueEndpoints = [...new Set(changedEndpoints)].slice(0, 3); // Max 3 endpoints
-    const endpointsPart = uniqueEndpoints.length > 0 ? ` (${uniqueEndpoints.join(', ')})` : '';
-    
-    const title = `🤖 Update tests for ${apiFiles}${endpointsPart}`;
+/**
+ * @param {Object[]} suggestions - Suggestions from suggestUpdates
+ * @returns {string} Markdown section with the run's model requests, tokens and estimated cost,
+ *   empty when the suggestions carry no usage
+ */
+function describeModelUsage(suggestions) {
+  const counted = suggestions.filter(s => s.usage);
+  if (counted.length === 0) {
+    return '';
+  }
+  const total = counted.reduce((sum, s) => addUsage(sum, s.usage), emptyUsage());
+  const cached = counted.reduce((sum, s) => sum + (s.usage.cached || 0), 0);
+  const skipped = suggestions.flatMap(s => s.operations || []).filter(o => o.status === 'skipped').length;
+  const lines = [
+    `- **Total**: ${formatUsage(total)}`,
+    ...(counted.length > 1 ? counted.map(s => `- **${s.file}**: ${formatUsage(s.usage)}`) : []),
+    ...(cached > 0 ? [`- ♻️ ${cached} generation(s) reused from the response cache`] : []),
+    ...(suggestions.some(s => s.spendLimitReached)
+      ? [`- ⏸️ The \`spend_limit\` was reached and generation stopped early${skipped > 0 ? `: ${skipped} operation group(s) were skipped` : ''}`]
+      : [])
+  ];
+  return `\n### 💰 Model Usage\n${lines.join('\n')}\n`;
+}
 
-    const result = await octokit.pulls.create({
-      owner: owner,
-      repo: repo,
-      title: title,
-      head: branchName,
-      base: config.test_repo.branch,
-      draft: false,  // Not a draft since it contains actual code
-      body: prBody
-    });
+/**
+ * @param {Object[]} suggestions - Suggestions from suggestUpdates
+ * @returns {string} Pull request title with severity, spec files and a few changed endpoints
+ */
+function buildPRTitle(suggestions) {
+  const overallSeverity = highestSeverity(suggestions.flatMap(s => s.changes).map(c => c.severity));
+
+  // Create a more descriptive PR title
+  const apiFiles = suggestions.map(s => path.basename(s.file)).join(', ');
+  const changedEndpoints = suggestions.flatMap(s => 
+    s.changes.map(c => c.path)
+      .filter(Boolean)
+      .map(p => p.replace(/^\/paths/, '').replace(/\/(get|post|put|delete|patch)$/, ''))
+      .filter(p => p.length > 1)
+  );
+  
+  const uniqueEndpoints = [...new Set(changedEndpoints)].slice(0, 3); // Max 3 endpoints
+  const endpointsPart = uniqueEndpoints.length > 0 ? ` (${uniqueEndpoints.join(', ')})` : '';
+  
+  const severityPart = overallSeverity === 'non_breaking' ? '' : `[${overallSeverity.replace('_', ' ').toUpperCase()}] `;
+  return `🤖 ${severityPart}Update tests for ${apiFiles}${endpointsPart}`;
+}
 
-    console.log(`✅ PR created in test repository: ${result.data.html_url}`);
-    
-    // Add helpful labels
-    try {
-      await octokit.issues.addLabels({
-        owner: owner,
-        repo: repo,
-        issue_number: result.data.number,
-        labels: ['ai-generated', 'tests', 'automated', 'ready-for-review']
-      });
-    } catch (labelError) {
-      console.log('Note: Could not add labels to PR (labels may not exist in target repo)');
-    }
-    
-  } catch (error) {
-    console.error('Error creating GitHub PR:', error.message);
-    throw error;
-  }
+function describeChange(change) {
+  const target = [change.method && change.method.toUpperCase(), change.path].filter(Boolean).join(' ');
+  const source = change.source ? ` (in \`${change.source}\`)` : '';
+  return `${SEVERITY_LABELS[change.severity] || change.severity}: \`${change.type}\` ${target}`.trim() + source;
 }
 
 module.exports = createDraftPR;
+module.exports.renderSummaryFile = renderSummaryFile;
+module.exports.renderSuggestionsFile = renderSuggestionsFile;
+module.exports.buildPRBody = buildPRBody;
+module.exports.buildPRTitle = buildPRTitle;
+module.exports.describeModelUsage = describeModelUsage;
@@ -1,10 +1,12 @@
-const { getChangedFiles, isGitRepository } = require('../utils/git');
+const { getChangedFileEntries, describeChangedFile, readRepositoryFile, listFiles, isGitRepository } = require('../utils/git');
+const { buildDependencyGraph } = require('../utils/spec-dependencies');
 const micromatch = require('micromatch');
 
 /**
  * Detect relevant changes based on configuration
  * @param {Object} config - Configuration object
- * @returns {string[]} Array of relevant changed files
+ * @returns {Object[]} Array of relevant changed files ({ file, status, previousFile }); root specs
+ *   re-diffed because a file they reference changed also list those files as `fragments`
  */
 async function detectChanges(config) {
   if (!isGitRepository()) {
@@ -12,21 +14,45 @@ async function detectChanges(config) {
     return [];
   }
 
-  const changedFiles = getChangedFiles();
-  console.log(`Found ${changedFiles.length} changed files:`, changedFiles);
+  const { base, head } = config.commit_range || { base: 'HEAD~1', head: null };
+  const changedFiles = getChangedFileEntries(base, head || 'HEAD');
+  console.log(`Found ${changedFiles.length} changed files:`, changedFiles.map(change => change.file));
 
   if (changedFiles.length === 0) {
-    console.log('No files changed in the last commit');
+    console.log('No files changed in the commit range');
     return [];
   }
 
   // Filter for API specification files
   const apiSpecPaths = config.api_spec_paths;
-  const relevantFiles = changedFiles.filter(file => 
-    micromatch.isMatch(file, apiSpecPaths)
+  const isSpecPath = (file) => Boolean(file) && micromatch.isMatch(file, apiSpecPaths);
+
+  // Files pulled in by other specs through relative $refs are fragments, not root specs
+  const specFiles = listFiles(head).filter(isSpecPath);
+  const dependencyGraph = buildDependencyGraph(specFiles, file => readRepositoryFile(file, head));
+  const rootSpecs = specFiles.filter(file => !dependencyGraph[file]);
+
+  // A spec renamed into or out of the configured paths is still relevant
+  const relevantFiles = changedFiles.filter(change =>
+    (isSpecPath(change.file) || isSpecPath(change.previousFile)) && !dependencyGraph[change.file]
   );
 
-  console.log(`Found ${relevantFiles.length} relevant API spec changes:`, relevantFiles);
+  // A changed fragment re-diffs every root spec that includes it
+  changedFiles.forEach(change => {
+    const includedBy = dependencyGraph[change.file] || dependencyGraph[change.previousFile] || [];
+    includedBy.filter(root => rootSpecs.includes(root)).forEach(root => {
+      const index = relevantFiles.findIndex(relevant => relevant.file === root);
+      if (index === -1) {
+        console.log(`🔗 ${change.file} is referenced by ${root}, re-diffing it`);
+        relevantFiles.push({ file: root, status: 'modified', previousFile: null, fragments: [change.file] });
+      } else {
+        const fragments = relevantFiles[index].fragments || [];
+        relevantFiles[index] = { ...relevantFiles[index], fragments: [...fragments, change.file] };
+      }
+    });
+  });
+
+  console.log(`Found ${relevantFiles.length} relevant API spec changes:`, relevantFiles.map(describeChangedFile));
   return relevantFiles;
 }
 
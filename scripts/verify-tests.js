@@ -0,0 +1,150 @@
+const { exec } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SwaggerParser = require("@apidevtools/swagger-parser");
+const { getFileContent, readRepositoryFile } = require("../utils/git");
+const { parseSpec, dereferenceSpec } = require("../utils/spec-refs");
+const { startMockServer } = require("../utils/mock-server");
+const { renderTestChange } = require("../utils/test-merge");
+
+const DEFAULT_BASE_URL_ENV = 'API_BASE_URL';
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const OUTPUT_TAIL_LINES = 30;
+// Linked into the copy instead of copied: installed dependencies the tests need, but never write to
+const DEPENDENCY_DIRS = ['node_modules', '.venv', 'venv'];
+
+/**
+ * Run the generated tests against a local mock server built from the new spec.
+ *
+ * For every suggestion, a mock server answers from the new version of its OpenAPI spec,
+ * the generated files are written into a temporary copy of the test repository and
+ * `verification.test_command` is run there once per generated file with the server's URL in
+ * `verification.base_url_env` (default API_BASE_URL). The test repository itself is never
+ * written to, so an interrupted run can't leave it modified. Results are stored on each
+ * suggestion as `verification: [{ filePath, passed, output }]`.
+ * @param {Object[]} suggestions - Suggestions from suggestUpdates
+ * @param {Object} config - Configuration object
+ * @param {string} testRepoPath - Test repository the generated files belong to
+ * @returns {Promise<Object[]>} The suggestions, with verification results
+ */
+async function verifyTests(suggestions, config, testRepoPath) {
+  const options = config.verification || {};
+  if (!options.test_command) {
+    console.warn('verification.test_command is not set, skipping test verification');
+    return suggestions;
+  }
+  if (config.detector !== 'api') {
+    console.warn(`Test verification needs an OpenAPI spec to mock, skipping it for the ${config.detector} detector`);
+    return suggestions;
+  }
+
+  const head = (config.commit_range || {}).head || null;
+
+  for (const suggestion of suggestions) {
+    const tests = suggestion.generatedTests || [];
+    if (tests.length === 0) {
+      continue;
+    }
+    if (suggestion.status === 'deleted') {
+      console.log(`⏭️ ${suggestion.file} was deleted, no spec to verify its tests against`);
+      continue;
+    }
+
+    const spec = await loadSpec(suggestion.file, head);
+    if (!spec) {
+      continue;
+    }
+
+    const server = await startMockServer(spec);
+    console.log(`🧪 Mock server for ${suggestion.file} listening on ${server.url}`);
+    const workDir = copyTestRepo(testRepoPath);
+
+    try {
+      writeGeneratedFiles(tests, workDir);
+      suggestion.verification = [];
+      for (const filePath of [...new Set(tests.map(test => test.filePath))]) {
+        const result = await runTestCommand(options, filePath, workDir, server.url);
+        console.log(`${result.passed ? '✅' : '❌'} ${filePath} ${result.passed ? 'passed' : 'failed'} against the mock server`);
+        suggestion.verification.push({ filePath, ...result });
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      await server.close();
+    }
+  }
+
+  return suggestions;
+}
+
+async function loadSpec(file, head) {
+  const content = getFileContent(file, head);
+  if (!content) {
+    console.warn(`Could not read ${file}, skipping test verification for it`);
+    return null;
+  }
+
+  try {
+    // Referenced files are read like the detector reads them: at the same revision, inside the repository
+    return await dereferenceSpec(parseSpec(content), file, (refPath) => readRepositoryFile(refPath, head), SwaggerParser);
+  } catch (error) {
+    console.warn(`Could not parse ${file} for the mock server, skipping test verification for it:`, error.message);
+    return null;
+  }
+}
+
+// Copy of the test repository to run the generated tests in, without its git directory
+function copyTestRepo(testRepoPath) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-verify-'));
+  for (const entry of fs.readdirSync(testRepoPath)) {
+    if (entry === '.git') {
+      continue;
+    }
+    const source = path.join(testRepoPath, entry);
+    if (DEPENDENCY_DIRS.includes(entry)) {
+      fs.symlinkSync(source, path.join(workDir, entry), 'dir');
+    } else {
+      fs.cpSync(source, path.join(workDir, entry), { recursive: true, verbatimSymlinks: true });
+    }
+  }
+  return workDir;
+}
+
+function writeGeneratedFiles(tests, workDir) {
+  for (const test of tests) {
+    const absolutePath = path.join(workDir, test.filePath);
+    const current = fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null;
+    const content = renderTestChange(test, current);
+    if (content === null) {
+      continue;
+    }
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    fs.writeFileSync(absolutePath, content);
+  }
+}
+
+function runTestCommand(options, filePath, testRepoPath, baseUrl) {
+  // The file goes where {file} is, or at the end of the command
+  const quoted = `"${filePath.replace(/(["\\$`])/g, '\\$1')}"`;
+  const command = options.test_command.includes('{file}')
+    ? options.test_command.split('{file}').join(quoted)
+    : `${options.test_command} ${quoted}`;
+
+  return new Promise(resolve => {
+    exec(command, {
+      cwd: testRepoPath,
+      env: { ...process.env, [options.base_url_env || DEFAULT_BASE_URL_ENV]: baseUrl },
+      timeout: (options.timeout_seconds || DEFAULT_TIMEOUT_SECONDS) * 1000,
+      maxBuffer: 16 * 1024 * 1024
+    }, (error, stdout, stderr) => {
+      const output = `${stdout}${stderr}`.trim().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n');
+      if (error && error.killed) {
+        resolve({ passed: false, output: `Timed out after ${options.timeout_seconds || DEFAULT_TIMEOUT_SECONDS}s\n${output}` });
+      } else {
+        resolve({ passed: !error, output });
+      }
+    });
+  });
+}
+
+module.exports = verifyTests;
@@ -0,0 +1,116 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { renderTestChange } = require("../utils/test-merge");
+const {
+  renderSummaryFile,
+  renderSuggestionsFile,
+  buildPRBody,
+  buildPRTitle
+} = require("./create-draft-pr");
+
+/**
+ * Dry-run counterpart of createDraftPR: writes the test changes as a patch and the
+ * pull request description as markdown, without modifying the test repository or
+ * touching any remote.
+ * @param {Object[]} suggestions - Suggestions from suggestUpdates
+ * @param {Object} config - Configuration object (`output_dir` is where the files go)
+ * @param {string} testRepoPath - Local test repository the patch applies to
+ * @param {Object[]} [reportedDiffs] - Diffs below the generation threshold, listed without tests
+ * @returns {{ patchPath: string, summaryPath: string }} Paths of the written files
+ */
+async function writePatch(suggestions, config, testRepoPath, reportedDiffs = []) {
+  const outputDir = path.resolve(process.cwd(), config.output_dir || 'test-updater-output');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-patch-'));
+
+  try {
+    // Build the changed files in memory, in the order createDraftPR would apply them
+    const files = new Map();
+    const contentOf = (relativePath) => {
+      if (files.has(relativePath)) {
+        return files.get(relativePath);
+      }
+      const absolutePath = path.join(testRepoPath, relativePath);
+      return fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null;
+    };
+
+    const modifiedFiles = [];
+    let testsCreated = 0;
+    let testsModified = 0;
+
+    for (const suggestion of suggestions) {
+      for (const testFile of suggestion.generatedTests || []) {
+        const relativePath = path.relative(testRepoPath, testFile.absolutePath);
+        const content = renderTestChange(testFile, contentOf(relativePath));
+        if (content === null) {
+          continue;
+        }
+        console.log(`📝 ${testFile.action}: ${testFile.filePath} - ${testFile.description}`);
+        files.set(relativePath, content);
+        modifiedFiles.push(relativePath);
+        if (testFile.action === 'create') {
+          testsCreated++;
+        } else {
+          testsModified++;
+        }
+      }
+
+      const summary = renderSummaryFile(suggestion);
+      files.set(summary.filePath, summary.content);
+    }
+
+    if (modifiedFiles.length === 0) {
+      console.log('⚠️ No test files were modified. Creating summary only.');
+      const summary = renderSuggestionsFile(suggestions);
+      files.set(summary.filePath, summary.content);
+      modifiedFiles.push(summary.filePath);
+    }
+
+    // Lay out the old and new versions side by side and let git produce the diff
+    for (const [relativePath, content] of files) {
+      const original = path.join(testRepoPath, relativePath);
+      if (fs.existsSync(original)) {
+        writeFile(path.join(workDir, 'a', relativePath), fs.readFileSync(original, 'utf8'));
+      }
+      writeFile(path.join(workDir, 'b', relativePath), content);
+    }
+    fs.mkdirSync(path.join(workDir, 'a'), { recursive: true });
+    const patch = diffDirectories(workDir);
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const patchPath = path.join(outputDir, 'test-updates.patch');
+    const summaryPath = path.join(outputDir, 'summary.md');
+    fs.writeFileSync(patchPath, patch);
+    fs.writeFileSync(summaryPath, `# ${buildPRTitle(suggestions)}\n\n${buildPRBody(suggestions, { testsCreated, testsModified, modifiedFiles }, reportedDiffs)}\n`);
+
+    console.log(`✅ Patch written to ${patchPath} (apply with: git -C ${testRepoPath} apply ${patchPath})`);
+    console.log(`✅ Summary written to ${summaryPath}`);
+    return { patchPath, summaryPath };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+// Unified diff of workDir/a against workDir/b. Without prefixes the directory names
+// become the usual a/ and b/ prefixes, so the patch applies at the test repository root.
+function diffDirectories(workDir) {
+  try {
+    execFileSync('git', ['diff', '--no-index', '--no-color', '--src-prefix=', '--dst-prefix=', 'a', 'b'], { cwd: workDir, encoding: 'utf8' });
+    return '';
+  } catch (error) {
+    // git diff --no-index exits with 1 when the directories differ
+    if (error.status !== 1) {
+      throw error;
+    }
+    // New files are reported as "b/file b/file"
+    return error.stdout.replace(/^diff --git b\//gm, 'diff --git a/');
+  }
+}
+
+module.exports = writePatch;
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffAsyncAPIDocs } = require('../utils/asyncapi-diff');
+const { classifyChanges } = require('../utils/change-severity');
+
+const ORDER = { type: 'object', required: ['id'], properties: { id: { type: 'string' } } };
+const ORDER_WITH_REASON = { type: 'object', required: ['id', 'reason'], properties: { id: { type: 'string' }, reason: { type: 'string' } } };
+
+// AsyncAPI 2: `subscribe` is what the application publishes, `publish` what it receives
+function asyncapi2(payload, extraChannels = {}) {
+  return JSON.stringify({
+    asyncapi: '2.6.0',
+    info: { title: 'Orders', version: '1.0.0' },
+    channels: {
+      'orders/created': { subscribe: { message: { name: 'OrderCreated', payload } } },
+      'orders/cancel': { publish: { message: { name: 'CancelOrder', payload } } },
+      ...extraChannels
+    }
+  });
+}
+
+function asyncapi3(contentType) {
+  return JSON.stringify({
+    asyncapi: '3.0.0',
+    info: { title: 'Orders', version: '1.0.0' },
+    channels: {
+      created: { address: 'orders.created', messages: { OrderCreated: { contentType, payload: ORDER } } }
+    },
+    operations: {
+      onCreated: { action: 'send', channel: { $ref: '#/channels/created' } }
+    }
+  });
+}
+
+test('judges message changes by whether the application sends or receives them', async () => {
+  const changes = classifyChanges(await diffAsyncAPIDocs(
+    asyncapi2(ORDER),
+    asyncapi2(ORDER_WITH_REASON, { 'orders/shipped': { subscribe: { message: { name: 'OrderShipped', payload: ORDER } } } }),
+    { file: 'asyncapi.json' }
+  ));
+
+  assert.deepStrictEqual(changes.map(({ type, path, side, severity }) => ({ type, path, side, severity })), [
+    { type: 'new_channel', path: 'orders/shipped', side: undefined, severity: 'non_breaking' },
+    // Consumers of a sent message get an extra field, senders of a received one must now provide it
+    { type: 'message_changes', path: 'orders/created', side: 'response', severity: 'non_breaking' },
+    { type: 'message_changes', path: 'orders/cancel', side: 'request', severity: 'breaking' }
+  ]);
+  assert.strictEqual(changes[2].details[0].pointer, '/channels/orders~1cancel/publish/message/payload/properties/reason');
+});
+
+test('compares AsyncAPI 3 operations by channel address and action', async () => {
+  const changes = classifyChanges(await diffAsyncAPIDocs(asyncapi3('application/json'), asyncapi3('application/avro'), { file: 'asyncapi.json' }));
+
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].path, 'orders.created');
+  assert.strictEqual(changes[0].action, 'send');
+  assert.deepStrictEqual(changes[0].details.map(({ type, from, to, severity }) => ({ type, from, to, severity })), [
+    { type: 'message_content_type_changed', from: 'application/json', to: 'application/avro', severity: 'breaking' }
+  ]);
+});
+
+test('reports the channels of a deleted document as removed', async () => {
+  const changes = await diffAsyncAPIDocs(asyncapi2(ORDER), null, { file: 'asyncapi.json' });
+  assert.deepStrictEqual(changes.map(change => `${change.type} ${change.path}`), ['removed_channel orders/created', 'removed_channel orders/cancel']);
+});
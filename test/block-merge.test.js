@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const java = require('../profiles/java-profile');
+const python = require('../profiles/python-profile');
+const go = require('../profiles/go-profile');
+
+const USERS_TEST_JAVA = `package com.example.api;
+
+import static io.restassured.RestAssured.given;
+
+import org.junit.jupiter.api.Test;
+import io.restassured.specification.RequestSpecification;
+
+public class UsersTest {
+    private RequestSpecification adminSpec = given().header("X-Role", "admin");
+
+    @Test
+    void getsUser() {
+        adminSpec.when().get("/users/1").then().statusCode(200);
+    }
+
+    private void createUser(String name) {
+        adminSpec.body(name).post("/users");
+    }
+}`;
+
+test('java: a field initialized with a call is named by the field', () => {
+  const merged = java.merge(USERS_TEST_JAVA, `public class UsersTest {
+    private RequestSpecification guestSpec = given().header("X-Role", "guest");
+
+    @Test
+    void rejectsGuests() {
+        guestSpec.when().get("/users/1").then().statusCode(403);
+    }
+}`);
+
+  assert.match(merged, /adminSpec = given\(\)/);
+  assert.match(merged, /guestSpec = given\(\)/);
+  assert.match(merged, /void getsUser\(\)/);
+  assert.match(merged, /void rejectsGuests\(\)/);
+  assert.deepStrictEqual(java.checkSyntax(merged), []);
+});
+
+test('java: a field with the same name replaces the existing one', () => {
+  const merged = java.merge(USERS_TEST_JAVA, `    private RequestSpecification adminSpec = given().header("X-Role", "root");`);
+
+  assert.match(merged, /"root"/);
+  assert.doesNotMatch(merged, /"admin"/);
+});
+
+test('java: methods are matched by name and parameter types', () => {
+  const merged = java.merge(USERS_TEST_JAVA, `import java.util.Map;
+
+public class UsersTest {
+    private void createUser(final String name) {
+        adminSpec.body(name).post("/v2/users");
+    }
+
+    private void createUser(String name, @Deprecated Map<String, Integer> roles) {
+        adminSpec.body(roles).post("/v2/users");
+    }
+
+    @Test
+    void getsUser() {
+        adminSpec.when().get("/v2/users/1").then().statusCode(200);
+    }
+}`);
+
+  // createUser(String) and getsUser() are replaced, the overload is added
+  assert.strictEqual(merged.match(/void createUser\(/g).length, 2);
+  assert.strictEqual(merged.match(/void getsUser\(/g).length, 1);
+  assert.doesNotMatch(merged, /"\/users/);
+  assert.match(merged, /^import java\.util\.Map;$/m);
+  assert.deepStrictEqual(java.checkSyntax(merged), []);
+});
+
+test('python: functions with the same name are replaced and imports merged', () => {
+  const existing = `import requests
+from helpers import client
+
+
+def test_get_user():
+    assert client.get("/users/1").status_code == 200
+
+
+def test_list_users():
+    assert client.get("/users").status_code == 200
+`;
+  const merged = python.merge(existing, `from helpers import client, admin
+
+@pytest.mark.slow
+def test_get_user():
+    assert client.get("/v2/users/1").status_code == 200
+
+
+def test_delete_user():
+    assert admin.delete("/users/1").status_code == 204
+`);
+
+  assert.match(merged, /^from helpers import client, admin$/m);
+  assert.strictEqual(merged.match(/def test_get_user/g).length, 1);
+  assert.match(merged, /@pytest\.mark\.slow\ndef test_get_user\(\):\n {4}assert client\.get\("\/v2\/users\/1"\)/);
+  assert.match(merged, /def test_list_users/);
+  assert.match(merged, /def test_delete_user/);
+});
+
+test('go: functions and methods with the same name are replaced and imports added', () => {
+  const existing = `package api
+
+import (
+\t"net/http"
+\t"testing"
+)
+
+func TestGetUser(t *testing.T) {
+\tresp, _ := http.Get(baseURL + "/users/1")
+\t_ = resp
+}
+
+func (s *Suite) Setup() {}
+`;
+  const merged = go.merge(existing, `package api
+
+import (
+\t"encoding/json"
+\t"testing"
+)
+
+func TestGetUser(t *testing.T) {
+\tresp, _ := http.Get(baseURL + "/v2/users/1")
+\t_ = json.NewDecoder(resp.Body)
+}
+
+func (o *Other) Setup() {}
+`);
+
+  assert.match(merged, /^\t"encoding\/json"$/m);
+  assert.strictEqual(merged.match(/func TestGetUser/g).length, 1);
+  assert.match(merged, /\/v2\/users\/1/);
+  // Same method name on another receiver type is a different function
+  assert.match(merged, /func \(s \*Suite\) Setup/);
+  assert.match(merged, /func \(o \*Other\) Setup/);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { classifyChanges, applySeverityThreshold, highestSeverity, countBySeverity } = require('../utils/change-severity');
+const { diffOpenAPISpecs } = require('../utils/openapi-diff');
+
+const BODY = '/paths/~1orders/post/requestBody/content/application~1json/schema';
+
+test('takes the side of request body details from their container', () => {
+  const [change] = classifyChanges([{
+    type: 'request_body_changes',
+    path: '/orders',
+    method: 'post',
+    details: [
+      // A request property that happens to be named `responses`
+      { type: 'new_property', property: 'id', required: true, pointer: `${BODY}/properties/responses/properties/id` },
+      { type: 'removed_enum_value', value: 'a', pointer: `${BODY}/properties/responses/items` }
+    ]
+  }]);
+
+  assert.deepStrictEqual(change.details.map(detail => detail.severity), ['breaking', 'breaking']);
+  assert.strictEqual(change.severity, 'breaking');
+});
+
+test('takes the side of a record from the operation part of its pointer', () => {
+  const changes = classifyChanges([
+    { type: 'property_requirement_changed', to: true, pointer: `${BODY}/properties/responses/properties/id` },
+    { type: 'property_requirement_changed', to: true, pointer: '/paths/~1orders/post/responses/200/content/application~1json/schema/properties/id' },
+    { type: 'nullable_changed', to: false, pointer: '/paths/~1orders/parameters/0/schema' }
+  ]);
+
+  assert.deepStrictEqual(changes.map(change => change.severity), ['breaking', 'non_breaking', 'breaking']);
+});
+
+test('classifies a new required field under a request property named responses as breaking', async () => {
+  const spec = (required) => JSON.stringify({
+    openapi: '3.0.0',
+    info: { title: 'Orders', version: '1.0.0' },
+    paths: {
+      '/orders': {
+        post: {
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    responses: { type: 'object', required, properties: { id: { type: 'string' } } }
+                  }
+                }
+              }
+            }
+          },
+          responses: { 201: { description: 'Created' } }
+        }
+      }
+    }
+  });
+
+  const [change] = classifyChanges(await diffOpenAPISpecs(spec([]), spec(['id']), { file: 'openapi.json' }));
+
+  assert.strictEqual(change.type, 'request_body_changes');
+  assert.deepStrictEqual(change.details.map(({ type, severity }) => ({ type, severity })), [
+    { type: 'property_requirement_changed', severity: 'breaking' }
+  ]);
+});
+
+test('classifies changes by type and by the side of the exchange', () => {
+  const severities = classifyChanges([
+    { type: 'new_endpoint', path: '/users' },
+    { type: 'removed_endpoint', path: '/orders' },
+    { type: 'renamed_endpoint', from: '/users/{id}', to: '/users/{userId}', parameterRenameOnly: true },
+    { type: 'renamed_endpoint', from: '/users', to: '/people' },
+    { type: 'new_parameter', required: true },
+    { type: 'new_parameter', required: false },
+    { type: 'constraint_changed', constraint: 'maxLength', from: 50, to: 20, side: 'request' },
+    { type: 'constraint_changed', constraint: 'maxLength', from: 50, to: 20, side: 'response' },
+    { type: 'constraint_changed', constraint: 'minimum', from: null, to: 1, side: 'request' },
+    { type: 'new_enum_value', side: 'response' },
+    // Detectors may set their own severity, and unknown types are potentially breaking
+    { type: 'field_renamed', severity: 'potentially_breaking' },
+    { type: 'something_new' }
+  ]).map(change => change.severity);
+
+  assert.deepStrictEqual(severities, [
+    'non_breaking', 'breaking', 'non_breaking', 'breaking', 'breaking', 'non_breaking',
+    'breaking', 'non_breaking', 'breaking', 'potentially_breaking', 'potentially_breaking', 'potentially_breaking'
+  ]);
+});
+
+test('gives containers the highest severity of their details and accepts custom rules', () => {
+  const [container, custom] = classifyChanges([
+    { type: 'response_changes', details: [{ type: 'new_property' }, { type: 'removed_property' }] },
+    { type: 'format_changed' }
+  ], { format_changed: 'non_breaking' });
+
+  assert.deepStrictEqual(container.details.map(detail => detail.severity), ['non_breaking', 'breaking']);
+  assert.strictEqual(container.severity, 'breaking');
+  assert.strictEqual(custom.severity, 'non_breaking');
+  assert.strictEqual(highestSeverity([]), 'non_breaking');
+  assert.deepStrictEqual(countBySeverity([container, custom]), { breaking: 1, potentially_breaking: 0, non_breaking: 1 });
+});
+
+test('splits diffs into changes to generate tests for, to report and to skip', () => {
+  const diffs = [
+    { file: 'a.yaml', changes: [{ type: 'x', severity: 'breaking' }, { type: 'y', severity: 'non_breaking' }] },
+    { file: 'b.yaml', changes: [{ type: 'z', severity: 'potentially_breaking' }] }
+  ];
+
+  const { generate, report, skipped } = applySeverityThreshold(diffs, { severity_threshold: { generate: 'breaking', report: 'potentially_breaking' } });
+  assert.deepStrictEqual(generate, [{ file: 'a.yaml', changes: [diffs[0].changes[0]] }]);
+  assert.deepStrictEqual(report, [{ file: 'b.yaml', changes: diffs[1].changes }]);
+  assert.strictEqual(skipped, 1);
+
+  // Everything is generated by default
+  assert.deepStrictEqual(applySeverityThreshold(diffs, {}), { generate: diffs, report: [], skipped: 0 });
+  assert.throws(() => applySeverityThreshold(diffs, { severity_threshold: { generate: 'major' } }), /Invalid severity_threshold value "major"/);
+});
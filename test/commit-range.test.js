@@ -0,0 +1,89 @@
+const { execFileSync } = require('child_process');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveCommitRange } = require('../utils/git');
+
+const ENV_KEYS = ['INPUT_BASE_REF', 'INPUT_HEAD_REF', 'GITHUB_EVENT_PATH'];
+const originalCwd = process.cwd();
+const originalEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+let workDir;
+let repoPath;
+const commits = {};
+
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoPath, encoding: 'utf8' }).trim();
+}
+
+function commit(name) {
+  fs.writeFileSync(path.join(repoPath, `${name}.txt`), name);
+  git('add', '-A');
+  git('commit', '-q', '-m', name);
+  commits[name] = git('rev-parse', 'HEAD');
+}
+
+function writeEvent(event) {
+  const eventPath = path.join(workDir, 'event.json');
+  fs.writeFileSync(eventPath, JSON.stringify(event));
+  process.env.GITHUB_EVENT_PATH = eventPath;
+}
+
+// main: first - second - main-only, feature: branched from second - feature-one - feature-two (checked out)
+before(() => {
+  workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-range-')));
+  repoPath = path.join(workDir, 'repo');
+  fs.mkdirSync(repoPath);
+  git('init', '-q', '-b', 'main');
+  commit('first');
+  commit('second');
+  git('checkout', '-q', '-b', 'feature');
+  commit('feature-one');
+  commit('feature-two');
+  git('checkout', '-q', 'main');
+  commit('main-only');
+  git('checkout', '-q', 'feature');
+  process.chdir(repoPath);
+});
+
+beforeEach(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+after(() => {
+  process.chdir(originalCwd);
+  ENV_KEYS.forEach(key => {
+    if (originalEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = originalEnv[key];
+    }
+  });
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('compares with the previous commit by default', () => {
+  assert.deepStrictEqual(resolveCommitRange({}), { base: commits['feature-one'], head: null });
+});
+
+test('compares a pull request from the merge base, not the moved base branch', () => {
+  writeEvent({ pull_request: { base: { sha: commits['main-only'] }, head: { sha: commits['feature-two'] } } });
+  assert.deepStrictEqual(resolveCommitRange({}), { base: commits.second, head: null });
+});
+
+test('takes revisions from the inputs before the config and the event', () => {
+  writeEvent({ before: commits['feature-one'], after: commits['feature-two'] });
+  process.env.INPUT_BASE_REF = commits.first;
+
+  assert.deepStrictEqual(resolveCommitRange({ base_ref: commits.second, head_ref: 'main' }), { base: commits.first, head: 'main' });
+});
+
+test('falls back to the previous commit for unknown or invalid revisions', () => {
+  assert.deepStrictEqual(resolveCommitRange({ base_ref: '--output=/tmp/x' }), { base: commits['feature-one'], head: null });
+  assert.deepStrictEqual(resolveCommitRange({ base_ref: 'does-not-exist', head_ref: 'main' }), { base: commits.second, head: 'main' });
+
+  // A push of a new branch has no previous commit; origin/main does not exist here either
+  writeEvent({ before: '0000000000000000000000000000000000000000', after: commits['feature-two'], repository: { default_branch: 'main' } });
+  assert.deepStrictEqual(resolveCommitRange({}), { base: commits['feature-one'], head: null });
+});
@@ -0,0 +1,75 @@
+const { execFileSync } = require('child_process');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffOpenAPISpecs } = require('../utils/openapi-diff');
+const suggestUpdates = require('../scripts/suggest-updates');
+const writePatch = require('../scripts/write-patch');
+
+// Recorded model answers replayed by the mock provider
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+const OLD_SPEC = `
+openapi: 3.0.0
+info: { title: Users, version: 1.0.0 }
+paths:
+  /users/{id}:
+    get:
+      parameters:
+        - { name: id, in: path, required: true, schema: { type: string } }
+      responses:
+        '200': { description: A user }
+`;
+
+const NEW_SPEC = `${OLD_SPEC}  /users:
+    post:
+      responses:
+        '201': { description: Created }
+`;
+
+const USERS_TEST = `describe('users', () => {
+  it('gets a user', async () => {
+    await request(app).get('/users/1').expect(200);
+  });
+});
+`;
+
+test('writes a patch for the tests generated for a spec change', async (t) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-test-'));
+  t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+  const testRepoPath = path.join(workDir, 'tests-repo');
+  fs.mkdirSync(path.join(testRepoPath, 'tests'), { recursive: true });
+  fs.writeFileSync(path.join(testRepoPath, 'tests', 'users.test.js'), USERS_TEST);
+
+  const config = {
+    detector: 'api',
+    provider: 'mock',
+    provider_options: { fixtures_dir: FIXTURES_DIR },
+    test_code_paths: ['tests/**/*.test.js'],
+    test_index_cache: false,
+    response_cache: false,
+    output_dir: path.join(workDir, 'output')
+  };
+
+  const changes = await diffOpenAPISpecs(OLD_SPEC, NEW_SPEC, { file: 'openapi.yaml' });
+  assert.deepStrictEqual(changes.map(change => [change.type, change.path]), [['new_endpoint', '/users']]);
+
+  const suggestions = await suggestUpdates([{ file: 'openapi.yaml', changes }], config, testRepoPath);
+  assert.strictEqual(suggestions.length, 1);
+  assert.deepStrictEqual(suggestions[0].operations.map(operation => operation.status), ['generated']);
+  assert.deepStrictEqual(suggestions[0].generatedTests.map(test => test.filePath), ['tests/users.test.js']);
+
+  const { patchPath, summaryPath } = await writePatch(suggestions, config, testRepoPath);
+  const patch = fs.readFileSync(patchPath, 'utf8');
+  assert.match(patch, /^diff --git a\/tests\/users\.test\.js b\/tests\/users\.test\.js$/m);
+  assert.match(patch, /^\+ {2}it\('creates a user'/m);
+  // The new test is merged into the existing suite, which stays as it was
+  assert.doesNotMatch(patch, /^-(?!--)/m);
+  assert.match(fs.readFileSync(summaryPath, 'utf8'), /tests\/users\.test\.js/);
+  execFileSync('git', ['apply', '--check', patchPath], { cwd: testRepoPath });
+
+  // Dry runs leave the test repository alone
+  assert.strictEqual(fs.readFileSync(path.join(testRepoPath, 'tests', 'users.test.js'), 'utf8'), USERS_TEST);
+});
@@ -0,0 +1,94 @@
+const { execFileSync } = require('child_process');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readRepositoryFile } = require('../utils/git');
+const apiDetector = require('../detectors/api-detector');
+
+const SPEC = `
+openapi: 3.0.0
+info: { title: Users, version: 1.0.0 }
+paths:
+  /users:
+    get:
+      responses:
+        '200':
+          description: Users
+          content:
+            application/json:
+              schema: { $ref: 'REF' }
+`;
+
+let workDir;
+let repoPath;
+const originalCwd = process.cwd();
+
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoPath, encoding: 'utf8' });
+}
+
+function commit(files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, file), content);
+  }
+  git('add', '-A');
+  git('commit', '-q', '-m', 'update');
+}
+
+before(() => {
+  workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-git-')));
+  repoPath = path.join(workDir, 'repo');
+  fs.mkdirSync(repoPath);
+  git('init', '-q');
+  fs.writeFileSync(path.join(workDir, 'secret.yaml'), 'A: { type: string }\n');
+  commit({ 'schemas/user.yaml': 'User: { type: object }\n' });
+  // Detectors and readers work on the repository in the working directory
+  process.chdir(repoPath);
+});
+
+after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('reads repository files at a revision and in the working tree', () => {
+  assert.strictEqual(readRepositoryFile('schemas/user.yaml', 'HEAD'), 'User: { type: object }\n');
+  assert.strictEqual(readRepositoryFile(path.join(repoPath, 'schemas', 'user.yaml'), null), 'User: { type: object }\n');
+});
+
+test('refuses files outside the repository', () => {
+  assert.throws(() => readRepositoryFile('../secret.yaml', 'HEAD'), /outside the repository/);
+  assert.throws(() => readRepositoryFile(path.join(workDir, 'secret.yaml'), null), /outside the repository/);
+  assert.throws(() => readRepositoryFile('schemas/../../secret.yaml', null), /outside the repository/);
+
+  fs.symlinkSync(path.join(workDir, 'secret.yaml'), path.join(repoPath, 'link.yaml'));
+  try {
+    assert.throws(() => readRepositoryFile('link.yaml', null), /links outside the repository/);
+  } finally {
+    fs.rmSync(path.join(repoPath, 'link.yaml'));
+  }
+});
+
+test('does not run shell commands from $ref paths', async () => {
+  const marker = path.join(workDir, 'PWNED');
+  commit({ 'openapi.yaml': SPEC.replace('REF', './schemas/user.yaml#/User') });
+  commit({ 'openapi.yaml': SPEC.replace('REF', `./x$(touch\${IFS}${marker}).yaml#/A`) });
+
+  await apiDetector.run([{ file: 'openapi.yaml', status: 'modified', previousFile: null }], { commit_range: { base: 'HEAD~1', head: 'HEAD' } });
+
+  assert.strictEqual(fs.existsSync(marker), false);
+});
+
+test('does not resolve $refs outside the repository', async () => {
+  commit({ 'openapi.yaml': SPEC.replace('REF', './schemas/user.yaml#/User') });
+  commit({ 'openapi.yaml': SPEC.replace('REF', '../secret.yaml#/A') });
+
+  // Head null reads the working tree, where the file outside exists
+  const [diff] = await apiDetector.run([{ file: 'openapi.yaml', status: 'modified', previousFile: null }], { commit_range: { base: 'HEAD~1', head: null } });
+
+  // The new side is compared unresolved, so the secret's schema never shows up
+  assert.doesNotMatch(JSON.stringify(diff), /string/);
+});
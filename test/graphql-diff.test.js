@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildSchema, introspectionFromSchema } = require('graphql');
+const { diffGraphQLSchemas } = require('../utils/graphql-diff');
+
+const OLD_SCHEMA = `
+type Query {
+  user(id: ID!): User
+  users(first: Int = 10): [User!]!
+}
+
+type User {
+  id: ID!
+  name: String
+  email: String
+}
+
+input UserFilter {
+  name: String
+}
+
+enum Role {
+  ADMIN
+  USER
+}
+`;
+
+const NEW_SCHEMA = `
+type Query {
+  user(id: ID!, withPosts: Boolean!): User!
+  users(first: Int = 20): [User!]!
+}
+
+type User {
+  id: ID!
+  name: String!
+  posts: [Post]
+}
+
+type Post {
+  id: ID!
+}
+
+input UserFilter {
+  name: String
+  role: Role!
+}
+
+enum Role {
+  ADMIN
+  USER
+  GUEST
+}
+`;
+
+test('classifies field, argument, input and enum changes', () => {
+  const changes = diffGraphQLSchemas(OLD_SCHEMA, NEW_SCHEMA);
+
+  assert.deepStrictEqual(changes.map(({ type, path, severity }) => ({ type, path, severity })), [
+    // Output fields may become stricter, inputs may not
+    { type: 'field_type_changed', path: 'Query.user', severity: 'non_breaking' },
+    { type: 'new_argument', path: 'Query.user(withPosts:)', severity: 'breaking' },
+    { type: 'argument_default_changed', path: 'Query.users(first:)', severity: 'potentially_breaking' },
+    { type: 'field_type_changed', path: 'User.name', severity: 'non_breaking' },
+    { type: 'new_field', path: 'User.posts', severity: 'non_breaking' },
+    { type: 'removed_field', path: 'User.email', severity: 'breaking' },
+    { type: 'new_type', path: 'Post', severity: 'non_breaking' },
+    { type: 'new_input_field', path: 'UserFilter.role', severity: 'breaking' },
+    { type: 'new_enum_value', path: 'Role.GUEST', severity: 'potentially_breaking' }
+  ]);
+  // Root fields name the operation tests call
+  assert.deepStrictEqual(changes[1].references, ['user']);
+  assert.strictEqual(changes[1].operation, 'query');
+});
+
+test('reads introspection results like SDL', () => {
+  const introspection = JSON.stringify({ data: introspectionFromSchema(buildSchema(OLD_SCHEMA)) });
+
+  assert.deepStrictEqual(diffGraphQLSchemas(introspection, OLD_SCHEMA), []);
+  assert.deepStrictEqual(diffGraphQLSchemas(introspection, NEW_SCHEMA), diffGraphQLSchemas(OLD_SCHEMA, NEW_SCHEMA));
+});
+
+test('reports every type of an added file as new', () => {
+  assert.deepStrictEqual(diffGraphQLSchemas(null, OLD_SCHEMA).map(change => `${change.type} ${change.path}`), [
+    'new_type Query', 'new_type User', 'new_type UserFilter', 'new_type Role'
+  ]);
+});
+
+test('reports no changes for a schema that does not parse', () => {
+  assert.deepStrictEqual(diffGraphQLSchemas(OLD_SCHEMA, 'type Query {'), []);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { validateProvider, loadProvider, chatCompletion, chatCompletionParams } = require('../utils/llm-provider');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+test('accepts a bundled provider', () => {
+  assert.deepStrictEqual(validateProvider({ provider: 'mock', provider_options: { fixtures_dir: FIXTURES_DIR } }), []);
+});
+
+test('rejects provider names outside the bundled providers', () => {
+  for (const provider of ['unknown', '../utils/git', '/tmp/evil']) {
+    const [error] = validateProvider({ provider });
+    assert.match(error, /^LLM provider not found: .* \(available: .*\bmock\b.*\)$/);
+    assert.throws(() => loadProvider({ provider }), /LLM provider not found/);
+  }
+});
+
+test('replays the recorded answer and counts its usage', async () => {
+  const provider = loadProvider({ provider: 'mock', model: 'gpt-4o-mini', provider_options: { fixtures_dir: FIXTURES_DIR } });
+  const { content, usage } = await provider.complete({ messages: [{ role: 'user', content: 'Hello' }], maxTokens: 100 });
+  assert.strictEqual(JSON.parse(content).files[0].path, 'tests/users.test.js');
+  assert.strictEqual(usage.estimated, true);
+  assert.deepStrictEqual(provider.usage(), usage);
+});
+
+// Client whose chat.completions.create records its parameters and fails while `reject` returns an error
+function chatClient(reject = () => null) {
+  const calls = [];
+  const create = async (params) => {
+    calls.push(params);
+    const error = reject(params);
+    if (error) throw error;
+    return { choices: [{ message: { content: '{"files":[]}' } }], usage: { prompt_tokens: 10, completion_tokens: 2 } };
+  };
+  return { calls, client: { chat: { completions: { create } } } };
+}
+
+const REQUEST = { messages: [{ role: 'user', content: 'Hello' }], maxTokens: 100, temperature: 0.2, responseSchema: { name: 'tests', schema: { type: 'object' } } };
+
+test('sends max_completion_tokens and no temperature to reasoning models', async () => {
+  const { calls, client } = chatClient();
+  await chatCompletion(client, 'o3-mini', {})(REQUEST);
+  await chatCompletion(client, 'gpt-4o', {})(REQUEST);
+  // Azure deployments are named freely
+  await chatCompletion(client, 'prod-deployment', { provider_options: { reasoning_model: true } })(REQUEST);
+
+  assert.deepStrictEqual(calls.map(({ max_tokens, max_completion_tokens, temperature }) => ({ max_tokens, max_completion_tokens, temperature })), [
+    { max_tokens: undefined, max_completion_tokens: 100, temperature: undefined },
+    { max_tokens: 100, max_completion_tokens: undefined, temperature: 0.2 },
+    { max_tokens: undefined, max_completion_tokens: 100, temperature: undefined }
+  ]);
+  assert.strictEqual('temperature' in calls[0], false);
+});
+
+test('requests the configured response format', () => {
+  const format = (response_format) => chatCompletionParams('gpt-4o', REQUEST, { responseFormat: response_format, reasoning: false }).response_format;
+  assert.strictEqual(format('json_schema').json_schema.strict, true);
+  assert.deepStrictEqual(format('json_object'), { type: 'json_object' });
+  assert.strictEqual(format('text'), undefined);
+
+  assert.deepStrictEqual(validateProvider({ provider: 'openai-compatible', model: 'llama3', provider_options: { base_url: 'http://localhost:11434/v1', response_format: 'xml', reasoning_model: 'yes' } }), [
+    'provider_options.response_format must be one of: json_schema, json_object, text',
+    'provider_options.reasoning_model must be true or false'
+  ]);
+});
+
+test('falls back to plain JSON when the server rejects the response format', async () => {
+  const rejection = Object.assign(new Error("400 'response_format.type' must be 'json_object' or 'text'"), { status: 400 });
+  const { calls, client } = chatClient(params => params.response_format && rejection);
+  const complete = chatCompletion(client, 'llama3', {});
+
+  const { content, usage } = await complete(REQUEST);
+  await complete(REQUEST);
+
+  assert.strictEqual(content, '{"files":[]}');
+  assert.strictEqual(usage.inputTokens, 10);
+  // Only the first request tries the schema
+  assert.deepStrictEqual(calls.map(params => params.response_format && params.response_format.type), ['json_schema', undefined, undefined]);
+
+  const other = chatClient(() => Object.assign(new Error('401 invalid api key'), { status: 401 }));
+  await assert.rejects(chatCompletion(other.client, 'llama3', {})(REQUEST), /invalid api key/);
+  assert.strictEqual(other.calls.length, 1);
+});
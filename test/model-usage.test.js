@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createUsageTracker, isSpendLimitError, formatUsage, validateUsageSettings } = require('../utils/model-usage');
+
+const PRICING = { model_pricing: { input_per_million: 1, output_per_million: 2 } };
+
+function request(maxTokens = 100) {
+  return { messages: [{ role: 'user', content: 'hello world' }], maxTokens };
+}
+
+const answer = (usage) => async () => ({ content: '{"files":[]}', usage });
+
+test('counts reported usage and its cost', async () => {
+  const tracker = createUsageTracker(PRICING, 'gpt-4o-mini');
+  const { usage } = await tracker.track(request(), answer({ inputTokens: 1000, outputTokens: 500 }));
+
+  assert.deepStrictEqual(usage, { requests: 1, inputTokens: 1000, outputTokens: 500, estimated: false, cost: 0.002 });
+  assert.deepStrictEqual(tracker.totals(), usage);
+  assert.strictEqual(formatUsage(usage), '1 request, 1,000 input + 500 output tokens, ≈ $0.0020');
+});
+
+test('estimates usage the API does not report', async () => {
+  const tracker = createUsageTracker({}, 'gpt-4o-mini');
+  const { usage } = await tracker.track(request(), answer(null));
+
+  assert.strictEqual(usage.estimated, true);
+  assert.strictEqual(usage.inputTokens, 2);
+  assert.ok(usage.outputTokens > 0);
+});
+
+test('refuses requests that could go over the spend limit', async () => {
+  const tracker = createUsageTracker({ spend_limit: { max_tokens: 1000 } }, 'gpt-4o-mini');
+  await tracker.track(request(100), answer({ inputTokens: 400, outputTokens: 100 }));
+
+  // 500 used; a prompt of 2 tokens plus a full answer of 600 would pass 1000
+  let called = false;
+  await assert.rejects(tracker.track(request(600), async () => { called = true; }), (error) => {
+    assert.ok(isSpendLimitError(error));
+    assert.match(error.message, /500 of 1000 tokens used, the next request may need 602/);
+    return true;
+  });
+  assert.strictEqual(called, false);
+  await tracker.track(request(400), answer({ inputTokens: 2, outputTokens: 10 }));
+});
+
+test('reserves the worst case of requests that are still running', async () => {
+  const tracker = createUsageTracker({ ...PRICING, spend_limit: { max_cost_usd: 0.001 } }, 'gpt-4o-mini');
+  let finish;
+  const running = tracker.track(request(400), () => new Promise(resolve => { finish = resolve; }));
+
+  // 400 output tokens at $2/M are reserved, so another such request would exceed $0.001
+  await assert.rejects(tracker.track(request(400), answer(null)), /Spend limit reached/);
+
+  finish({ content: '', usage: { inputTokens: 2, outputTokens: 2 } });
+  await running;
+  await tracker.track(request(400), answer({ inputTokens: 2, outputTokens: 2 }));
+});
+
+test('validates spend limit and pricing settings', () => {
+  assert.deepStrictEqual(validateUsageSettings({ spend_limit: { max_cost_usd: 0, max_tokens: 1.5 }, model_pricing: { input_per_million: 1 } }), [
+    'spend_limit.max_cost_usd must be a positive number',
+    'spend_limit.max_tokens must be a positive integer',
+    'model_pricing.output_per_million must be a price in USD'
+  ]);
+});
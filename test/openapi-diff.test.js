@@ -0,0 +1,174 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { diffOpenAPISpecs } = require('../utils/openapi-diff');
+
+const USER_SPEC = `
+openapi: 3.0.0
+info: { title: Users, version: 1.0.0 }
+paths:
+  /users/{id}:
+    get:
+      parameters:
+        - { name: id, in: path, required: true, schema: { type: string } }
+      responses:
+        '200':
+          description: A user
+          content:
+            application/json:
+              schema: { $ref: './schemas/user.yaml#/User' }
+`;
+
+const OLD_USER = `
+User:
+  type: object
+  properties:
+    id: { type: string }
+    name: { type: string }
+`;
+
+const NEW_USER = `
+User:
+  type: object
+  required: [email]
+  properties:
+    id: { type: integer }
+    name: { type: string }
+    email: { type: string }
+`;
+
+// Spec with a tree of categories, each listing its subcategories
+function categorySpec(nameType) {
+  return JSON.stringify({
+    openapi: '3.0.0',
+    info: { title: 'Categories', version: '1.0.0' },
+    paths: {
+      '/categories': {
+        get: {
+          responses: {
+            200: {
+              description: 'The category tree',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Category' } } }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Category: {
+          type: 'object',
+          properties: {
+            name: { type: nameType },
+            children: { type: 'array', items: { $ref: '#/components/schemas/Category' } }
+          }
+        }
+      }
+    }
+  });
+}
+
+test('compares schemas from a $ref into another file at both revisions', async () => {
+  const reads = [];
+  const reader = (content) => (refPath) => {
+    reads.push(refPath);
+    return content;
+  };
+
+  const changes = await diffOpenAPISpecs(USER_SPEC, USER_SPEC, {
+    file: 'openapi.yaml',
+    readOldFile: reader(OLD_USER),
+    readNewFile: reader(NEW_USER)
+  });
+
+  // Referenced files are read relative to the spec, by absolute path
+  assert.deepStrictEqual(reads, [path.resolve('schemas/user.yaml'), path.resolve('schemas/user.yaml')]);
+  assert.strictEqual(changes.length, 1);
+  const [responseChanges] = changes;
+  assert.strictEqual(responseChanges.type, 'response_changes');
+  // Found by following the escaped pointers through the dereferenced spec (see attributeSources)
+  assert.strictEqual(responseChanges.source, 'schemas/user.yaml');
+
+  const schemaPointer = '/paths/~1users~1{id}/get/responses/200/content/application~1json/schema';
+  assert.deepStrictEqual(responseChanges.details.map(({ type, pointer, ref, source }) => ({ type, pointer, ref, source })), [
+    { type: 'type_changed', pointer: `${schemaPointer}/properties/id`, ref: './schemas/user.yaml#/User', source: 'schemas/user.yaml' },
+    { type: 'new_property', pointer: `${schemaPointer}/properties/email`, ref: './schemas/user.yaml#/User', source: 'schemas/user.yaml' }
+  ]);
+});
+
+test('compares self-referencing component schemas', async () => {
+  const changes = await diffOpenAPISpecs(categorySpec('string'), categorySpec('integer'), { file: 'openapi.json' });
+
+  assert.strictEqual(changes.length, 1);
+  assert.deepStrictEqual(changes[0].details.map(({ type, from, to, pointer, ref }) => ({ type, from, to, pointer, ref })), [{
+    type: 'type_changed',
+    from: 'string',
+    to: 'integer',
+    pointer: '/paths/~1categories/get/responses/200/content/application~1json/schema/properties/name',
+    ref: '#/components/schemas/Category'
+  }]);
+});
+
+test('finds no changes between identical self-referencing specs', async () => {
+  assert.deepStrictEqual(await diffOpenAPISpecs(categorySpec('string'), categorySpec('string'), { file: 'openapi.json' }), []);
+});
+
+test('compares parameters declared for the whole path with the operation ones', async () => {
+  const spec = (pathParameters) => JSON.stringify({
+    openapi: '3.0.0',
+    info: { title: 'Users', version: '1.0.0' },
+    paths: {
+      '/users': {
+        parameters: pathParameters,
+        get: { responses: { 200: { description: 'Users' } } },
+        post: {
+          // Overrides the path-level parameter of the same name and location
+          parameters: [{ name: 'tenant', in: 'query', required: false, schema: { type: 'string' } }],
+          responses: { 201: { description: 'Created' } }
+        }
+      }
+    }
+  });
+
+  const changes = await diffOpenAPISpecs(spec([]), spec([
+    { name: 'tenant', in: 'query', required: true, schema: { type: 'string' } },
+    { name: 'X-Trace', in: 'header', schema: { type: 'string' } }
+  ]), { file: 'openapi.json' });
+
+  assert.deepStrictEqual(changes.map(({ method, details }) => [method, details.map(({ type, parameter, required }) => [type, parameter, required])]), [
+    ['get', [['new_parameter', 'tenant', true], ['new_parameter', 'X-Trace', false]]],
+    ['post', [['new_parameter', 'X-Trace', false]]]
+  ]);
+});
+
+test('compares the inline schema of Swagger 2.0 parameters', async () => {
+  const spec = (limit, sort) => JSON.stringify({
+    swagger: '2.0',
+    info: { title: 'Users', version: '1.0.0' },
+    paths: {
+      '/users': {
+        get: {
+          parameters: [
+            { name: 'limit', in: 'query', ...limit },
+            { name: 'sort', in: 'query', type: 'string', ...sort }
+          ],
+          responses: { 200: { description: 'Users' } }
+        }
+      }
+    }
+  });
+
+  const [change] = await diffOpenAPISpecs(
+    spec({ type: 'string' }, { enum: ['name', 'age'] }),
+    spec({ type: 'integer', format: 'int32', maximum: 100 }, { enum: ['name'] }),
+    { file: 'swagger.json' }
+  );
+
+  assert.strictEqual(change.type, 'parameter_changes');
+  assert.deepStrictEqual(change.details.map(({ type, parameter, pointer }) => [type, parameter, pointer]), [
+    ['type_changed', 'limit', '/paths/~1users/get/parameters/0'],
+    ['format_changed', 'limit', '/paths/~1users/get/parameters/0'],
+    ['constraint_changed', 'limit', '/paths/~1users/get/parameters/0'],
+    ['removed_enum_value', 'sort', '/paths/~1users/get/parameters/1']
+  ]);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { matchRenamedOperations, pathShape } = require('../utils/openapi-renames');
+const { diffOpenAPISpecs } = require('../utils/openapi-diff');
+
+const USER_RESPONSE = {
+  200: { description: 'A user', content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } } } } }
+};
+
+function spec(paths) {
+  return JSON.stringify({ openapi: '3.0.0', info: { title: 'Users', version: '1.0.0' }, paths });
+}
+
+function getUser(idName, extra = {}) {
+  return { get: { parameters: [{ name: idName, in: 'path', required: true, schema: { type: 'string' } }], responses: USER_RESPONSE, ...extra } };
+}
+
+test('reports a path parameter rename as a renamed endpoint, not a removed and a new one', async () => {
+  const changes = await diffOpenAPISpecs(spec({ '/users/{id}': getUser('id') }), spec({ '/users/{userId}': getUser('userId') }), { file: 'openapi.json' });
+
+  assert.deepStrictEqual(changes.map(change => change.type), ['renamed_endpoint', 'parameter_changes']);
+  assert.deepStrictEqual(changes[0], {
+    type: 'renamed_endpoint',
+    path: '/users/{userId}',
+    method: 'get',
+    from: '/users/{id}',
+    matchedBy: 'path_template',
+    similarity: 1,
+    parameterRenameOnly: true
+  });
+  assert.strictEqual(changes[1].details[0].type, 'path_parameter_renamed');
+});
+
+test('matches moved operations by operationId, then by similar paths and signatures', async () => {
+  const changes = await diffOpenAPISpecs(
+    spec({ '/users/{id}': getUser('id', { operationId: 'getUser' }), '/v1/accounts/{id}': getUser('id') }),
+    spec({ '/people/{id}': getUser('id', { operationId: 'getUser' }), '/v2/accounts/{id}': getUser('id') }),
+    { file: 'openapi.json' }
+  );
+
+  assert.deepStrictEqual(changes.filter(change => change.type === 'renamed_endpoint').map(({ from, path, matchedBy }) => ({ from, path, matchedBy })), [
+    { from: '/users/{id}', path: '/people/{id}', matchedBy: 'operationId' },
+    { from: '/v1/accounts/{id}', path: '/v2/accounts/{id}', matchedBy: 'schema_similarity' }
+  ]);
+  assert.strictEqual(changes.some(change => /^(new|removed)_endpoint$/.test(change.type)), false);
+});
+
+test('keeps unrelated operations as removed and added', () => {
+  const removed = [{ path: '/users', method: 'get', operation: { operationId: 'listUsers' } }];
+  const added = [{ path: '/users', method: 'post', operation: { operationId: 'createUser' } }];
+
+  assert.deepStrictEqual(matchRenamedOperations(removed, added), []);
+  assert.strictEqual(pathShape('/users/{id}/posts/{postId}'), '/users/{}/posts/{}');
+});
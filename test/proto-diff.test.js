@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffProtoFiles } = require('../utils/proto-diff');
+
+const proto = (fields) => `syntax = "proto3";\nmessage User {\n${fields}\n}\n`;
+const summary = (changes) => changes.map(({ type, path, severity }) => ({ type, path, severity }));
+
+test('reports a field renamed on the same number as potentially breaking', () => {
+  assert.deepStrictEqual(summary(diffProtoFiles(proto('string name = 1;'), proto('string full_name = 1;'))), [
+    { type: 'field_renamed', path: 'User.full_name', severity: 'potentially_breaking' }
+  ]);
+});
+
+test('reports swapped field numbers as reuse, not renames', () => {
+  const changes = diffProtoFiles(proto('string first = 1;\nstring last = 2;'), proto('string last = 1;\nstring first = 2;'));
+
+  assert.deepStrictEqual(summary(changes), [
+    { type: 'field_number_reused', path: 'User.last', severity: 'breaking' },
+    { type: 'field_number_reused', path: 'User.first', severity: 'breaking' }
+  ]);
+  assert.deepStrictEqual(changes[0].from, { name: 'first', type: 'string' });
+});
+
+test('reports a field moved onto a freed number as renumbered and the number as reused', () => {
+  const changes = diffProtoFiles(proto('string id = 1;'), proto('string code = 1;\nstring id = 5;'));
+
+  assert.deepStrictEqual(summary(changes), [
+    { type: 'field_number_reused', path: 'User.code', severity: 'breaking' },
+    { type: 'field_renumbered', path: 'User.id', severity: 'breaking' }
+  ]);
+});
+
+test('treats removing a reserved field as safe', () => {
+  assert.deepStrictEqual(summary(diffProtoFiles(proto('string id = 1;\nstring legacy = 2;'), proto('string id = 1;\nreserved 2;\nreserved "legacy";'))), [
+    { type: 'removed_field', path: 'User.legacy', severity: 'non_breaking' }
+  ]);
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openResponseCache, cacheKey } = require('../utils/response-cache');
+
+let cacheDir;
+
+before(() => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-cache-'));
+});
+
+after(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('keys depend on the inputs, not on their key order', () => {
+  const key = cacheKey({ model: 'gpt-4o-mini', changes: [{ type: 'new_endpoint', path: '/users' }] });
+
+  assert.match(key, /^[0-9a-f]{32}$/);
+  assert.strictEqual(cacheKey({ changes: [{ path: '/users', type: 'new_endpoint' }], model: 'gpt-4o-mini' }), key);
+  // Undefined values are left out like JSON.stringify leaves them out
+  assert.strictEqual(cacheKey({ model: 'gpt-4o-mini', changes: [{ type: 'new_endpoint', path: '/users' }], extra: undefined }), key);
+
+  assert.notStrictEqual(cacheKey({ model: 'gpt-4o', changes: [{ type: 'new_endpoint', path: '/users' }] }), key);
+  // Array order is meaningful
+  assert.notStrictEqual(cacheKey({ list: [1, 2] }), cacheKey({ list: [2, 1] }));
+});
+
+test('stores and reads entries by key', () => {
+  const cache = openResponseCache({ response_cache: cacheDir });
+  const key = cacheKey({ file: 'openapi.yaml' });
+
+  assert.strictEqual(cache.get(key), null);
+  cache.set(key, { aiOutput: 'Adds a test', tests: [{ filePath: 'tests/users.test.js', code: 'x();' }] });
+  assert.deepStrictEqual(cache.get(key), { aiOutput: 'Adds a test', tests: [{ filePath: 'tests/users.test.js', code: 'x();' }] });
+  assert.deepStrictEqual(fs.readdirSync(cacheDir), [`${key}.json`]);
+});
+
+test('treats unreadable and outdated entries as misses', () => {
+  const cache = openResponseCache({ response_cache: cacheDir });
+  fs.writeFileSync(path.join(cacheDir, 'broken.json'), '{ "version": 1, "val');
+  fs.writeFileSync(path.join(cacheDir, 'old.json'), JSON.stringify({ version: 0, value: { aiOutput: 'old' } }));
+
+  assert.strictEqual(cache.get('broken'), null);
+  assert.strictEqual(cache.get('old'), null);
+});
+
+test('is off when response_cache is false', () => {
+  assert.strictEqual(openResponseCache({ response_cache: false }), null);
+});
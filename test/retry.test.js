@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withRetries, isRetryable, retryDelay, validateRetries } = require('../utils/retry');
+
+const NO_DELAY = { retries: { max_attempts: 3, initial_delay_seconds: 0, max_delay_seconds: 0 } };
+
+function apiError(status, extra = {}) {
+  return Object.assign(new Error(`${status} error`), { status, ...extra });
+}
+
+// Function failing with the given errors first, then resolving
+function flaky(...errors) {
+  let calls = 0;
+  const fn = async () => {
+    calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  return { fn, calls: () => calls };
+}
+
+test('retries transient errors until the call succeeds', async () => {
+  const { fn, calls } = flaky(apiError(429), Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+  assert.strictEqual(await withRetries(fn, NO_DELAY, 'test request'), 'ok');
+  assert.strictEqual(calls(), 3);
+});
+
+test('gives up after max_attempts and on errors that will not pass', async () => {
+  const transient = flaky(apiError(503), apiError(502), apiError(500));
+  await assert.rejects(withRetries(transient.fn, NO_DELAY, 'test request'), /500 error/);
+  assert.strictEqual(transient.calls(), 3);
+
+  const quota = flaky(apiError(429, { code: 'insufficient_quota' }));
+  await assert.rejects(withRetries(quota.fn, NO_DELAY, 'test request'), /429 error/);
+  assert.strictEqual(quota.calls(), 1);
+
+  assert.strictEqual(isRetryable(apiError(400)), false);
+  assert.strictEqual(isRetryable(apiError(401)), false);
+  assert.strictEqual(isRetryable(Object.assign(new Error('timeout'), { name: 'APIConnectionTimeoutError' })), true);
+});
+
+test('waits as long as the API asks, or backs off exponentially', () => {
+  const settings = { initialDelay: 1000, maxDelay: 4000 };
+  assert.strictEqual(retryDelay(apiError(429, { headers: { 'retry-after-ms': '250' } }), 1, settings), 250);
+  assert.strictEqual(retryDelay(apiError(429, { headers: new Headers({ 'retry-after': '3' }) }), 1, settings), 3000);
+
+  // Half the backoff plus jitter, capped at the maximum
+  for (const [attempt, backoff] of [[1, 1000], [2, 2000], [5, 4000]]) {
+    const delay = retryDelay(apiError(503), attempt, settings);
+    assert.ok(delay >= backoff / 2 && delay <= backoff, `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test('validates the retries setting', () => {
+  assert.deepStrictEqual(validateRetries({}), []);
+  assert.deepStrictEqual(validateRetries({ retries: { max_attempts: 0, initial_delay_seconds: -1 } }), [
+    'retries.max_attempts must be a positive integer',
+    'retries.initial_delay_seconds must be a number of seconds'
+  ]);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffSchemas, joinPointer } = require('../utils/schema-diff');
+
+// A tree node whose children are nodes again, as a dereferenced recursive $ref leaves it
+function treeSchema(valueType) {
+  const node = { type: 'object', properties: { value: { type: valueType } } };
+  node.properties.children = { type: 'array', items: node };
+  return node;
+}
+
+test('joinPointer escapes ~ and / in segments', () => {
+  assert.strictEqual(joinPointer('', 'paths', '/users/{id}', 'get'), '/paths/~1users~1{id}/get');
+  assert.strictEqual(joinPointer('/components/schemas', 'a~b'), '/components/schemas/a~0b');
+  // ~ is escaped first, so an escaped / is not escaped again
+  assert.strictEqual(joinPointer('', '~/'), '/~0~1');
+  assert.strictEqual(joinPointer('/allOf', 0), '/allOf/0');
+  assert.strictEqual(joinPointer('/items'), '/items');
+});
+
+test('reports changes to properties whose names need escaping', () => {
+  const oldSchema = { type: 'object', properties: { 'application/json': { type: 'string' } } };
+  const newSchema = { type: 'object', properties: { 'application/json': { type: 'number' }, 'x~y': { type: 'string' } } };
+
+  assert.deepStrictEqual(diffSchemas(oldSchema, newSchema, '/schema'), [
+    { type: 'type_changed', from: 'string', to: 'number', pointer: '/schema/properties/application~1json' },
+    { type: 'new_property', property: 'x~y', required: false, pointer: '/schema/properties/x~0y' }
+  ]);
+});
+
+test('compares a recursive schema once', () => {
+  assert.deepStrictEqual(diffSchemas(treeSchema('string'), treeSchema('integer')), [
+    { type: 'type_changed', from: 'string', to: 'integer', pointer: '/properties/value' }
+  ]);
+  assert.deepStrictEqual(diffSchemas(treeSchema('string'), treeSchema('string')), []);
+});
+
+test('compares mutually recursive schemas', () => {
+  const schemas = (ownerRequired) => {
+    const person = { type: 'object', properties: { name: { type: 'string' } } };
+    const team = { type: 'object', required: ownerRequired ? ['owner'] : [], properties: { owner: person } };
+    person.properties.teams = { type: 'array', items: team };
+    return person;
+  };
+
+  assert.deepStrictEqual(diffSchemas(schemas(false), schemas(true)), [
+    { type: 'property_requirement_changed', property: 'owner', from: false, to: true, pointer: '/properties/teams/items/properties/owner' }
+  ]);
+});
+
+test('compares a schema that becomes recursive', () => {
+  const oldSchema = { type: 'object', properties: { parent: { type: 'object', properties: {} } } };
+  const newSchema = { type: 'object', properties: {} };
+  newSchema.properties.parent = newSchema;
+
+  // The new side loops back to itself while the old one ends
+  assert.deepStrictEqual(diffSchemas(oldSchema, newSchema), [
+    { type: 'new_property', property: 'parent', required: false, pointer: '/properties/parent/properties/parent' }
+  ]);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildDependencyGraph } = require('../utils/spec-dependencies');
+
+// Reader over an in-memory repository that records what was read
+function repository(files) {
+  const reads = [];
+  const readFile = (file) => {
+    reads.push(file);
+    return files[file] || '';
+  };
+  return { reads, readFile };
+}
+
+test('maps referenced files to the root specs that include them', () => {
+  const { readFile } = repository({
+    'api/openapi.yaml': `
+paths:
+  /users: { $ref: 'paths/users.yaml' }
+  /orders: { $ref: './paths/orders.yaml#/get' }
+components:
+  schemas:
+    Local: { $ref: '#/components/schemas/Other' }
+`,
+    'api/paths/users.yaml': "get: { responses: { '200': { $ref: '../schemas/user.yaml#/User' } } }",
+    'api/paths/orders.yaml': "get: { responses: { '200': { $ref: '../schemas/user.yaml#/User' } } }",
+    'admin.json': JSON.stringify({ paths: { '/users': { $ref: 'api/paths/users.yaml' } } })
+  });
+
+  assert.deepStrictEqual(buildDependencyGraph(['api/openapi.yaml', 'admin.json'], readFile), {
+    'api/paths/users.yaml': ['api/openapi.yaml', 'admin.json'],
+    'api/paths/orders.yaml': ['api/openapi.yaml'],
+    // Included through other fragments, once per root
+    'api/schemas/user.yaml': ['api/openapi.yaml', 'admin.json']
+  });
+});
+
+test('reads each file once and survives reference cycles', () => {
+  const { reads, readFile } = repository({
+    'openapi.yaml': "a: { $ref: 'a.yaml' }\nb: { $ref: 'b.yaml' }",
+    'a.yaml': "b: { $ref: 'b.yaml' }",
+    'b.yaml': "a: { $ref: 'a.yaml' }\nroot: { $ref: 'openapi.yaml' }"
+  });
+
+  assert.deepStrictEqual(buildDependencyGraph(['openapi.yaml'], readFile), {
+    'a.yaml': ['openapi.yaml'],
+    'b.yaml': ['openapi.yaml']
+  });
+  assert.deepStrictEqual(reads.sort(), ['a.yaml', 'b.yaml', 'openapi.yaml']);
+});
+
+test('ignores refs that leave the repository', () => {
+  const { reads, readFile } = repository({
+    'specs/openapi.yaml': `
+a: { $ref: '../../outside.yaml' }
+b: { $ref: '/etc/passwd' }
+c: { $ref: 'https://example.com/schema.yaml' }
+d: { $ref: 'file:///etc/passwd' }
+e: { $ref: '../shared/ok.yaml' }
+`
+  });
+
+  assert.deepStrictEqual(buildDependencyGraph(['specs/openapi.yaml'], readFile), { 'shared/ok.yaml': ['specs/openapi.yaml'] });
+  assert.deepStrictEqual(reads, ['specs/openapi.yaml', 'shared/ok.yaml']);
+});
+
+test('skips files that are not specs', () => {
+  const { readFile } = repository({ 'openapi.yaml': '{ not: [valid' });
+  assert.deepStrictEqual(buildDependencyGraph(['openapi.yaml', 'missing.yaml'], readFile), {});
+});
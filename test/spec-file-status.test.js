@@ -0,0 +1,81 @@
+const { execFileSync } = require('child_process');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getChangedFileEntries } = require('../utils/git');
+const { describeFileStatus } = require('../utils/test-context');
+const apiDetector = require('../detectors/api-detector');
+
+function spec(title, paths) {
+  return JSON.stringify({ openapi: '3.0.0', info: { title, version: '1.0.0' }, paths }, null, 2);
+}
+
+const getOperation = (description) => ({ get: { responses: { 200: { description } } } });
+const USERS = spec('Users', { '/users': getOperation('Users'), '/users/{id}': getOperation('A user') });
+// Different enough from the deleted orders spec that git does not take it for a rename
+const INVOICES = spec('Invoices', {
+  '/invoices': { post: { requestBody: { content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } }, responses: { 201: { description: 'Uploaded' } } } }
+});
+
+const originalCwd = process.cwd();
+let workDir;
+let repoPath;
+
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoPath, encoding: 'utf8' });
+}
+
+before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-status-'));
+  repoPath = path.join(workDir, 'repo');
+  fs.mkdirSync(path.join(repoPath, 'specs'), { recursive: true });
+  git('init', '-q');
+  fs.writeFileSync(path.join(repoPath, 'specs/users.json'), USERS);
+  fs.writeFileSync(path.join(repoPath, 'specs/orders.json'), spec('Orders', { '/orders': getOperation('Orders') }));
+  git('add', '-A');
+  git('commit', '-q', '-m', 'specs');
+
+  // Rename users.json with one new operation, delete orders.json, add invoices.json
+  git('mv', 'specs/users.json', 'specs/people.json');
+  fs.writeFileSync(path.join(repoPath, 'specs/people.json'), USERS.replace('"/users": {', '"/users/me": {\n      "get": { "responses": { "200": { "description": "Me" } } }\n    },\n    "/users": {'));
+  git('rm', '-q', 'specs/orders.json');
+  fs.writeFileSync(path.join(repoPath, 'specs/invoices.json'), INVOICES);
+  git('add', '-A');
+  git('commit', '-q', '-m', 'rework specs');
+  process.chdir(repoPath);
+});
+
+after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('lists added, deleted and renamed spec files', () => {
+  const entries = getChangedFileEntries('HEAD~1', 'HEAD');
+  assert.deepStrictEqual(entries.sort((a, b) => a.file.localeCompare(b.file)), [
+    { file: 'specs/invoices.json', status: 'added', previousFile: null },
+    { file: 'specs/orders.json', status: 'deleted', previousFile: null },
+    { file: 'specs/people.json', status: 'renamed', previousFile: 'specs/users.json' }
+  ]);
+});
+
+test('diffs each file against its missing or previous side', async () => {
+  const diffs = await apiDetector.run(getChangedFileEntries('HEAD~1', 'HEAD'), { commit_range: { base: 'HEAD~1', head: 'HEAD' } });
+  const byFile = Object.fromEntries(diffs.map(diff => [diff.file, diff.changes.map(change => `${change.type} ${change.path}`)]));
+
+  assert.deepStrictEqual(byFile, {
+    'specs/invoices.json': ['new_endpoint /invoices'],
+    'specs/orders.json': ['removed_endpoint /orders'],
+    // Only what changed besides the name
+    'specs/people.json': ['new_endpoint /users/me']
+  });
+});
+
+test('tells the model how the file changed', () => {
+  assert.match(describeFileStatus({ status: 'added' }), /file is new/);
+  assert.match(describeFileStatus({ status: 'deleted' }), /was deleted/);
+  assert.match(describeFileStatus({ status: 'renamed', previousFile: 'specs/users.json' }), /renamed from specs\/users\.json/);
+  assert.strictEqual(describeFileStatus({ status: 'modified' }), '');
+});
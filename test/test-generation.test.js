@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateGroup, combineResults } = require('../utils/test-generation');
+const { emptyUsage } = require('../utils/model-usage');
+
+const RUN = { language: { label: 'JavaScript', conventions: '' }, model: 'gpt-4o-mini', budget: { maxOutputTokens: 1000 }, promptBudget: 10000, gherkinContext: '' };
+
+test('fails only the group whose requests cannot be prepared', async () => {
+  // Changes that cannot be serialized into a prompt
+  const broken = { type: 'new_endpoint', path: '/orders', method: 'get' };
+  broken.self = broken;
+  const diff = { file: 'openapi.yaml', status: 'modified', changes: [broken] };
+
+  const failed = await generateGroup(RUN, { diff, group: { label: 'GET /orders', changes: [broken] }, scoped: true });
+  assert.strictEqual(failed.parts.length, 1);
+  assert.strictEqual(failed.parts[0].failed, true);
+  assert.match(failed.parts[0].outputErrors[0], /circular/);
+
+  const generated = {
+    diff,
+    group: { label: 'GET /users', changes: [{ type: 'new_endpoint' }] },
+    parts: [{ aiOutput: 'ok', tests: [{ filePath: 'tests/users.test.js', action: 'create', code: 'x();' }], rejected: [], outputErrors: [], usage: emptyUsage(), cached: false, failed: false, skipped: false }]
+  };
+  const suggestion = combineResults(diff, [failed, generated], { testRepoPath: '/nonexistent', testFiles: [], stepDefinitions: [] });
+
+  assert.deepStrictEqual(suggestion.operations.map(({ operation, status }) => ({ operation, status })), [
+    { operation: 'GET /orders', status: 'failed' },
+    { operation: 'GET /users', status: 'generated' }
+  ]);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildTestIndex, analyzeTestFile, findTestsForOperations } = require('../utils/test-index');
+const { findRelevantTestFiles } = require('../utils/test-context');
+
+let repoPath;
+
+before(() => {
+  repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'test-updater-index-'));
+});
+
+after(() => {
+  fs.rmSync(repoPath, { recursive: true, force: true });
+});
+
+function writeTests(files) {
+  return Object.entries(files).map(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, file), content);
+    return path.join(repoPath, file);
+  });
+}
+
+test('resolves call URLs through constants and template literals', () => {
+  const { calls } = analyzeTestFile(`const BASE = '/api/v1';
+it('works', async () => {
+  await request(app).get(\`\${BASE}/users/\${id}\`);
+  await axios.post(BASE + '/orders', {});
+  await fetch('/health', { method: 'DELETE' });
+});`, 'users.test.js');
+
+  assert.deepStrictEqual(calls, [
+    { method: 'GET', path: '/api/v1/users/{}', line: 3 },
+    { method: 'POST', path: '/api/v1/orders', line: 4 },
+    { method: 'DELETE', path: '/health', line: 5 }
+  ]);
+});
+
+test('ranks files calling more of the operations, then exact paths first', () => {
+  const index = {
+    'tests/prefixed.test.js': [{ method: 'GET', path: '/api/v1/users/{}', line: 1 }],
+    'tests/users.test.js': [{ method: 'GET', path: '/users/{}', line: 1 }],
+    'tests/both.test.js': [{ method: 'GET', path: '/api/v1/users/{}', line: 1 }, { method: '*', path: '/orders', line: 2 }],
+    'tests/other.test.js': [{ method: 'POST', path: '/users/{}', line: 1 }]
+  };
+
+  assert.deepStrictEqual(findTestsForOperations(index, [{ method: 'get', path: '/users/{id}' }, { method: 'post', path: '/orders' }]), [
+    { file: 'tests/both.test.js', operations: ['GET /users/{id}', 'POST /orders'] },
+    { file: 'tests/users.test.js', operations: ['GET /users/{id}'] },
+    { file: 'tests/prefixed.test.js', operations: ['GET /users/{id}'] }
+  ]);
+});
+
+test('selects the test files the index says call a changed operation', async () => {
+  const files = writeTests({
+    'tests/a.test.js': "it('a', () => request(app).get('/users'));\n",
+    'tests/b.test.js': "it('b', () => request(app).delete('/users/1'));\n"
+  });
+  const index = buildTestIndex(files, repoPath, { cachePath: false });
+  const diff = { changes: [{ type: 'new_required_parameter', path: '/users/{id}', method: 'delete' }] };
+
+  assert.deepStrictEqual(await findRelevantTestFiles(files, diff, index, repoPath), [path.join(repoPath, 'tests/b.test.js')]);
+});
+
+test('falls back to any test files when none look like API tests', async () => {
+  const files = writeTests({
+    'fallback/one.test.js': "it('one', () => {});\n",
+    'fallback/two.test.js': "it('two', () => {});\n",
+    'fallback/three.test.js': "it('three', () => {});\n"
+  });
+  const diff = { changes: [{ type: 'new_endpoint', path: '/invoices', method: 'get' }] };
+
+  assert.deepStrictEqual(await findRelevantTestFiles(files, diff), files.slice(0, 2));
+});
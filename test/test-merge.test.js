@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mergeTestCode, renderTestChange } = require('../utils/test-merge');
+
+const USERS_TEST = `import api from "./client";
+
+describe('users', () => {
+  it('gets a user', async () => {
+    await api.get('/users/1');
+  });
+
+  it('lists users', async () => {
+    await api.get('/users');
+  });
+});
+`;
+
+test('merges tests into the describe block with the same name', () => {
+  const merged = mergeTestCode(USERS_TEST, `describe('users', () => {
+  it('gets a user', async () => {
+    await api.get('/v2/users/1');
+  });
+
+  it('deletes a user', async () => {
+    await api.delete('/users/1');
+  });
+});
+`, 'tests/users.test.js');
+
+  assert.strictEqual(merged.match(/it\('gets a user'/g).length, 1);
+  assert.match(merged, /api\.get\('\/v2\/users\/1'\)/);
+  assert.match(merged, /it\('lists users'/);
+  // New tests go at the end of the suite, at its indentation
+  assert.match(merged, /\n {2}it\('deletes a user', async \(\) => \{\n {4}await api\.delete\('\/users\/1'\);\n {2}\}\);\n\}\);\n$/);
+});
+
+test('adds named imports to a default-only import of the same module', () => {
+  const merged = renderTestChange({
+    action: 'update',
+    filePath: 'tests/users.test.js',
+    description: 'Logs in first',
+    code: `import api, { login } from "./client";
+
+describe('users', () => {
+  it('gets the current user', async () => {
+    await login();
+    await api.get('/me');
+  });
+});
+`
+  }, USERS_TEST);
+
+  assert.match(merged, /^import api, \{ login \} from "\.\/client";$/m);
+  assert.strictEqual(merged.match(/from "\.\/client"/g).length, 1);
+  assert.match(merged, /await login\(\);/);
+});
+
+test('imports named bindings in a second statement next to namespace imports and plain requires', () => {
+  const namespaced = mergeTestCode(`import * as api from './client';\n\napi.get('/');\n`,
+    `import { login as signIn } from './client';\n\nsignIn();\n`, 'tests/a.test.ts');
+  assert.match(namespaced, /^import \* as api from '\.\/client';\nimport \{ login as signIn \} from '\.\/client';$/m);
+
+  const required = mergeTestCode(`const api = require('./client');\n\napi.get('/');\n`,
+    `const { login } = require('./client');\n\nlogin();\n`, 'tests/a.test.js');
+  assert.match(required, /^const api = require\('\.\/client'\);\nconst \{ login \} = require\('\.\/client'\);$/m);
+});
+
+test('adds missing bindings to an existing named import and new modules after the imports', () => {
+  const merged = mergeTestCode(`import { get } from './client';\nimport { expect } from 'chai';\n\nget('/');\n`,
+    `import { get, post } from './client';\nimport nock from 'nock';\n\npost('/');\n`, 'tests/a.test.js');
+
+  assert.match(merged, /^import \{ get, post \} from '\.\/client';\nimport \{ expect \} from 'chai';\nimport nock from 'nock';$/m);
+});
+
+test('merges scenarios into a feature by name', () => {
+  const merged = mergeTestCode(`Feature: Users
+
+  Scenario: Get a user
+    When I get user 1
+    Then the status is 200
+
+  Scenario: List users
+    When I list users
+    Then the status is 200
+`, `Feature: Users
+
+  Scenario: Get a user
+    When I get user 1 with version 2
+    Then the status is 200
+
+  Scenario: Delete a user
+    When I delete user 1
+    Then the status is 204
+`, 'features/users.feature');
+
+  assert.strictEqual(merged.match(/Scenario: Get a user/g).length, 1);
+  assert.match(merged, /with version 2/);
+  assert.match(merged, /Scenario: List users/);
+  assert.match(merged, /Scenario: Delete a user/);
+});
+
+test('appends under a banner when the existing file does not parse', () => {
+  const existing = 'describe("broken", () => {\n';
+  const merged = renderTestChange({ action: 'update', filePath: 'tests/broken.test.js', description: 'Adds a test', code: 'it("works", () => {});' }, existing);
+
+  assert.strictEqual(merged, `${existing}\n\n// === AI-Generated Test Updates ===\n// Adds a test\n\nit("works", () => {});`);
+});
+
+test('creates new files as generated', () => {
+  assert.strictEqual(renderTestChange({ action: 'create', filePath: 'tests/new.test.js', code: 'x();' }, null), 'x();');
+  assert.strictEqual(renderTestChange({ action: 'rename', filePath: 'tests/new.test.js', code: 'x();' }, null), null);
+});
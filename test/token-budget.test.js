@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveTokenBudget, validateTokenBudget, countTokens, truncateToTokens, chunkChanges } = require('../utils/token-budget');
+
+const MODEL = 'gpt-4o-mini';
+
+// A change whose JSON is roughly `size` tokens
+function change(path, method, size = 0) {
+  return { type: 'new_property', path, method, description: 'word '.repeat(size) };
+}
+
+test('takes limits from the model unless configured', () => {
+  assert.deepStrictEqual(resolveTokenBudget({}, 'gpt-4o-mini'), { contextWindow: 128000, maxOutputTokens: 16384 });
+  assert.deepStrictEqual(resolveTokenBudget({}, 'gpt-4'), { contextWindow: 8192, maxOutputTokens: 2048 });
+  // Unknown (local) models get a modest default
+  assert.deepStrictEqual(resolveTokenBudget({}, 'llama3'), { contextWindow: 16384, maxOutputTokens: 4096 });
+  assert.deepStrictEqual(resolveTokenBudget({ token_budget: { context_window: 32000 } }, 'llama3'), { contextWindow: 32000, maxOutputTokens: 4096 });
+
+  assert.deepStrictEqual(validateTokenBudget({ token_budget: { context_window: 1000, max_output_tokens: 1000 } }), [
+    'token_budget.max_output_tokens must be smaller than token_budget.context_window'
+  ]);
+  assert.deepStrictEqual(validateTokenBudget({ token_budget: { context_window: '8k' } }), ['token_budget.context_window must be a positive integer']);
+});
+
+test('counts tokens with the model tokenizer and truncates at line boundaries', () => {
+  assert.strictEqual(countTokens('hello world', MODEL), 2);
+  assert.strictEqual(countTokens('hello world', 'some-local-model'), 2);
+
+  const text = 'first line\nsecond line\nthird line';
+  assert.strictEqual(truncateToTokens(text, 100, MODEL), text);
+  assert.strictEqual(truncateToTokens(text, 5, MODEL), 'first line');
+  assert.strictEqual(truncateToTokens(text, 1, MODEL), '');
+});
+
+test('keeps everything in one chunk when it fits', () => {
+  const changes = [change('/users', 'get'), change('/orders', 'post')];
+  assert.deepStrictEqual(chunkChanges(changes, { maxTokens: 10000, maxOutputTokens: 16000 }, MODEL), [changes]);
+});
+
+test('splits by prompt tokens and keeps changes to one operation together', () => {
+  const users = [change('/users', 'get', 200), change('/users', 'get', 200)];
+  const orders = change('/orders', 'post', 200);
+  const chunks = chunkChanges([users[0], orders, users[1]], { maxTokens: 500, maxOutputTokens: 16000 }, MODEL);
+
+  assert.deepStrictEqual(chunks, [users, [orders]]);
+});
+
+test('limits the changes per chunk to what one answer can cover', () => {
+  const changes = ['/a', '/b', '/c', '/d', '/e'].map(path => change(path, 'get'));
+  // 1000 output tokens cover two changes
+  const chunks = chunkChanges(changes, { maxTokens: 100000, maxOutputTokens: 1000 }, MODEL);
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.map(item => item.path)), [['/a', '/b'], ['/c', '/d'], ['/e']]);
+});
+
+test('splits an operation that does not fit on its own and still sends oversized changes', () => {
+  const changes = [change('/users', 'get', 300), change('/users', 'get', 300), change('/users', 'get', 2000)];
+  const chunks = chunkChanges(changes, { maxTokens: 500, maxOutputTokens: 16000 }, MODEL);
+
+  assert.deepStrictEqual(chunks, changes.map(item => [item]));
+});
@@ -0,0 +1,212 @@
+const { diffSchemas, joinPointer } = require('./schema-diff');
+const { parseSpec, dereferenceSpec, refOf, attributeSources } = require('./spec-refs');
+
+/**
+ * Compare two versions of an AsyncAPI 2.x/3.x document
+ * @param {string|null} oldDocStr - Previous document content (JSON or YAML), or null for a newly added document
+ * @param {string|null} newDocStr - Current document content (JSON or YAML), or null for a deleted document
+ * @param {Object} [options] - Same as diffOpenAPISpecs: { file, previousFile, readOldFile, readNewFile }
+ * @returns {Promise<Object[]>} Array of change records
+ */
+async function diffAsyncAPIDocs(oldDocStr, newDocStr, options = {}) {
+  try {
+    // A missing side is an empty document, so everything is reported as added or removed
+    const oldDoc = oldDocStr === null
+      ? {}
+      : await dereferenceSpec(parseSpec(oldDocStr), options.previousFile || options.file, options.readOldFile);
+    const newDoc = newDocStr === null
+      ? {}
+      : await dereferenceSpec(parseSpec(newDocStr), options.file, options.readNewFile);
+
+    const changes = [];
+
+    // Channels, by address (AsyncAPI 3) or channel name (AsyncAPI 2)
+    const oldChannels = channelAddresses(oldDoc);
+    const newChannels = channelAddresses(newDoc);
+    newChannels.filter(address => !oldChannels.includes(address)).forEach(address => {
+      changes.push({ type: "new_channel", path: address, references: [address] });
+    });
+    oldChannels.filter(address => !newChannels.includes(address)).forEach(address => {
+      changes.push({ type: "removed_channel", path: address, references: [address] });
+    });
+
+    // Operations, by channel and action
+    const oldOperations = collectOperations(oldDoc);
+    const newOperations = collectOperations(newDoc);
+
+    for (const key in newOperations) {
+      const newOperation = newOperations[key];
+      const oldOperation = oldOperations[key];
+      const context = {
+        path: newOperation.channel,
+        action: newOperation.action,
+        side: newOperation.side,
+        references: [newOperation.channel]
+      };
+
+      if (!oldOperation) {
+        // Operations on a brand new channel are covered by new_channel
+        if (oldChannels.includes(newOperation.channel)) {
+          changes.push({ type: "new_operation", ...context, operationId: newOperation.operationId });
+        }
+        continue;
+      }
+
+      changes.push(...compareMessages(oldOperation.messages, newOperation.messages, context));
+    }
+
+    for (const key in oldOperations) {
+      const oldOperation = oldOperations[key];
+      if (!newOperations[key] && newChannels.includes(oldOperation.channel)) {
+        changes.push({
+          type: "removed_operation",
+          path: oldOperation.channel,
+          action: oldOperation.action,
+          side: oldOperation.side,
+          operationId: oldOperation.operationId,
+          references: [oldOperation.channel]
+        });
+      }
+    }
+
+    return attributeSources(changes, oldDoc, newDoc);
+  } catch (error) {
+    console.error('Error comparing AsyncAPI documents:', error.message);
+    return [];
+  }
+}
+
+function isV3(doc) {
+  return String(doc.asyncapi || '').startsWith('3');
+}
+
+function channelAddresses(doc) {
+  const channels = doc.channels || {};
+  if (!isV3(doc)) {
+    return Object.keys(channels);
+  }
+  return Object.keys(channels).map(id => (channels[id] && channels[id].address) || id);
+}
+
+/**
+ * Normalize AsyncAPI 2 (channel publish/subscribe) and AsyncAPI 3 (operations) into one shape
+ * @param {Object} doc - Dereferenced AsyncAPI document
+ * @returns {Object} Map of "channel action" -> { channel, action, side, operationId, messages }
+ */
+function collectOperations(doc) {
+  const operations = {};
+  const add = (operation) => {
+    operations[`${operation.channel} ${operation.action}`] = operation;
+  };
+
+  if (isV3(doc)) {
+    for (const id in doc.operations || {}) {
+      const operation = doc.operations[id] || {};
+      const channel = operation.channel || {};
+      const channelId = Object.keys(doc.channels || {}).find(key => doc.channels[key] === channel);
+      const address = channel.address || channelId || id;
+      const messages = {};
+
+      if (Array.isArray(operation.messages) && operation.messages.length > 0) {
+        // Operation messages reference messages of the channel
+        const channelMessages = channel.messages || {};
+        operation.messages.forEach((message, i) => {
+          const messageId = Object.keys(channelMessages).find(key => channelMessages[key] === message);
+          const key = messageId || messageKey(message, String(i));
+          messages[key] = { message, pointer: joinPointer('', 'channels', channelId || address, 'messages', key) };
+        });
+      } else {
+        for (const key in channel.messages || {}) {
+          messages[key] = { message: channel.messages[key], pointer: joinPointer('', 'channels', channelId || address, 'messages', key) };
+        }
+      }
+
+      add({ channel: address, action: operation.action, side: sideOf(operation.action), operationId: id, messages });
+    }
+    return operations;
+  }
+
+  for (const name in doc.channels || {}) {
+    for (const action of ['publish', 'subscribe']) {
+      const operation = doc.channels[name][action];
+      if (!operation) {
+        continue;
+      }
+
+      const messages = {};
+      const message = operation.message || {};
+      const operationPointer = joinPointer('', 'channels', name, action, 'message');
+      if (Array.isArray(message.oneOf)) {
+        message.oneOf.forEach((item, i) => {
+          messages[messageKey(item, String(i))] = { message: item, pointer: joinPointer(operationPointer, 'oneOf', String(i)) };
+        });
+      } else {
+        messages[messageKey(message, 'message')] = { message, pointer: operationPointer };
+      }
+
+      add({ channel: name, action, side: sideOf(action), operationId: operation.operationId, messages });
+    }
+  }
+  return operations;
+}
+
+// Messages the application sends are consumed by others, like API responses;
+// messages it receives are produced by others, like API requests.
+// AsyncAPI 2 describes operations from the client's view: `subscribe` means the application publishes.
+function sideOf(action) {
+  return action === 'send' || action === 'subscribe' ? 'response' : 'request';
+}
+
+function messageKey(message, fallback) {
+  const ref = refOf(message);
+  return message.messageId || message.name || (ref && ref.split('/').pop()) || message.title || fallback;
+}
+
+function compareMessages(oldMessages, newMessages, context) {
+  const changes = [];
+
+  for (const key in newMessages) {
+    if (!oldMessages[key]) {
+      changes.push({ type: "new_message", ...context, message: key });
+      continue;
+    }
+
+    const oldMessage = oldMessages[key].message || {};
+    const newMessage = newMessages[key].message || {};
+    const pointer = newMessages[key].pointer;
+    const ref = refOf(newMessage) || refOf(oldMessage);
+    const details = [];
+
+    if ((oldMessage.contentType || null) !== (newMessage.contentType || null)) {
+      details.push({
+        type: "message_content_type_changed",
+        from: oldMessage.contentType || null,
+        to: newMessage.contentType || null,
+        pointer
+      });
+    }
+
+    details.push(...diffSchemas(payloadSchema(oldMessage), payloadSchema(newMessage), joinPointer(pointer, 'payload'), { refOf, ref }));
+    details.push(...diffSchemas(oldMessage.headers, newMessage.headers, joinPointer(pointer, 'headers'), { refOf, ref }));
+
+    if (details.length > 0) {
+      changes.push({ type: "message_changes", ...context, message: key, details });
+    }
+  }
+
+  for (const key in oldMessages) {
+    if (!newMessages[key]) {
+      changes.push({ type: "removed_message", ...context, message: key });
+    }
+  }
+
+  return changes;
+}
+
+// AsyncAPI 3 allows wrapping payloads in a multi-format schema object ({ schemaFormat, schema })
+function payloadSchema(message) {
+  const payload = message.payload;
+  return payload && payload.schemaFormat && payload.schema ? payload.schema : payload;
+}
+
+module.exports = { diffAsyncAPIDocs };
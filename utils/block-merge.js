@@ -0,0 +1,97 @@
+/**
+ * Line-based merging for languages that are not parsed in-process (Python, Java, Go).
+ *
+ * Code is split into blocks: a block starts at a line with the region's indentation and
+ * runs until the next such line, so it takes in a whole function, class or method.
+ * Decorators, annotations and comments directly above a declaration belong to it.
+ */
+
+/**
+ * Split lines into declaration blocks
+ * @param {string[]} lines - Lines of the region to split
+ * @param {Object} syntax - { indent: string, isPrefix(line): boolean } where prefix lines
+ *   (decorators, annotations, comments) start the block of the declaration after them
+ * @returns {{ start: number, end: number }[]} Block line ranges, end exclusive and without trailing blank lines
+ */
+function splitBlocks(lines, syntax) {
+  const blocks = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const startsBlock = line.trim() !== '' && leadingIndent(line) === syntax.indent && !/^[)\]}]/.test(line.trim());
+    if (startsBlock && !(current && current.prefixOnly)) {
+      current = { start: index, end: index + 1, prefixOnly: syntax.isPrefix(line.trim()) };
+      blocks.push(current);
+      return;
+    }
+    if (current && line.trim() !== '') {
+      current.end = index + 1;
+      current.prefixOnly = current.prefixOnly && startsBlock && syntax.isPrefix(line.trim());
+    }
+  });
+
+  return blocks.map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Merge new declaration blocks into a region of a file. Blocks whose name matches an existing
+ * block replace it (keeping the existing comments above it unless the new block has its own),
+ * identical blocks are skipped and the rest are appended after the last non-blank line of the region.
+ * @param {string[]} lines - Lines of the existing file
+ * @param {{ start: number, end: number, indent: string }} region - Lines to merge into (end exclusive)
+ * @param {string[][]} newBlocks - Lines of each new block, already at the region's indentation
+ * @param {Object} options - { syntax (see splitBlocks, plus isComment(line)), blockName(lines): string|null,
+ *   separator: blank lines between blocks }
+ * @returns {string[]} Lines of the merged file
+ */
+function mergeBlocks(lines, region, newBlocks, options) {
+  const regionLines = lines.slice(region.start, region.end);
+  const existingBlocks = splitBlocks(regionLines, { ...options.syntax, indent: region.indent })
+    .map(block => ({ ...block, lines: regionLines.slice(block.start, block.end) }));
+  const replacements = new Map();
+  const appended = [];
+
+  for (const blockLines of newBlocks) {
+    const name = options.blockName(blockLines);
+    const match = name && existingBlocks.find(block => options.blockName(block.lines) === name);
+    if (match) {
+      const comments = (lines) => lines.slice(0, lines.findIndex(line => !options.syntax.isComment(line.trim())));
+      replacements.set(match, comments(blockLines).length > 0 ? blockLines : [...comments(match.lines), ...blockLines]);
+    } else if (!existingBlocks.some(block => block.lines.join('\n') === blockLines.join('\n'))) {
+      appended.push(blockLines);
+    }
+  }
+
+  const merged = [];
+  let position = 0;
+  for (const block of existingBlocks) {
+    merged.push(...regionLines.slice(position, block.start), ...(replacements.get(block) || block.lines));
+    position = block.end;
+  }
+  merged.push(...regionLines.slice(position));
+
+  // New blocks go after the last non-blank line, before any trailing blank lines of the region
+  const contentEnd = merged.findLastIndex(line => line.trim() !== '') + 1;
+  const body = merged.slice(0, contentEnd);
+  const gap = Array(options.separator).fill('');
+  appended.forEach(blockLines => body.push(...(body.length > 0 ? gap : []), ...blockLines));
+
+  return [...lines.slice(0, region.start), ...body, ...merged.slice(contentEnd), ...lines.slice(region.end)];
+}
+
+/**
+ * Move lines from one indentation to another
+ * @param {string[]} lines - Lines to move
+ * @param {string} from - Current indentation
+ * @param {string} to - New indentation
+ * @returns {string[]} Reindented lines
+ */
+function reindentLines(lines, from, to) {
+  return lines.map(line => (line.startsWith(from) ? to + line.slice(from.length) : line));
+}
+
+function leadingIndent(line) {
+  return line.match(/^[ \t]*/)[0];
+}
+
+module.exports = { splitBlocks, mergeBlocks, reindentLines, leadingIndent };
@@ -0,0 +1,66 @@
+const GROUP_BY = ['operation', 'path', 'file'];
+const DEFAULT_GROUP_BY = 'operation';
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Split changes into the groups generated together: per operation (method and path, or AsyncAPI
+ * action and channel), per path (all methods of a path, all fields of a GraphQL type) or all at once.
+ * Changes without a path (e.g. security schemes) form one more group.
+ * @param {Object[]} changes - Changes of one spec file
+ * @param {string} groupBy - `operation`, `path` or `file`
+ * @param {string} detector - Detector that found the changes
+ * @returns {Object[]} Groups ({ label, changes }), in the order their first change appears
+ */
+function groupChanges(changes, groupBy, detector) {
+  if (groupBy === 'file' || changes.length === 0) {
+    return [{ label: 'all changes', changes }];
+  }
+  const groups = new Map();
+  for (const change of changes) {
+    const key = groupKey(change, groupBy, detector) || 'other changes';
+    groups.set(key, [...(groups.get(key) || []), change]);
+  }
+  return [...groups].map(([label, groupChanges]) => ({ label, changes: groupChanges }));
+}
+
+function groupKey(change, groupBy, detector) {
+  if (typeof change.path !== 'string' || !change.path) {
+    return null;
+  }
+  if (groupBy === 'path') {
+    return detector === 'graphql' ? change.path.split(/[.(]/)[0] : change.path;
+  }
+  const verb = change.method ? change.method.toUpperCase() : change.action;
+  return verb ? `${verb} ${change.path}` : change.path;
+}
+
+function generationSettings(config) {
+  const settings = config.generation || {};
+  return {
+    groupBy: settings.group_by || DEFAULT_GROUP_BY,
+    concurrency: settings.concurrency || DEFAULT_CONCURRENCY
+  };
+}
+
+/**
+ * Check the `generation` setting
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Error messages, empty when the settings are usable
+ */
+function validateGeneration(config) {
+  const settings = config.generation || {};
+  const errors = [];
+  if (settings.group_by !== undefined && !GROUP_BY.includes(settings.group_by)) {
+    errors.push(`generation.group_by must be one of ${GROUP_BY.join(', ')}, got "${settings.group_by}"`);
+  }
+  if (settings.concurrency !== undefined && !(Number.isInteger(settings.concurrency) && settings.concurrency > 0)) {
+    errors.push('generation.concurrency must be a positive integer');
+  }
+  return errors;
+}
+
+module.exports = {
+  groupChanges,
+  generationSettings,
+  validateGeneration
+};
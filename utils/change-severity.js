@@ -0,0 +1,280 @@
+/**
+ * Severity levels, from least to most impactful
+ */
+const SEVERITIES = ['non_breaking', 'potentially_breaking', 'breaking'];
+
+const BREAKING = 'breaking';
+const POTENTIALLY_BREAKING = 'potentially_breaking';
+const NON_BREAKING = 'non_breaking';
+
+// Container records whose severity is the highest severity of their details
+const CONTAINER_TYPES = ['parameter_changes', 'request_body_changes', 'response_changes', 'security_changes', 'message_changes'];
+// Containers whose details are all on one side of the exchange
+const CONTAINER_SIDES = { parameter_changes: 'request', request_body_changes: 'request', response_changes: 'response' };
+
+/**
+ * Classification rules, keyed by change type.
+ *
+ * A rule is either a fixed severity or a function of the change record and the
+ * side of the exchange it affects ('request' or 'response'). For event-driven
+ * APIs, messages the application sends count as responses and messages it
+ * receives as requests. The guiding
+ * principle: a change is breaking when an existing, previously valid client
+ * request is now rejected, or an existing client can no longer rely on what
+ * the response used to guarantee.
+ *
+ * | Change                              | Request side           | Response side          |
+ * |-------------------------------------|------------------------|------------------------|
+ * | new endpoint / method               | non-breaking           |                        |
+ * | removed endpoint / method           | breaking               |                        |
+ * | new parameter / body / property     | breaking if required   | non-breaking           |
+ * | removed parameter / body / property | potentially breaking   | breaking               |
+ * | field becomes required              | breaking               | non-breaking           |
+ * | field becomes optional              | non-breaking           | potentially breaking   |
+ * | new response code                   |                        | potentially breaking   |
+ * | removed response code               |                        | breaking               |
+ * | new / removed media type            | non-breaking / breaking| non-breaking / breaking|
+ * | new / removed response header       |                        | non-breaking / breaking|
+ * | type changed                        | breaking               | breaking               |
+ * | format changed                      | potentially breaking   | potentially breaking   |
+ * | becomes nullable                    | non-breaking           | breaking               |
+ * | no longer nullable                  | breaking               | non-breaking           |
+ * | new enum value                      | non-breaking           | potentially breaking   |
+ * | removed enum value                  | breaking               | non-breaking           |
+ * | min/max constraint tightened        | breaking               | non-breaking           |
+ * | min/max constraint loosened         | non-breaking           | potentially breaking   |
+ * | authentication now required         | breaking               |                        |
+ * | new / removed security requirement  | non-breaking / breaking|                        |
+ * | new / removed security scheme       | non-breaking / breaking|                        |
+ * | security scheme settings changed    | breaking               |                        |
+ * | new / removed OAuth scope           | non-breaking / breaking|                        |
+ * | new / removed channel or operation  | non-breaking / breaking| non-breaking / breaking|
+ * | new message on a channel            | non-breaking           | potentially breaking   |
+ * | removed message from a channel      | breaking               | potentially breaking   |
+ * | message content type changed        | breaking               | breaking               |
+ *
+ * A renamed endpoint is non-breaking when only path parameter names changed
+ * (the URL clients send is the same), and breaking otherwise.
+ * Unknown change types are treated as potentially breaking.
+ */
+const SEVERITY_RULES = {
+  new_endpoint: NON_BREAKING,
+  new_method: NON_BREAKING,
+  removed_endpoint: BREAKING,
+  removed_method: BREAKING,
+  renamed_endpoint: (change) => change.parameterRenameOnly ? NON_BREAKING : BREAKING,
+
+  new_parameter: (change) => change.required ? BREAKING : NON_BREAKING,
+  removed_parameter: POTENTIALLY_BREAKING,
+  path_parameter_renamed: NON_BREAKING,
+  parameter_requirement_changed: (change) => change.to ? BREAKING : NON_BREAKING,
+
+  new_request_body: (change) => change.required ? BREAKING : NON_BREAKING,
+  removed_request_body: POTENTIALLY_BREAKING,
+  request_body_requirement_changed: (change) => change.to ? BREAKING : NON_BREAKING,
+
+  new_response_code: POTENTIALLY_BREAKING,
+  removed_response_code: BREAKING,
+  new_response_header: NON_BREAKING,
+  removed_response_header: BREAKING,
+  response_header_requirement_changed: (change) => change.to ? NON_BREAKING : POTENTIALLY_BREAKING,
+
+  new_media_type: NON_BREAKING,
+  removed_media_type: BREAKING,
+
+  new_property: (change, side) => side === 'request' && change.required ? BREAKING : NON_BREAKING,
+  removed_property: (change, side) => side === 'request' ? POTENTIALLY_BREAKING : BREAKING,
+  property_requirement_changed: (change, side) => {
+    if (side === 'request') {
+      return change.to ? BREAKING : NON_BREAKING;
+    }
+    return change.to ? NON_BREAKING : POTENTIALLY_BREAKING;
+  },
+
+  type_changed: BREAKING,
+  format_changed: POTENTIALLY_BREAKING,
+  nullable_changed: (change, side) => {
+    if (side === 'request') {
+      return change.to ? NON_BREAKING : BREAKING;
+    }
+    return change.to ? BREAKING : NON_BREAKING;
+  },
+  new_enum_value: (change, side) => side === 'request' ? NON_BREAKING : POTENTIALLY_BREAKING,
+  removed_enum_value: (change, side) => side === 'request' ? BREAKING : NON_BREAKING,
+  constraint_changed: (change, side) => {
+    const tightened = isTightened(change);
+    if (side === 'request') {
+      return tightened ? BREAKING : NON_BREAKING;
+    }
+    return tightened ? NON_BREAKING : POTENTIALLY_BREAKING;
+  },
+
+  authentication_required: BREAKING,
+  authentication_no_longer_required: NON_BREAKING,
+  new_security_requirement: NON_BREAKING,
+  removed_security_requirement: BREAKING,
+  new_security_scheme: NON_BREAKING,
+  removed_security_scheme: BREAKING,
+  security_scheme_changed: BREAKING,
+  new_oauth_scope: NON_BREAKING,
+  removed_oauth_scope: BREAKING,
+
+  new_channel: NON_BREAKING,
+  removed_channel: BREAKING,
+  new_operation: NON_BREAKING,
+  removed_operation: BREAKING,
+  new_message: (change, side) => side === 'request' ? NON_BREAKING : POTENTIALLY_BREAKING,
+  removed_message: (change, side) => side === 'request' ? BREAKING : POTENTIALLY_BREAKING,
+  message_content_type_changed: BREAKING
+};
+
+/**
+ * Attach a `severity` to every change record (and to the details of container records).
+ * Records that already carry a severity, e.g. set by a detector, are left as they are.
+ * @param {Object[]} changes - Change records from a detector
+ * @param {Object} [rules] - Additional rules merged over the default ones
+ * @returns {Object[]} Classified change records
+ */
+function classifyChanges(changes, rules = {}) {
+  const allRules = { ...SEVERITY_RULES, ...rules };
+
+  return changes.map(change => {
+    if (Array.isArray(change.details) && CONTAINER_TYPES.includes(change.type)) {
+      const side = change.side || CONTAINER_SIDES[change.type];
+      const details = change.details.map(detail => classifyChange(detail, side || sideOf(detail) || 'request', allRules));
+      return {
+        ...change,
+        details,
+        severity: change.severity || highestSeverity(details.map(detail => detail.severity))
+      };
+    }
+
+    return classifyChange(change, change.side || sideOf(change), allRules);
+  });
+}
+
+function classifyChange(change, side, rules) {
+  if (change.severity) {
+    return change;
+  }
+
+  const rule = rules[change.type];
+  let severity = POTENTIALLY_BREAKING;
+  if (typeof rule === 'function') {
+    severity = rule(change, side);
+  } else if (rule) {
+    severity = rule;
+  }
+
+  return { ...change, severity };
+}
+
+// Side of a record from the part of the operation its pointer is in: `/paths/{path}/{method}/responses/...`
+// is a response, parameters and request bodies are requests. Segments further down (e.g. a property
+// named `responses`) don't count
+function sideOf(change) {
+  if (!change.pointer) {
+    return undefined;
+  }
+  const [root, , operationOrPart, part] = change.pointer.split('/').slice(1);
+  const section = operationOrPart === 'parameters' ? operationOrPart : part;
+  return ['paths', 'webhooks'].includes(root) && section === 'responses' ? 'response' : 'request';
+}
+
+function isTightened(change) {
+  const { constraint, from, to } = change;
+
+  if (to === null) {
+    return false;
+  }
+  if (from === null) {
+    return true;
+  }
+  // OpenAPI 3.0 boolean exclusiveMinimum/exclusiveMaximum
+  if (typeof from === 'boolean' || typeof to === 'boolean') {
+    return to === true;
+  }
+  return constraint.startsWith('min') || constraint === 'exclusiveMinimum' ? to > from : to < from;
+}
+
+/**
+ * @param {string[]} severities - Severities to compare
+ * @returns {string} The most impactful severity, or 'non_breaking' for an empty list
+ */
+function highestSeverity(severities) {
+  return severities.reduce((highest, severity) =>
+    compareSeverity(severity, highest) > 0 ? severity : highest, NON_BREAKING);
+}
+
+/**
+ * @returns {number} Negative, zero or positive as `a` is less, equally or more impactful than `b`
+ */
+function compareSeverity(a, b) {
+  return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+}
+
+/**
+ * Split classified diffs by the configured severity threshold.
+ *
+ * `config.severity_threshold.generate` is the lowest severity tests are generated for,
+ * `config.severity_threshold.report` the lowest severity that is reported without tests.
+ * Anything below `report` is skipped. Both default to 'non_breaking'.
+ * @param {Object[]} diffs - Detector output ({ file, changes })
+ * @param {Object} config - Configuration object
+ * @returns {{ generate: Object[], report: Object[], skipped: number }} Diffs to generate tests for,
+ *   diffs that are only reported, and the number of skipped changes
+ */
+function applySeverityThreshold(diffs, config) {
+  const threshold = config.severity_threshold || {};
+  const generateLevel = threshold.generate || NON_BREAKING;
+  const reportLevel = threshold.report || NON_BREAKING;
+
+  for (const level of [generateLevel, reportLevel]) {
+    if (!SEVERITIES.includes(level)) {
+      throw new Error(`Invalid severity_threshold value "${level}". Expected one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  const generate = [];
+  const report = [];
+  let skipped = 0;
+
+  for (const diff of diffs) {
+    const toGenerate = diff.changes.filter(change => compareSeverity(change.severity, generateLevel) >= 0);
+    const toReport = diff.changes.filter(change =>
+      compareSeverity(change.severity, generateLevel) < 0 && compareSeverity(change.severity, reportLevel) >= 0);
+    skipped += diff.changes.length - toGenerate.length - toReport.length;
+
+    if (toGenerate.length > 0) {
+      generate.push({ ...diff, changes: toGenerate });
+    }
+    if (toReport.length > 0) {
+      report.push({ ...diff, changes: toReport });
+    }
+  }
+
+  return { generate, report, skipped };
+}
+
+/**
+ * Count changes per severity
+ * @param {Object[]} changes - Classified change records
+ * @returns {Object} Map of severity -> count
+ */
+function countBySeverity(changes) {
+  const counts = { breaking: 0, potentially_breaking: 0, non_breaking: 0 };
+  changes.forEach(change => {
+    counts[change.severity] = (counts[change.severity] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_RULES,
+  classifyChanges,
+  highestSeverity,
+  compareSeverity,
+  applySeverityThreshold,
+  countBySeverity
+};
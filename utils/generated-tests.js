@@ -0,0 +1,167 @@
+const path = require('path');
+const { profileForFile, stripCodeFence } = require('./language-profile');
+const { mergeTestCode } = require('./test-merge');
+
+const ACTIONS = ['create', 'update', 'modify'];
+
+/**
+ * JSON schema of the model's answer: a summary and the list of test file operations.
+ * Every property is required and no others are allowed, as strict structured output demands.
+ */
+const GENERATED_TESTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'files'],
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Short explanation of the test changes and why they are needed'
+    },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['path', 'action', 'description', 'code'],
+        properties: {
+          path: { type: 'string', description: 'Test file path, relative to the test repository root' },
+          action: { type: 'string', enum: ACTIONS, description: 'create a new file, or update/modify an existing one' },
+          description: { type: 'string', description: 'What this change does' },
+          code: { type: 'string', description: 'Complete test code; for update/modify, only the imports and tests to add or change, inside the matching describe blocks' }
+        }
+      }
+    }
+  }
+};
+
+// Structured output format requested from the provider
+const RESPONSE_SCHEMA = { name: 'generated_tests', schema: GENERATED_TESTS_SCHEMA };
+
+/**
+ * Parse and validate the model's answer against GENERATED_TESTS_SCHEMA.
+ *
+ * Valid file operations are kept even when others are invalid; every problem is
+ * returned in `errors` so partial or failed answers are reported instead of dropped.
+ * @param {string} output - Raw model output (JSON, optionally inside a ```json fence)
+ * @param {string} testRepoPath - Test repository root, for resolving file paths
+ * @returns {{ summary: string|null, tests: Object[], errors: string[] }} Summary, generated
+ *   test files ({ filePath, action, description, code, absolutePath }) and validation errors
+ */
+function parseGeneratedTests(output, testRepoPath) {
+  let answer;
+  try {
+    // Models without native structured output sometimes wrap the JSON in a code fence
+    const fenced = output.match(/^\s*```(?:json)?\s*\n([\s\S]*?)\n\s*```\s*$/);
+    answer = JSON.parse(fenced ? fenced[1] : output);
+  } catch (error) {
+    return { summary: null, tests: [], errors: [`Model output is not valid JSON: ${error.message}`] };
+  }
+
+  if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+    return { summary: null, tests: [], errors: ['Model output must be a JSON object with "summary" and "files"'] };
+  }
+
+  const errors = [];
+  const summary = typeof answer.summary === 'string' ? answer.summary : null;
+  if (summary === null) {
+    errors.push('"summary" must be a string');
+  }
+  if (!Array.isArray(answer.files)) {
+    errors.push('"files" must be an array');
+    return { summary, tests: [], errors };
+  }
+
+  const tests = [];
+  answer.files.forEach((file, index) => {
+    const fileErrors = validateFile(file);
+    if (fileErrors.length > 0) {
+      const label = file && typeof file.path === 'string' ? `files[${index}] (${file.path})` : `files[${index}]`;
+      errors.push(...fileErrors.map(error => `${label}: ${error}`));
+      return;
+    }
+
+    // Ensure the file path is relative to the test repo root
+    const normalizedPath = path.posix.normalize(file.path.trim().replace(/^\/+/, ''));
+    tests.push({
+      filePath: normalizedPath,
+      action: file.action,
+      description: file.description.trim(),
+      // Models sometimes wrap the code in a fence even inside JSON
+      code: stripCodeFence(file.code, profileForFile(normalizedPath)).trim(),
+      absolutePath: path.join(testRepoPath, normalizedPath)
+    });
+  });
+
+  return { summary, tests, errors };
+}
+
+/**
+ * Combine the file operations generated in several requests (e.g. per operation, or for the
+ * parts of a large change set) into one operation per file; identical operations are dropped.
+ * Code for the same file is merged the way updates are merged into existing files; the file
+ * is created when any request created it.
+ * @param {Object[][]} testSets - Generated test files of each request, see parseGeneratedTests
+ * @returns {Object[]} Generated test files, one per path, in the order they first appear
+ */
+function combineGeneratedTests(testSets) {
+  const combined = new Map();
+  for (const test of testSets.flat()) {
+    const previous = combined.get(test.filePath);
+    if (!previous) {
+      combined.set(test.filePath, { ...test });
+      continue;
+    }
+    if (previous.code === test.code) {
+      continue;
+    }
+    const merged = mergeTestCode(previous.code, test.code, test.filePath);
+    combined.set(test.filePath, {
+      ...previous,
+      action: [previous.action, test.action].includes('create') ? 'create' : previous.action,
+      description: previous.description === test.description ? previous.description : `${previous.description} ${test.description}`,
+      code: merged !== null ? merged : `${previous.code}\n\n${test.code}`
+    });
+  }
+  return [...combined.values()];
+}
+
+function validateFile(file) {
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  for (const key of ['path', 'action', 'description', 'code']) {
+    if (typeof file[key] !== 'string') {
+      errors.push(`"${key}" must be a string`);
+    }
+  }
+  if (typeof file.action === 'string' && !ACTIONS.includes(file.action)) {
+    errors.push(`"action" must be one of ${ACTIONS.join(', ')}, got "${file.action}"`);
+  }
+  if (typeof file.path === 'string') {
+    const normalizedPath = path.posix.normalize(file.path.trim().replace(/^\/+/, ''));
+    if (!file.path.trim() || ['.', '..'].includes(normalizedPath) || normalizedPath.startsWith('../')) {
+      errors.push('"path" must point to a file inside the test repository');
+    }
+  }
+  if (typeof file.code === 'string' && !file.code.trim()) {
+    errors.push('"code" is empty');
+  }
+  return errors;
+}
+
+/**
+ * Log the problems parseGeneratedTests found in an answer
+ * @param {string[]} errors - Problems in the answer
+ * @param {string} file - What the answer was for
+ * @param {number} validCount - Number of valid file operations kept
+ */
+function reportOutputErrors(errors, file, validCount) {
+  if (errors.length > 0) {
+    console.warn(`⚠️ ${errors.length} problem(s) in the model output for ${file}, kept ${validCount} valid test file(s):`);
+    errors.forEach(error => console.warn(`   - ${error}`));
+  }
+}
+
+module.exports = { GENERATED_TESTS_SCHEMA, RESPONSE_SCHEMA, parseGeneratedTests, combineGeneratedTests, reportOutputErrors };
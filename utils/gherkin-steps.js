@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STEP_DEFINITION_PATHS = [
+  '**/step_definitions/**/*.js',
+  '**/step_definitions/**/*.ts',
+  '**/steps/**/*.js',
+  '**/steps/**/*.ts'
+];
+
+// Given('text', ...), When(/regex/, ...), defineStep(...), including this.Given(...) in older cucumber-js
+const STEP_DEFINITION_PATTERN = /\b(Given|When|Then|And|But|Step|defineStep)\s*\(\s*(?:(['"`])((?:\\.|(?!\2)[^\\])*)\2|\/((?:\\.|[^/\\\n])+)\/([a-z]*))/g;
+
+/**
+ * Parse a Gherkin document
+ * @param {string} content - `.feature` file content
+ * @returns {Object} Gherkin document AST
+ * @throws {Error} With an `errors` array of "(line:column): message" errors when it does not parse
+ */
+function parseGherkin(content) {
+  // Loaded on demand: only needed for Cucumber test suites
+  const { Parser, AstBuilder, GherkinClassicTokenMatcher } = require('@cucumber/gherkin');
+  const { IdGenerator } = require('@cucumber/messages');
+  const parser = new Parser(new AstBuilder(IdGenerator.incrementing()), new GherkinClassicTokenMatcher());
+  return parser.parse(content);
+}
+
+/**
+ * Step definitions declared in a cucumber-js step definition file
+ * @param {string} content - File content
+ * @param {string} filePath - File path, reported with each definition
+ * @returns {Object[]} Definitions ({ keyword, pattern, regexp, file, line }), where pattern is the
+ *   Cucumber expression or regular expression as written
+ */
+function extractStepDefinitions(content, filePath) {
+  const definitions = [];
+  for (const match of content.matchAll(STEP_DEFINITION_PATTERN)) {
+    const [, keyword, , expression, regexSource, flags] = match;
+    const regexp = regexSource !== undefined ? toRegExp(regexSource, flags) : expressionToRegExp(expression);
+    if (!regexp) {
+      continue;
+    }
+    definitions.push({
+      keyword,
+      pattern: regexSource !== undefined ? `/${regexSource}/${flags}` : expression,
+      regexp,
+      file: filePath,
+      line: content.slice(0, match.index).split('\n').length
+    });
+  }
+  return definitions;
+}
+
+/**
+ * Read the step definitions of a test repository
+ * @param {string[]} files - Absolute paths of step definition files
+ * @param {string} testRepoPath - Test repository root, for the reported file paths
+ * @returns {Object[]} Step definitions, see extractStepDefinitions
+ */
+function loadStepDefinitions(files, testRepoPath) {
+  return files.flatMap(file => {
+    try {
+      return extractStepDefinitions(fs.readFileSync(file, 'utf8'), path.relative(testRepoPath, file));
+    } catch (error) {
+      console.warn(`Could not read step definitions from ${file}:`, error.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Steps of a feature file (Background, Scenario and Rule steps, in document order).
+ * Scenario Outline steps get the values of their first Examples row.
+ * @param {string} content - `.feature` file content
+ * @returns {Object[]|null} Steps ({ keyword, text, line, column }), null when the file does not parse
+ */
+function featureSteps(content) {
+  let document;
+  try {
+    document = parseGherkin(content);
+  } catch (error) {
+    return null;
+  }
+
+  const steps = [];
+  const addSteps = (list, values = {}) => {
+    for (const step of list) {
+      steps.push({
+        keyword: step.keyword.trim(),
+        text: step.text.replace(/<([^>]+)>/g, (placeholder, name) => (name in values ? values[name] : placeholder)),
+        line: step.location.line,
+        column: step.location.column
+      });
+    }
+  };
+
+  const visit = (children) => {
+    for (const child of children) {
+      if (child.rule) {
+        visit(child.rule.children);
+      } else if (child.background) {
+        addSteps(child.background.steps);
+      } else if (child.scenario) {
+        addSteps(child.scenario.steps, firstExampleRow(child.scenario));
+      }
+    }
+  };
+  visit(document.feature ? document.feature.children : []);
+
+  return steps;
+}
+
+/**
+ * Steps in a feature file that no step definition matches
+ * @param {string} content - `.feature` file content
+ * @param {Object[]} definitions - Step definitions, see extractStepDefinitions
+ * @returns {string[]} Errors ("line:column Undefined step: text"), empty when every step is defined
+ *   or the file does not parse
+ */
+function findUndefinedSteps(content, definitions) {
+  return (featureSteps(content) || [])
+    .filter(step => !definitions.some(definition => definition.regexp.test(step.text)))
+    .map(step => `${step.line}:${step.column} Undefined step: ${step.keyword} ${step.text}`);
+}
+
+function firstExampleRow(scenario) {
+  const examples = (scenario.examples || []).find(e => e.tableHeader && e.tableBody.length > 0);
+  if (!examples) {
+    return {};
+  }
+  const values = {};
+  examples.tableHeader.cells.forEach((cell, index) => {
+    values[cell.value] = examples.tableBody[0].cells[index].value;
+  });
+  return values;
+}
+
+// Cucumber expression ("I have {int} cucumber(s) in my belly/stomach") as an anchored regular expression
+function expressionToRegExp(expression) {
+  const source = expression.split(/(\{[^}]*\}|\([^)]*\))/).map(part => {
+    const parameter = part.match(/^\{([^}]*)\}$/);
+    if (parameter) {
+      return parameterPattern(parameter[1]);
+    }
+    const optional = part.match(/^\(([^)]*)\)$/);
+    if (optional) {
+      return `(?:${escapeRegExp(optional[1])})?`;
+    }
+    // Alternative words: belly/stomach
+    return part.split(/(\s+)/).map(word =>
+      /^[^\s/]+(\/[^\s/]+)+$/.test(word) ? `(?:${word.split('/').map(escapeRegExp).join('|')})` : escapeRegExp(word)
+    ).join('');
+  }).join('');
+
+  return toRegExp(`^${source}$`, '');
+}
+
+function parameterPattern(type) {
+  switch (type) {
+    case 'int':
+      return '-?\\d+';
+    case 'float':
+      return '-?\\d*\\.?\\d+';
+    case 'word':
+      return '[^\\s]+';
+    case 'string':
+      return '(?:"[^"]*"|\'[^\']*\')';
+    default:
+      // Anonymous {} and custom parameter types
+      return '.*';
+  }
+}
+
+function toRegExp(source, flags) {
+  try {
+    return new RegExp(source, flags.replace(/[gy]/g, ''));
+  } catch (error) {
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  DEFAULT_STEP_DEFINITION_PATHS,
+  parseGherkin,
+  extractStepDefinitions,
+  loadStepDefinitions,
+  featureSteps,
+  findUndefinedSteps
+};
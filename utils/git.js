@@ -1,15 +1,22 @@
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+// Run git without a shell: revisions and paths may come from spec content or the event payload
+function git(args, options = {}) {
+  return execFileSync('git', args, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, ...options });
+}
+
 /**
- * Get list of files changed between current commit and previous commit
+ * Get list of files changed between two revisions
+ * @param {string} base - Base revision (default: previous commit)
+ * @param {string} head - Head revision (default: current commit)
  * @returns {string[]} Array of changed file paths
  */
-function getChangedFiles() {
+function getChangedFiles(base = 'HEAD~1', head = 'HEAD') {
   try {
-    const output = execSync('git diff --name-only HEAD~1 HEAD', { encoding: 'utf8' });
+    const output = git(['diff', '--name-only', base, head]);
     return output.split('\n').filter(line => line.trim() !== '');
   } catch (error) {
     console.warn('Could not get changed files from git:', error.message);
@@ -17,6 +24,63 @@ function getChangedFiles() {
   }
 }
 
+/**
+ * Get files changed between two revisions with their change status.
+ * Renames are followed with git's rename detection; copies count as added files.
+ * @param {string} base - Base revision (default: previous commit)
+ * @param {string} head - Head revision (default: current commit)
+ * @returns {Object[]} Array of { file, status, previousFile }, where status is
+ *   'added', 'deleted', 'renamed' or 'modified' and previousFile is set for renames
+ */
+function getChangedFileEntries(base = 'HEAD~1', head = 'HEAD') {
+  try {
+    const output = git(['diff', '--name-status', '-M', base, head]);
+    return output.split('\n').filter(line => line.trim() !== '').map(line => {
+      const [code, ...paths] = line.split('\t');
+      switch (code[0]) {
+        case 'A':
+        case 'C':
+          return { file: paths[paths.length - 1], status: 'added', previousFile: null };
+        case 'D':
+          return { file: paths[0], status: 'deleted', previousFile: null };
+        case 'R':
+          return { file: paths[1], status: 'renamed', previousFile: paths[0] };
+        default:
+          return { file: paths[0], status: 'modified', previousFile: null };
+      }
+    });
+  } catch (error) {
+    console.warn('Could not get changed files from git:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the old and new content of a changed file.
+ * The missing side of an added or deleted file is null; a renamed file is read
+ * under its previous path at the base revision.
+ * @param {Object} change - Entry from getChangedFileEntries
+ * @param {{ base: string, head: string|null }} range - Commit range being compared
+ * @returns {{ oldContent: string|null, newContent: string|null }} File contents ('' when a read failed)
+ */
+function getFileVersions(change, range) {
+  return {
+    oldContent: change.status === 'added' ? null : getFileAtRevision(change.previousFile || change.file, range.base),
+    newContent: change.status === 'deleted' ? null : getFileContent(change.file, range.head)
+  };
+}
+
+/**
+ * @param {Object} change - Entry from getChangedFileEntries
+ * @returns {string} File path with its change status, for logging
+ */
+function describeChangedFile(change) {
+  if (change.status === 'renamed') {
+    return `${change.previousFile} -> ${change.file}`;
+  }
+  return change.status === 'modified' ? change.file : `${change.file} (${change.status})`;
+}
+
 /**
  * Get the content of a file from a specific git revision
  * @param {string} filePath - Path to the file
@@ -25,7 +89,7 @@ function getChangedFiles() {
  */
 function getFileAtRevision(filePath, revision = 'HEAD~1') {
   try {
-    return execSync(`git show ${revision}:${filePath}`, { encoding: 'utf8' });
+    return git(['show', `${revision}:${filePath}`]);
   } catch (error) {
     console.warn(`Could not get file ${filePath} at revision ${revision}:`, error.message);
     return '';
@@ -46,13 +110,165 @@ function getCurrentFileContent(filePath) {
   }
 }
 
+/**
+ * Get the content of a file at a revision, or from the working tree when no revision is given
+ * @param {string} filePath - Path to the file
+ * @param {string|null} [revision] - Git revision, or null for the working tree
+ * @returns {string} File content
+ */
+function getFileContent(filePath, revision) {
+  return revision ? getFileAtRevision(filePath, revision) : getCurrentFileContent(filePath);
+}
+
+/**
+ * Read a file named by spec content (a `$ref` target) at a revision, or from the working tree
+ * when no revision is given. Only files inside the repository (the working directory) are read.
+ * @param {string} filePath - Absolute path, or path relative to the repository root
+ * @param {string|null} [revision] - Git revision, or null for the working tree
+ * @returns {string} File content ('' when it could not be read)
+ * @throws {Error} When the path resolves outside the repository
+ */
+function readRepositoryFile(filePath, revision) {
+  const root = process.cwd();
+  const absolutePath = path.resolve(root, filePath);
+  const relativePath = path.relative(root, absolutePath);
+  if (isOutside(relativePath)) {
+    throw new Error(`Refusing to read ${filePath}: outside the repository`);
+  }
+  // A symlink in the working tree could still point elsewhere; git show reads the link itself
+  if (!revision && fs.existsSync(absolutePath) && isOutside(path.relative(fs.realpathSync(root), fs.realpathSync(absolutePath)))) {
+    throw new Error(`Refusing to read ${filePath}: links outside the repository`);
+  }
+  return getFileContent(relativePath.split(path.sep).join('/'), revision);
+}
+
+function isOutside(relativePath) {
+  return relativePath === '' || path.isAbsolute(relativePath) || relativePath.split(path.sep)[0] === '..';
+}
+
+/**
+ * List the files tracked at a revision, or in the working tree when no revision is given
+ * @param {string|null} [revision] - Git revision, or null for the working tree
+ * @returns {string[]} Array of file paths relative to the repository root
+ */
+function listFiles(revision) {
+  try {
+    const output = git(revision ? ['ls-tree', '-r', '--name-only', revision] : ['ls-files']);
+    return output.split('\n').filter(line => line.trim() !== '');
+  } catch (error) {
+    console.warn('Could not list files from git:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Resolve the range of commits to compare.
+ *
+ * Revisions come from, in order: the `base_ref`/`head_ref` action inputs or config keys,
+ * the GitHub event payload (`before`/`after` for push, base/head SHA for pull_request),
+ * and finally the previous commit. The base is moved to the merge base of the two
+ * revisions so every change in the range is compared exactly once, even for force pushes
+ * and pull requests whose base branch has moved on.
+ * @param {Object} config - Configuration object
+ * @returns {{ base: string, head: string|null }} Base revision and head revision
+ *   (null when head is the checked-out commit, so the working tree is read)
+ */
+function resolveCommitRange(config = {}) {
+  let base = process.env.INPUT_BASE_REF || config.base_ref;
+  let head = process.env.INPUT_HEAD_REF || config.head_ref;
+
+  if (!base) {
+    const eventRange = getEventCommitRange();
+    base = eventRange.base;
+    head = head || eventRange.head;
+  }
+
+  if (!head || !revisionExists(head)) {
+    if (head) {
+      console.warn(`Revision ${head} is not available, comparing the checked-out commit instead`);
+    }
+    head = 'HEAD';
+  }
+
+  if (!base || !revisionExists(base)) {
+    if (base) {
+      console.warn(`Revision ${base} is not available (shallow clone?), comparing with the previous commit instead`);
+    }
+    base = `${head}~1`;
+  }
+
+  const mergeBase = getMergeBase(base, head);
+  if (mergeBase) {
+    base = mergeBase;
+  }
+
+  return { base, head: resolveRevision(head) === resolveRevision('HEAD') ? null : head };
+}
+
+/**
+ * Read base/head revisions from the GitHub Actions event payload
+ * @returns {{ base?: string, head?: string }} Revisions, empty when not available
+ */
+function getEventCommitRange() {
+  const eventPath = process.env.GITHUB_EVENT_PATH;
+  if (!eventPath || !fs.existsSync(eventPath)) {
+    return {};
+  }
+
+  try {
+    const event = JSON.parse(fs.readFileSync(eventPath, 'utf8'));
+
+    if (event.pull_request) {
+      return { base: event.pull_request.base.sha, head: event.pull_request.head.sha };
+    }
+
+    if (event.before && event.after) {
+      // A new branch has no previous commit; compare with the default branch instead
+      if (/^0+$/.test(event.before)) {
+        const defaultBranch = event.repository && event.repository.default_branch;
+        return { base: defaultBranch ? `origin/${defaultBranch}` : undefined, head: event.after };
+      }
+      return { base: event.before, head: event.after };
+    }
+  } catch (error) {
+    console.warn('Could not read GitHub event payload:', error.message);
+  }
+
+  return {};
+}
+
+function getMergeBase(base, head) {
+  try {
+    return git(['merge-base', base, head], { stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function resolveRevision(revision) {
+  try {
+    return git(['rev-parse', '--verify', '--quiet', revision], { stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function revisionExists(revision) {
+  // Revisions come from inputs and the event payload; an option (leading -) is not a revision
+  if (!/^[\w./~^@{}][\w./~^@{}-]*$/.test(revision)) {
+    console.warn(`Ignoring invalid git revision: ${revision}`);
+    return false;
+  }
+  return resolveRevision(`${revision}^{commit}`) !== null;
+}
+
 /**
  * Check if the current directory is a git repository
  * @returns {boolean} True if git repo, false otherwise
  */
 function isGitRepository() {
   try {
-    execSync('git rev-parse --git-dir', { stdio: 'ignore' });
+    git(['rev-parse', '--git-dir'], { stdio: 'ignore' });
     return true;
   } catch (error) {
     return false;
@@ -76,10 +292,7 @@ async function cloneTestRepo(testRepo) {
     console.log(`📥 Cloning ${testRepo.url}...`);
     
     // Clone the repository
-    execSync(`git clone --depth=1 --branch=${testRepo.branch} "${repoUrl}" "${tempDir}"`, { 
-      stdio: 'pipe',
-      cwd: process.cwd()
-    });
+    git(['clone', '--depth=1', `--branch=${testRepo.branch}`, repoUrl, tempDir], { stdio: 'pipe' });
     
     console.log(`✅ Test repository cloned to ${tempDir}`);
     return tempDir;
@@ -129,8 +342,8 @@ function getTestFilesFromRepo(testRepoPath, testCodePaths) {
  */
 function setupGitConfig(testRepoPath) {
   try {
-    execSync('git config user.name "AI Test Updater"', { cwd: testRepoPath, stdio: 'pipe' });
-    execSync('git config user.email "ai-test-updater@github-actions.com"', { cwd: testRepoPath, stdio: 'pipe' });
+    git(['config', 'user.name', 'AI Test Updater'], { cwd: testRepoPath, stdio: 'pipe' });
+    git(['config', 'user.email', 'ai-test-updater@github-actions.com'], { cwd: testRepoPath, stdio: 'pipe' });
   } catch (error) {
     console.warn('Could not set git config:', error.message);
   }
@@ -138,8 +351,15 @@ function setupGitConfig(testRepoPath) {
 
 module.exports = {
   getChangedFiles,
+  getChangedFileEntries,
+  getFileVersions,
+  describeChangedFile,
   getFileAtRevision,
   getCurrentFileContent,
+  getFileContent,
+  readRepositoryFile,
+  listFiles,
+  resolveCommitRange,
   isGitRepository,
   cloneTestRepo,
   getTestFilesFromRepo,
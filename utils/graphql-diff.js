@@ -0,0 +1,361 @@
+const {
+  buildASTSchema,
+  buildClientSchema,
+  parse,
+  isObjectType,
+  isInterfaceType,
+  isUnionType,
+  isEnumType,
+  isInputObjectType,
+  isNonNullType,
+  isListType,
+  isSpecifiedScalarType,
+  isIntrospectionType
+} = require('graphql');
+
+/**
+ * Compare two versions of a GraphQL schema
+ * @param {string|null} oldSchemaStr - Previous schema (SDL or introspection JSON), or null for a newly added file
+ * @param {string|null} newSchemaStr - Current schema (SDL or introspection JSON), or null for a deleted file
+ * @returns {Object[]} Array of change records, each with a `severity`
+ */
+function diffGraphQLSchemas(oldSchemaStr, newSchemaStr) {
+  try {
+    // A missing side has no types, so everything is reported as added or removed
+    const oldSchema = oldSchemaStr === null ? null : parseSchema(oldSchemaStr);
+    const newSchema = newSchemaStr === null ? null : parseSchema(newSchemaStr);
+    const rootTypes = rootTypeNames(newSchema || oldSchema);
+
+    const oldTypes = namedTypes(oldSchema);
+    const newTypes = namedTypes(newSchema);
+    const changes = [];
+
+    for (const name in newTypes) {
+      if (!oldTypes[name]) {
+        changes.push({ type: "new_type", path: name, kind: kindOf(newTypes[name]), severity: 'non_breaking' });
+      } else if (kindOf(oldTypes[name]) !== kindOf(newTypes[name])) {
+        changes.push({
+          type: "type_kind_changed",
+          path: name,
+          from: kindOf(oldTypes[name]),
+          to: kindOf(newTypes[name]),
+          severity: 'breaking'
+        });
+      } else {
+        changes.push(...compareTypes(oldTypes[name], newTypes[name], rootTypes));
+      }
+    }
+
+    for (const name in oldTypes) {
+      if (!newTypes[name]) {
+        changes.push({ type: "removed_type", path: name, kind: kindOf(oldTypes[name]), severity: 'breaking' });
+      }
+    }
+
+    return changes;
+  } catch (error) {
+    console.error('Error comparing GraphQL schemas:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Build a schema from SDL or from introspection JSON ({ data: { __schema } } or { __schema })
+ * @param {string} schemaStr - Schema source
+ * @returns {GraphQLSchema} Parsed schema
+ */
+function parseSchema(schemaStr) {
+  const trimmed = schemaStr.trim();
+  if (trimmed.startsWith('{')) {
+    const introspection = JSON.parse(trimmed);
+    return buildClientSchema(introspection.data || introspection);
+  }
+  // Federation and other custom directives are not declared in most SDL files
+  return buildASTSchema(parse(schemaStr), { assumeValidSDL: true });
+}
+
+function namedTypes(schema) {
+  const types = {};
+  if (!schema) {
+    return types;
+  }
+  const typeMap = schema.getTypeMap();
+  for (const name in typeMap) {
+    if (!isIntrospectionType(typeMap[name]) && !isSpecifiedScalarType(typeMap[name])) {
+      types[name] = typeMap[name];
+    }
+  }
+  return types;
+}
+
+function rootTypeNames(schema) {
+  const roots = {};
+  if (!schema) {
+    return roots;
+  }
+  [['query', schema.getQueryType()], ['mutation', schema.getMutationType()], ['subscription', schema.getSubscriptionType()]]
+    .forEach(([operation, type]) => {
+      if (type) {
+        roots[type.name] = operation;
+      }
+    });
+  return roots;
+}
+
+function kindOf(type) {
+  if (isObjectType(type)) return 'object';
+  if (isInterfaceType(type)) return 'interface';
+  if (isUnionType(type)) return 'union';
+  if (isEnumType(type)) return 'enum';
+  if (isInputObjectType(type)) return 'input';
+  return 'scalar';
+}
+
+function compareTypes(oldType, newType, rootTypes) {
+  const changes = [];
+  const typeName = newType.name;
+
+  if (isObjectType(newType) || isInterfaceType(newType)) {
+    changes.push(...compareFields(oldType.getFields(), newType.getFields(), typeName, rootTypes[typeName]));
+    changes.push(...compareMembers(
+      oldType.getInterfaces().map(t => t.name),
+      newType.getInterfaces().map(t => t.name),
+      typeName,
+      'interface'
+    ));
+  } else if (isInputObjectType(newType)) {
+    changes.push(...compareInputFields(oldType.getFields(), newType.getFields(), typeName));
+  } else if (isUnionType(newType)) {
+    changes.push(...compareMembers(
+      oldType.getTypes().map(t => t.name),
+      newType.getTypes().map(t => t.name),
+      typeName,
+      'union_member'
+    ));
+  } else if (isEnumType(newType)) {
+    changes.push(...compareEnumValues(oldType.getValues(), newType.getValues(), typeName));
+  }
+
+  return changes;
+}
+
+function compareFields(oldFields, newFields, typeName, operation) {
+  const changes = [];
+  // Root fields are what tests call directly; expose the operation and field name for test discovery
+  const context = (fieldName) => operation ? { operation, references: [fieldName] } : {};
+
+  for (const name in newFields) {
+    const path = `${typeName}.${name}`;
+    const newField = newFields[name];
+    const oldField = oldFields[name];
+
+    if (!oldField) {
+      changes.push({ type: "new_field", path, fieldType: String(newField.type), ...context(name), severity: 'non_breaking' });
+      continue;
+    }
+
+    if (String(oldField.type) !== String(newField.type)) {
+      changes.push({
+        type: "field_type_changed",
+        path,
+        from: String(oldField.type),
+        to: String(newField.type),
+        ...context(name),
+        severity: isSafeOutputChange(oldField.type, newField.type) ? 'non_breaking' : 'breaking'
+      });
+    }
+
+    changes.push(...compareDeprecation(oldField, newField, path, 'field', context(name)));
+    changes.push(...compareArguments(oldField.args, newField.args, path, context(name)));
+  }
+
+  for (const name in oldFields) {
+    if (!newFields[name]) {
+      changes.push({ type: "removed_field", path: `${typeName}.${name}`, ...context(name), severity: 'breaking' });
+    }
+  }
+
+  return changes;
+}
+
+function compareArguments(oldArgs, newArgs, fieldPath, context) {
+  const changes = [];
+
+  newArgs.forEach(newArg => {
+    const path = `${fieldPath}(${newArg.name}:)`;
+    const oldArg = oldArgs.find(arg => arg.name === newArg.name);
+    const required = isNonNullType(newArg.type) && newArg.defaultValue === undefined;
+
+    if (!oldArg) {
+      changes.push({
+        type: "new_argument",
+        path,
+        argumentType: String(newArg.type),
+        required,
+        ...context,
+        severity: required ? 'breaking' : 'non_breaking'
+      });
+      return;
+    }
+
+    if (String(oldArg.type) !== String(newArg.type)) {
+      changes.push({
+        type: "argument_type_changed",
+        path,
+        from: String(oldArg.type),
+        to: String(newArg.type),
+        ...context,
+        severity: isSafeInputChange(oldArg.type, newArg.type) ? 'non_breaking' : 'breaking'
+      });
+    }
+
+    if (JSON.stringify(oldArg.defaultValue) !== JSON.stringify(newArg.defaultValue)) {
+      changes.push({
+        type: "argument_default_changed",
+        path,
+        from: oldArg.defaultValue === undefined ? null : oldArg.defaultValue,
+        to: newArg.defaultValue === undefined ? null : newArg.defaultValue,
+        ...context,
+        severity: 'potentially_breaking'
+      });
+    }
+
+    changes.push(...compareDeprecation(oldArg, newArg, path, 'argument', context));
+  });
+
+  oldArgs.forEach(oldArg => {
+    if (!newArgs.find(arg => arg.name === oldArg.name)) {
+      changes.push({ type: "removed_argument", path: `${fieldPath}(${oldArg.name}:)`, ...context, severity: 'breaking' });
+    }
+  });
+
+  return changes;
+}
+
+function compareInputFields(oldFields, newFields, typeName) {
+  const changes = [];
+
+  for (const name in newFields) {
+    const path = `${typeName}.${name}`;
+    const newField = newFields[name];
+    const oldField = oldFields[name];
+    const required = isNonNullType(newField.type) && newField.defaultValue === undefined;
+
+    if (!oldField) {
+      changes.push({
+        type: "new_input_field",
+        path,
+        fieldType: String(newField.type),
+        required,
+        severity: required ? 'breaking' : 'non_breaking'
+      });
+      continue;
+    }
+
+    if (String(oldField.type) !== String(newField.type)) {
+      changes.push({
+        type: "input_field_type_changed",
+        path,
+        from: String(oldField.type),
+        to: String(newField.type),
+        severity: isSafeInputChange(oldField.type, newField.type) ? 'non_breaking' : 'breaking'
+      });
+    }
+
+    changes.push(...compareDeprecation(oldField, newField, path, 'input_field', {}));
+  }
+
+  for (const name in oldFields) {
+    if (!newFields[name]) {
+      changes.push({ type: "removed_input_field", path: `${typeName}.${name}`, severity: 'breaking' });
+    }
+  }
+
+  return changes;
+}
+
+function compareEnumValues(oldValues, newValues, typeName) {
+  const changes = [];
+
+  newValues.forEach(newValue => {
+    const path = `${typeName}.${newValue.name}`;
+    const oldValue = oldValues.find(value => value.name === newValue.name);
+    if (!oldValue) {
+      // Clients switching over the enum may not handle the new value
+      changes.push({ type: "new_enum_value", path, value: newValue.name, severity: 'potentially_breaking' });
+    } else {
+      changes.push(...compareDeprecation(oldValue, newValue, path, 'enum_value', {}));
+    }
+  });
+
+  oldValues.forEach(oldValue => {
+    if (!newValues.find(value => value.name === oldValue.name)) {
+      changes.push({ type: "removed_enum_value", path: `${typeName}.${oldValue.name}`, value: oldValue.name, severity: 'breaking' });
+    }
+  });
+
+  return changes;
+}
+
+// Interfaces implemented by a type, or members of a union
+function compareMembers(oldMembers, newMembers, typeName, kind) {
+  const changes = [];
+
+  newMembers.filter(name => !oldMembers.includes(name)).forEach(name => {
+    changes.push({
+      type: `new_${kind}`,
+      path: typeName,
+      member: name,
+      severity: kind === 'union_member' ? 'potentially_breaking' : 'non_breaking'
+    });
+  });
+
+  oldMembers.filter(name => !newMembers.includes(name)).forEach(name => {
+    changes.push({ type: `removed_${kind}`, path: typeName, member: name, severity: 'breaking' });
+  });
+
+  return changes;
+}
+
+function compareDeprecation(oldItem, newItem, path, kind, context) {
+  const oldReason = oldItem.deprecationReason || null;
+  const newReason = newItem.deprecationReason || null;
+
+  if (!oldReason && newReason) {
+    return [{ type: `${kind}_deprecated`, path, reason: newReason, ...context, severity: 'non_breaking' }];
+  }
+  if (oldReason && !newReason) {
+    return [{ type: `${kind}_undeprecated`, path, ...context, severity: 'non_breaking' }];
+  }
+  return [];
+}
+
+// Output types may only get stricter: nullable -> non-null is safe, the reverse is not
+function isSafeOutputChange(oldType, newType) {
+  if (isNonNullType(oldType)) {
+    return isNonNullType(newType) && isSafeOutputChange(oldType.ofType, newType.ofType);
+  }
+  if (isNonNullType(newType)) {
+    return isSafeOutputChange(oldType, newType.ofType);
+  }
+  if (isListType(oldType) || isListType(newType)) {
+    return isListType(oldType) && isListType(newType) && isSafeOutputChange(oldType.ofType, newType.ofType);
+  }
+  return oldType.name === newType.name;
+}
+
+// Input types may only get looser: non-null -> nullable is safe, the reverse is not
+function isSafeInputChange(oldType, newType) {
+  if (isNonNullType(newType)) {
+    return isNonNullType(oldType) && isSafeInputChange(oldType.ofType, newType.ofType);
+  }
+  if (isNonNullType(oldType)) {
+    return isSafeInputChange(oldType.ofType, newType);
+  }
+  if (isListType(oldType) || isListType(newType)) {
+    return isListType(oldType) && isListType(newType) && isSafeInputChange(oldType.ofType, newType.ofType);
+  }
+  return oldType.name === newType.name;
+}
+
+module.exports = { diffGraphQLSchemas };
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'javascript';
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+let profiles = null;
+
+/**
+ * All language profiles from `profiles/<name>-profile.js`.
+ *
+ * A profile describes how tests are written in one language: `name`, `label`, file
+ * `extensions`, code fence `fences`, `commentPrefix`, prompt text (`conventions`,
+ * `updateInstructions`) and `detectFramework(content)`, `checkSyntax(content, filePath)`
+ * and `merge(existingContent, code, filePath)` functions.
+ * @returns {Object[]} Language profiles
+ */
+function loadProfiles() {
+  if (!profiles) {
+    profiles = fs.readdirSync(PROFILES_DIR)
+      .filter(file => file.endsWith('-profile.js'))
+      .map(file => require(path.join(PROFILES_DIR, file)));
+  }
+  return profiles;
+}
+
+/**
+ * @param {string} filePath - File path
+ * @returns {Object|null} Profile for the file's extension, null for other files (e.g. `.feature`, `.json`)
+ */
+function profileForFile(filePath) {
+  const extension = path.extname(filePath || '').toLowerCase();
+  return loadProfiles().find(profile => profile.extensions.includes(extension)) || null;
+}
+
+/**
+ * Check that the configured test language (`test_language`) has a profile
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Error messages, empty when the language is usable
+ */
+function validateLanguage(config) {
+  if (!config.test_language || loadProfiles().some(profile => profile.name === config.test_language)) {
+    return [];
+  }
+  return [`Unknown test_language: ${config.test_language} (available: ${loadProfiles().map(profile => profile.name).join(', ')})`];
+}
+
+/**
+ * Pick the language tests are generated in: `config.test_language` when set, otherwise the
+ * language most of the test files are written in (JavaScript when none are recognized)
+ * @param {Object} config - Configuration object
+ * @param {string[]} testFiles - Test file paths
+ * @returns {Object} Language profile
+ */
+function resolveLanguageProfile(config, testFiles) {
+  const all = loadProfiles();
+  if (config.test_language) {
+    return all.find(profile => profile.name === config.test_language);
+  }
+
+  const counts = new Map();
+  testFiles.map(profileForFile).filter(Boolean).forEach(profile => counts.set(profile, (counts.get(profile) || 0) + 1));
+  const [detected] = [...counts].sort((a, b) => b[1] - a[1]);
+  return detected ? detected[0] : all.find(profile => profile.name === DEFAULT_LANGUAGE);
+}
+
+/**
+ * Remove a Markdown code fence around generated code, when its language (if any) belongs to the profile
+ * @param {string} code - Generated code
+ * @param {Object|null} profile - Language profile of the file the code is for
+ * @returns {string} Code without the fence
+ */
+function stripCodeFence(code, profile) {
+  const fenced = code.match(/^\s*```([\w+-]*)[^\n]*\n([\s\S]*?)\n\s*```\s*$/);
+  if (!fenced || (fenced[1] && !(profile && profile.fences.includes(fenced[1].toLowerCase())))) {
+    return code;
+  }
+  return fenced[2];
+}
+
+module.exports = {
+  loadProfiles,
+  profileForFile,
+  validateLanguage,
+  resolveLanguageProfile,
+  stripCodeFence
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { withRetries } = require('./retry');
+const { createUsageTracker } = require('./model-usage');
+
+const DEFAULT_PROVIDER = 'openai';
+const PROVIDERS_DIR = path.join(__dirname, '..', 'providers');
+
+// Names of the providers in providers/ (`<name>-provider.js`)
+function bundledProviders() {
+  return fs.readdirSync(PROVIDERS_DIR)
+    .filter(file => file.endsWith('-provider.js'))
+    .map(file => file.slice(0, -'-provider.js'.length));
+}
+
+// Only bundled providers are loaded: the name comes from the config and must not reach outside providers/
+function providerPath(name) {
+  return bundledProviders().includes(name) ? path.join(PROVIDERS_DIR, `${name}-provider.js`) : null;
+}
+
+/**
+ * Check that the configured LLM provider exists and has the settings it needs
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Error messages, empty when the provider is usable
+ */
+function validateProvider(config) {
+  const name = config.provider || DEFAULT_PROVIDER;
+  if (!providerPath(name)) {
+    return [`LLM provider not found: ${name} (available: ${bundledProviders().join(', ')})`];
+  }
+  const options = config.provider_options || {};
+  const errors = [];
+  if (options.response_format !== undefined && !RESPONSE_FORMATS.includes(options.response_format)) {
+    errors.push(`provider_options.response_format must be one of: ${RESPONSE_FORMATS.join(', ')}`);
+  }
+  if (options.reasoning_model !== undefined && typeof options.reasoning_model !== 'boolean') {
+    errors.push('provider_options.reasoning_model must be true or false');
+  }
+  return [...errors, ...require(providerPath(name)).validate(config)];
+}
+
+/**
+ * Create the configured LLM provider (`config.provider`, default 'openai').
+ *
+ * A provider has a `complete({ messages, maxTokens, temperature, responseSchema })` method
+ * that resolves to `{ content, usage }`, the response text and the tokens the API reports
+ * (`{ inputTokens, outputTokens }`, null when it doesn't). The loaded provider retries transient
+ * errors (see utils/retry), counts usage and cost for the run and refuses requests over the
+ * `spend_limit` (see utils/model-usage). With `config.record_fixtures` set to a directory, every
+ * response is also saved there for replay by the mock provider.
+ * @param {Object} config - Configuration object
+ * @returns {Object} Provider ({ name, model, complete, usage }), where `usage()` returns the run's totals
+ */
+function loadProvider(config) {
+  const name = config.provider || DEFAULT_PROVIDER;
+  if (!providerPath(name)) {
+    throw new Error(`LLM provider not found: ${name}`);
+  }
+
+  const provider = require(providerPath(name)).create(config);
+  const tracker = createUsageTracker(config, config.model || provider.model);
+  const fixturesDir = config.record_fixtures && path.resolve(process.cwd(), config.record_fixtures);
+  const { saveFixture } = require('../providers/mock-provider');
+
+  return {
+    ...provider,
+    complete(request) {
+      return tracker.track(request, async () => {
+        const response = await withRetries(() => provider.complete(request), config, `${provider.name} request`);
+        if (fixturesDir) {
+          saveFixture(fixturesDir, request.messages, response.content);
+        }
+        return response;
+      });
+    },
+    usage: () => tracker.totals()
+  };
+}
+
+// o1, o3 and o4 models take max_completion_tokens instead of max_tokens, and no temperature
+const REASONING_MODEL = /^o\d/;
+const RESPONSE_FORMATS = ['json_schema', 'json_object', 'text'];
+
+/**
+ * `complete` for OpenAI-style chat completion APIs. Parameters follow the model and `provider_options`
+ * (see chatSettings). A server that rejects the requested `response_format` is asked for plain JSON
+ * instead, for the rest of the run; the prompt describes the format either way.
+ * @param {Object} client - OpenAI client
+ * @param {string} model - Model (or Azure deployment) name sent with the requests
+ * @param {Object} config - Configuration object
+ * @returns {Function} complete(request), resolving to { content, usage }
+ */
+function chatCompletion(client, model, config) {
+  const settings = chatSettings(config, model);
+  let responseFormat = settings.responseFormat;
+
+  return async function complete(request) {
+    const create = () => client.chat.completions.create(chatCompletionParams(model, request, { ...settings, responseFormat }));
+    try {
+      return chatCompletionResult(await create());
+    } catch (error) {
+      if (!request.responseSchema || responseFormat === 'text' || !isResponseFormatError(error)) {
+        throw error;
+      }
+      console.warn(`⚠️ ${model} does not accept response_format ${responseFormat} (${error.message}), asking for plain JSON instead`);
+      responseFormat = 'text';
+      return chatCompletionResult(await create());
+    }
+  };
+}
+
+/**
+ * Request settings for a model: `provider_options.response_format` ('json_schema' by default,
+ * 'json_object', or 'text' for servers that support neither) and `provider_options.reasoning_model`
+ * (default: whether the model name is an o-series one, for Azure deployments named otherwise)
+ * @param {Object} config - Configuration object
+ * @param {string} model - Model name
+ * @returns {{ responseFormat: string, reasoning: boolean }} Settings for chatCompletionParams
+ */
+function chatSettings(config, model) {
+  const options = config.provider_options || {};
+  return {
+    responseFormat: options.response_format || 'json_schema',
+    reasoning: options.reasoning_model !== undefined ? options.reasoning_model : REASONING_MODEL.test(config.model || model || '')
+  };
+}
+
+// Client errors about the response format; servers word them differently
+function isResponseFormatError(error) {
+  return typeof error.status === 'number' && error.status >= 400 && error.status < 500 && error.status !== 429 &&
+    /response_format|json_schema|json_object|structured output/i.test(error.message || '');
+}
+
+/**
+ * Chat completion parameters for OpenAI-style APIs
+ * @param {string} model - Model (or Azure deployment) name
+ * @param {Object} request - { messages, maxTokens, temperature, responseSchema }, where the optional
+ *   responseSchema ({ name, schema }) requests structured output matching a JSON schema
+ * @param {Object} [settings] - { responseFormat, reasoning } (see chatSettings)
+ * @returns {Object} Parameters for `chat.completions.create`
+ */
+function chatCompletionParams(model, { messages, maxTokens, temperature, responseSchema }, settings = { responseFormat: 'json_schema', reasoning: false }) {
+  const formats = responseSchema && {
+    json_schema: { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true } },
+    json_object: { type: 'json_object' }
+  };
+  const responseFormat = formats && formats[settings.responseFormat];
+  return {
+    model,
+    messages,
+    ...(settings.reasoning ? { max_completion_tokens: maxTokens } : { max_tokens: maxTokens, temperature }),
+    ...(responseFormat && { response_format: responseFormat })
+  };
+}
+
+/**
+ * @param {Object} response - Response of `chat.completions.create`
+ * @returns {{ content: string, usage: Object|null }} Response text and reported token usage
+ */
+function chatCompletionResult(response) {
+  return {
+    content: response.choices[0].message.content,
+    usage: response.usage
+      ? { inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens }
+      : null
+  };
+}
+
+module.exports = { validateProvider, loadProvider, chatCompletion, chatCompletionParams, chatCompletionResult };
@@ -0,0 +1,255 @@
+const http = require('http');
+
+const MAX_SAMPLE_DEPTH = 8;
+
+/**
+ * Start a local HTTP server that answers requests from an OpenAPI/Swagger spec.
+ *
+ * Requests are matched against the spec's path templates (with or without the server's
+ * base path). The response is the lowest documented 2xx status, or the status asked for
+ * with a `Prefer: code=<status>` header, and its body comes from the response's examples,
+ * falling back to a sample built from its schema. Unknown paths get 404, undocumented
+ * methods 405.
+ * @param {Object} spec - Dereferenced OpenAPI 3.x or Swagger 2.0 document
+ * @param {Object} [options] - { port } (default: a free port)
+ * @returns {Promise<{ url: string, close: Function }>} Base URL of the server and a function that stops it
+ */
+function startMockServer(spec, options = {}) {
+  const routes = buildRoutes(spec);
+  const basePath = specBasePath(spec);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = matchRoute(routes, url.pathname) ||
+      (basePath && url.pathname.startsWith(basePath) ? matchRoute(routes, url.pathname.slice(basePath.length) || '/') : null);
+
+    if (!route) {
+      return sendJSON(res, 404, { error: `No path in the spec matches ${url.pathname}` });
+    }
+
+    const operation = route.pathItem[req.method.toLowerCase()];
+    if (!operation) {
+      return sendJSON(res, 405, { error: `${req.method} is not documented for ${route.template}` });
+    }
+
+    // Drain the request body before answering so clients don't see a reset connection
+    req.resume();
+    req.on('end', () => sendResponse(res, operation, req.headers.prefer, req.method === 'HEAD'));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+function buildRoutes(spec) {
+  return Object.entries(spec.paths || {})
+    .map(([template, pathItem]) => ({
+      template,
+      pathItem: pathItem || {},
+      params: (template.match(/\{[^}]+\}/g) || []).length,
+      pattern: new RegExp('^' + template.split(/\{[^}]+\}/).map(escapeRegExp).join('[^/]+') + '/?$')
+    }))
+    // Literal paths win over templated ones, e.g. /users/me over /users/{id}
+    .sort((a, b) => a.params - b.params);
+}
+
+function matchRoute(routes, pathname) {
+  return routes.find(route => route.pattern.test(pathname)) || null;
+}
+
+function specBasePath(spec) {
+  if (spec.basePath && spec.basePath !== '/') {
+    return spec.basePath.replace(/\/$/, '');
+  }
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) {
+    return '';
+  }
+  try {
+    const pathname = new URL(server.url, 'http://localhost').pathname.replace(/\/$/, '');
+    return decodeURI(pathname);
+  } catch (error) {
+    return '';
+  }
+}
+
+function sendResponse(res, operation, prefer, headOnly) {
+  const responses = operation.responses || {};
+  const status = chooseStatus(responses, prefer);
+  const response = responses[status] || {};
+  const statusCode = /^\d{3}$/.test(status) ? Number(status) : 200;
+
+  for (const [name, header] of Object.entries(response.headers || {})) {
+    const value = header.example !== undefined ? header.example : sampleFromSchema(header.schema || header);
+    if (value !== undefined && value !== null && name.toLowerCase() !== 'content-type') {
+      res.setHeader(name, String(value));
+    }
+  }
+
+  const body = responseBody(response);
+  if (!body || statusCode === 204 || statusCode === 304) {
+    res.writeHead(statusCode);
+    return res.end();
+  }
+
+  const payload = typeof body.value === 'string' && !/json/i.test(body.mediaType)
+    ? body.value
+    : JSON.stringify(body.value);
+  res.writeHead(statusCode, { 'Content-Type': body.mediaType });
+  res.end(headOnly ? undefined : payload);
+}
+
+function chooseStatus(responses, prefer) {
+  const statuses = Object.keys(responses);
+  const preferred = prefer && prefer.match(/code=(\d{3})/);
+  if (preferred && statuses.includes(preferred[1])) {
+    return preferred[1];
+  }
+  const success = statuses.filter(status => /^2\d\d$/.test(status)).sort();
+  if (success.length > 0) {
+    return success[0];
+  }
+  if (statuses.includes('2XX')) {
+    return '2XX';
+  }
+  return statuses.includes('default') ? 'default' : statuses[0];
+}
+
+// Body of a documented response as { mediaType, value }, or null when it has none
+function responseBody(response) {
+  // OpenAPI 3.x: content per media type
+  if (response.content) {
+    const mediaTypes = Object.keys(response.content);
+    const mediaType = mediaTypes.find(type => /json/i.test(type)) || mediaTypes[0];
+    if (!mediaType) {
+      return null;
+    }
+    const media = response.content[mediaType] || {};
+    if (media.example !== undefined) {
+      return { mediaType, value: media.example };
+    }
+    const example = Object.values(media.examples || {}).find(e => e && e.value !== undefined);
+    if (example) {
+      return { mediaType, value: example.value };
+    }
+    return { mediaType, value: sampleFromSchema(media.schema) };
+  }
+
+  // Swagger 2.0: examples per media type next to a single schema
+  const examples = response.examples || {};
+  const exampleType = Object.keys(examples).find(type => /json/i.test(type)) || Object.keys(examples)[0];
+  if (exampleType) {
+    return { mediaType: exampleType, value: examples[exampleType] };
+  }
+  if (response.schema) {
+    return { mediaType: 'application/json', value: sampleFromSchema(response.schema) };
+  }
+  return null;
+}
+
+/**
+ * Build a value that satisfies a JSON schema, preferring the schema's own examples and defaults
+ * @param {Object} schema - JSON schema (dereferenced, may be circular)
+ * @returns {*} Sample value
+ */
+function sampleFromSchema(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_SAMPLE_DEPTH) {
+    return null;
+  }
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (schema.const !== undefined) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  if (Array.isArray(schema.allOf)) {
+    // Merge the samples of object parts; the last non-object part wins otherwise
+    return schema.allOf.reduce((merged, part) => {
+      const value = sampleFromSchema(part, depth + 1);
+      return isPlainObject(merged) && isPlainObject(value) ? { ...merged, ...value } : value;
+    }, {});
+  }
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return sampleFromSchema(variants[0], depth + 1);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      const sample = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        sample[name] = sampleFromSchema(property, depth + 1);
+      }
+      return sample;
+    }
+    case 'array': {
+      const item = sampleFromSchema(schema.items, depth + 1);
+      return item === null ? [] : Array.from({ length: Math.max(schema.minItems || 1, 1) }, () => item);
+    }
+    case 'string':
+      return sampleString(schema);
+    case 'integer':
+    case 'number':
+      if (typeof schema.minimum === 'number') {
+        return schema.minimum;
+      }
+      return typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + 1 : 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+function sampleString(schema) {
+  switch (schema.format) {
+    case 'date-time':
+      return '2024-01-01T00:00:00Z';
+    case 'date':
+      return '2024-01-01';
+    case 'email':
+      return 'user@example.com';
+    case 'uuid':
+      return '00000000-0000-4000-8000-000000000000';
+    case 'uri':
+    case 'url':
+      return 'https://example.com';
+    case 'ipv4':
+      return '127.0.0.1';
+    default:
+      return 'string'.padEnd(schema.minLength || 0, 'x');
+  }
+}
+
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { startMockServer, sampleFromSchema };
@@ -0,0 +1,189 @@
+const { countTokens } = require('./token-budget');
+
+// USD per million input and output tokens per model family; the first matching prefix wins
+const MODEL_PRICES = [
+  ['gpt-4.1-nano', { input: 0.10, output: 0.40 }],
+  ['gpt-4.1-mini', { input: 0.40, output: 1.60 }],
+  ['gpt-4.1', { input: 2.00, output: 8.00 }],
+  ['gpt-4o-mini', { input: 0.15, output: 0.60 }],
+  ['gpt-4o', { input: 2.50, output: 10.00 }],
+  ['gpt-4-turbo', { input: 10.00, output: 30.00 }],
+  ['gpt-4-32k', { input: 60.00, output: 120.00 }],
+  ['gpt-4', { input: 30.00, output: 60.00 }],
+  ['gpt-3.5-turbo', { input: 0.50, output: 1.50 }],
+  ['o1-mini', { input: 1.10, output: 4.40 }],
+  ['o1', { input: 15.00, output: 60.00 }],
+  ['o3-mini', { input: 1.10, output: 4.40 }],
+  ['o3', { input: 2.00, output: 8.00 }],
+  ['o4-mini', { input: 1.10, output: 4.40 }]
+];
+const SPEND_LIMIT = 'SPEND_LIMIT';
+
+/**
+ * Count the tokens and estimated cost of a run's model requests, and stop them at the
+ * `spend_limit` (`max_cost_usd`, `max_tokens`). A request is refused when it could take the
+ * run over the limit: its prompt plus a full answer are reserved while it runs.
+ * @param {Object} config - Configuration object
+ * @param {string} model - Model name, for prices and counting tokens
+ * @returns {Object} Tracker ({ track(request, call), totals() })
+ */
+function createUsageTracker(config, model) {
+  const limit = config.spend_limit || {};
+  const prices = modelPrices(config, model);
+  if (limit.max_cost_usd !== undefined && !prices) {
+    console.warn(`⚠️ No prices known for ${model}, spend_limit.max_cost_usd can't be applied; set model_pricing or spend_limit.max_tokens`);
+  }
+  let spent = emptyUsage();
+  const reserved = { tokens: 0, cost: 0 };
+  let stopped = false;
+
+  return {
+    /**
+     * Run a model request, counting what it used
+     * @param {Object} request - { messages, maxTokens, ... }
+     * @param {Function} call - Async function sending the request, resolving to { content, usage }
+     *   where usage ({ inputTokens, outputTokens }) is null when the API doesn't report it
+     * @returns {Promise<{ content: string, usage: Object }>} Answer and its usage (see emptyUsage)
+     */
+    async track(request, call) {
+      const inputTokens = countTokens(request.messages.map(message => message.content).join('\n'), model);
+      const worstCase = { tokens: inputTokens + request.maxTokens, cost: costOf(inputTokens, request.maxTokens, prices) || 0 };
+      const over = exceededLimit(spent, reserved, worstCase, limit, prices);
+      if (over) {
+        if (!stopped) {
+          console.warn(`🛑 Spend limit reached (${over}), no further model requests are sent`);
+          stopped = true;
+        }
+        const error = new Error(`Spend limit reached (${over})`);
+        error.code = SPEND_LIMIT;
+        throw error;
+      }
+
+      reserved.tokens += worstCase.tokens;
+      reserved.cost += worstCase.cost;
+      try {
+        const { content, usage } = await call();
+        const used = {
+          requests: 1,
+          inputTokens: usage ? usage.inputTokens : inputTokens,
+          outputTokens: usage ? usage.outputTokens : countTokens(content || '', model),
+          // Counted with the tokenizer when the API doesn't report usage (e.g. some local servers)
+          estimated: !usage
+        };
+        const counted = { ...used, cost: prices ? costOf(used.inputTokens, used.outputTokens, prices) : null };
+        spent = addUsage(spent, counted);
+        return { content, usage: counted };
+      } finally {
+        reserved.tokens -= worstCase.tokens;
+        reserved.cost -= worstCase.cost;
+      }
+    },
+
+    totals() {
+      return spent;
+    }
+  };
+}
+
+// Description of the limit the request would exceed, null when it fits
+function exceededLimit(spent, reserved, request, limit, prices) {
+  const tokens = spent.inputTokens + spent.outputTokens;
+  if (limit.max_tokens !== undefined && tokens + reserved.tokens + request.tokens > limit.max_tokens) {
+    return `${tokens} of ${limit.max_tokens} tokens used, the next request may need ${request.tokens}`;
+  }
+  if (limit.max_cost_usd !== undefined && prices && spent.cost + reserved.cost + request.cost > limit.max_cost_usd) {
+    return `${formatCost(spent.cost)} of ${formatCost(limit.max_cost_usd)} spent, the next request may cost ${formatCost(request.cost)}`;
+  }
+  return null;
+}
+
+function modelPrices(config, model) {
+  if (config.model_pricing) {
+    return { input: config.model_pricing.input_per_million, output: config.model_pricing.output_per_million };
+  }
+  const [, known] = MODEL_PRICES.find(([prefix]) => (model || '').startsWith(prefix)) || [null, null];
+  return known;
+}
+
+function costOf(inputTokens, outputTokens, prices) {
+  return prices ? (inputTokens * prices.input + outputTokens * prices.output) / 1e6 : null;
+}
+
+/**
+ * @returns {Object} Usage of no requests ({ requests, inputTokens, outputTokens, cost, estimated }),
+ *   where cost is null once a request of a model without known prices is added
+ */
+function emptyUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: false };
+}
+
+/**
+ * @param {Object} a - Usage
+ * @param {Object} b - Usage
+ * @returns {Object} Combined usage; the cost is unknown when either cost is
+ */
+function addUsage(a, b) {
+  return {
+    requests: a.requests + b.requests,
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    cost: a.cost === null || b.cost === null ? null : a.cost + b.cost,
+    estimated: a.estimated || b.estimated
+  };
+}
+
+/**
+ * @param {Object} usage - Usage
+ * @returns {string} e.g. "3 requests, 12,480 input + 2,205 output tokens, ≈ $0.0519"
+ */
+function formatUsage(usage) {
+  const tokens = `${usage.inputTokens.toLocaleString('en-US')} input + ${usage.outputTokens.toLocaleString('en-US')} output tokens${usage.estimated ? ' (estimated)' : ''}`;
+  const cost = usage.cost !== null ? `≈ ${formatCost(usage.cost)}` : 'cost unknown';
+  return `${usage.requests} request${usage.requests === 1 ? '' : 's'}, ${tokens}, ${cost}`;
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
+
+/**
+ * @param {Error} error - Error from a model request
+ * @returns {boolean} Whether the request was refused because of the spend limit
+ */
+function isSpendLimitError(error) {
+  return error.code === SPEND_LIMIT;
+}
+
+/**
+ * Check the `spend_limit` and `model_pricing` settings
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Error messages, empty when the settings are usable
+ */
+function validateUsageSettings(config) {
+  const errors = [];
+  const limit = config.spend_limit;
+  if (limit !== undefined) {
+    if (limit.max_cost_usd !== undefined && !(typeof limit.max_cost_usd === 'number' && limit.max_cost_usd > 0)) {
+      errors.push('spend_limit.max_cost_usd must be a positive number');
+    }
+    if (limit.max_tokens !== undefined && !(Number.isInteger(limit.max_tokens) && limit.max_tokens > 0)) {
+      errors.push('spend_limit.max_tokens must be a positive integer');
+    }
+  }
+  const pricing = config.model_pricing;
+  if (pricing !== undefined) {
+    ['input_per_million', 'output_per_million']
+      .filter(key => !(typeof pricing[key] === 'number' && pricing[key] >= 0))
+      .forEach(key => errors.push(`model_pricing.${key} must be a price in USD`));
+  }
+  return errors;
+}
+
+module.exports = {
+  createUsageTracker,
+  emptyUsage,
+  addUsage,
+  formatUsage,
+  isSpendLimitError,
+  validateUsageSettings
+};
@@ -1,131 +1,552 @@
 const SwaggerParser = require("@apidevtools/swagger-parser");
-const yaml = require('js-yaml');
+const { diffSchemas, joinPointer } = require('./schema-diff');
+const { parseSpec, dereferenceSpec, withRef, refOf, attributeSources } = require('./spec-refs');
+const { matchRenamedOperations, pathShape } = require('./openapi-renames');
 
-function diffOpenAPISpecs(oldSpecStr, newSpecStr) {
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Compare two versions of an OpenAPI spec
+ * @param {string|null} oldSpecStr - Previous spec content (JSON or YAML), or null for a newly added spec
+ * @param {string|null} newSpecStr - Current spec content (JSON or YAML), or null for a deleted spec
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the root spec, used to resolve relative file $refs
+ * @param {string} [options.previousFile] - Path of the root spec in the old revision, if it was renamed
+ * @param {Function} [options.readOldFile] - Reads a referenced file as it was in the old revision
+ * @param {Function} [options.readNewFile] - Reads a referenced file as it is now
+ * @returns {Promise<Object[]>} Array of change records
+ */
+async function diffOpenAPISpecs(oldSpecStr, newSpecStr, options = {}) {
   try {
-    const oldSpec = parseSpec(oldSpecStr);
-    const newSpec = parseSpec(newSpecStr);
+    // A missing side is an empty spec, so everything is reported as added or removed
+    const oldSpec = oldSpecStr === null
+      ? {}
+      : await dereferenceSpec(parseSpec(oldSpecStr), options.previousFile || options.file, options.readOldFile, SwaggerParser);
+    const newSpec = newSpecStr === null
+      ? {}
+      : await dereferenceSpec(parseSpec(newSpecStr), options.file, options.readNewFile, SwaggerParser);
 
+    const oldPaths = oldSpec.paths || {};
+    const newPaths = newSpec.paths || {};
     const changes = [];
+    const addedOperations = [];
+    const removedOperations = [];
+
+    // Compare operations within paths present in both versions
+    for (const path in newPaths) {
+      for (const method of operationMethods(newPaths[path])) {
+        if (!oldPaths[path] || !oldPaths[path][method]) {
+          addedOperations.push({ path, method, operation: newPaths[path][method] });
+        } else {
+          changes.push(...compareOperation(oldPaths[path][method], newPaths[path][method], path, method, {
+            oldSpec,
+            newSpec,
+            oldPathItem: oldPaths[path],
+            newPathItem: newPaths[path]
+          }));
+        }
+      }
+    }
+
+    for (const path in oldPaths) {
+      for (const method of operationMethods(oldPaths[path])) {
+        if (!newPaths[path] || !newPaths[path][method]) {
+          removedOperations.push({ path, method, operation: oldPaths[path][method] });
+        }
+      }
+    }
+
+    // Pair removed and added operations that are really the same operation under a new path
+    const renames = matchRenamedOperations(removedOperations, addedOperations);
+    for (const { from, to, matchedBy, similarity } of renames) {
+      changes.push({
+        type: "renamed_endpoint",
+        path: to.path,
+        method: to.method,
+        from: from.path,
+        ...(from.method !== to.method && { fromMethod: from.method }),
+        matchedBy,
+        similarity,
+        parameterRenameOnly: from.method === to.method && pathShape(from.path) === pathShape(to.path)
+      });
+      changes.push(...compareOperation(from.operation, to.operation, to.path, to.method, {
+        oldSpec,
+        newSpec,
+        oldPathItem: oldPaths[from.path],
+        newPathItem: newPaths[to.path],
+        paramRenames: pathParameterRenames(from.path, to.path)
+      }));
+    }
+
+    const renamedFrom = new Set(renames.map(rename => rename.from));
+    const renamedTo = new Set(renames.map(rename => rename.to));
+
+    // Check for security scheme changes
+    changes.push(...compareSecuritySchemes(securitySchemesOf(oldSpec), securitySchemesOf(newSpec)));
 
     // Check for new endpoints
-    for (const path in newSpec.paths || {}) {
-      if (!oldSpec.paths || !oldSpec.paths[path]) {
-        changes.push({ type: "new_endpoint", path });
-      } else {
-        // Compare methods within existing paths
-        for (const method in newSpec.paths[path]) {
-          if (!oldSpec.paths[path][method]) {
-            changes.push({ type: "new_method", path, method });
-          } else {
-            // Check for parameter changes
-            const oldParams = oldSpec.paths[path][method].parameters || [];
-            const newParams = newSpec.paths[path][method].parameters || [];
-            
-            const paramChanges = compareParameters(oldParams, newParams);
-            if (paramChanges.length > 0) {
-              changes.push({ type: "parameter_changes", path, method, details: paramChanges });
-            }
-
-            // Check for response changes
-            const oldResponses = oldSpec.paths[path][method].responses || {};
-            const newResponses = newSpec.paths[path][method].responses || {};
-            
-            const responseChanges = compareResponses(oldResponses, newResponses);
-            if (responseChanges.length > 0) {
-              changes.push({ type: "response_changes", path, method, details: responseChanges });
-            }
-          }
+    for (const path in newPaths) {
+      const added = addedOperations.filter(op => op.path === path && !renamedTo.has(op));
+      if (!oldPaths[path]) {
+        if (added.length === operationMethods(newPaths[path]).length) {
+          changes.push({ type: "new_endpoint", path });
+          continue;
         }
       }
+      added.forEach(({ method }) => changes.push({ type: "new_method", path, method }));
     }
 
     // Check for removed endpoints
-    for (const path in oldSpec.paths || {}) {
-      if (!newSpec.paths || !newSpec.paths[path]) {
-        changes.push({ type: "removed_endpoint", path });
-      } else {
-        // Check for removed methods
-        for (const method in oldSpec.paths[path]) {
-          if (!newSpec.paths[path][method]) {
-            changes.push({ type: "removed_method", path, method });
-          }
+    for (const path in oldPaths) {
+      const removed = removedOperations.filter(op => op.path === path && !renamedFrom.has(op));
+      if (!newPaths[path]) {
+        if (removed.length === operationMethods(oldPaths[path]).length) {
+          changes.push({ type: "removed_endpoint", path });
+          continue;
         }
       }
+      removed.forEach(({ method }) => changes.push({ type: "removed_method", path, method }));
     }
 
-    return changes;
+    // Endpoint-level records have no pointer; locate them by path and method
+    return attributeSources(changes, oldSpec, newSpec, (change) =>
+      change.pointer || (change.path && joinPointer('', 'paths', change.path, ...(change.method ? [change.method] : []))));
   } catch (error) {
     console.error('Error comparing OpenAPI specs:', error.message);
     return [];
   }
 }
 
-function parseSpec(specStr) {
-  try {
-    // Try JSON first
-    return JSON.parse(specStr);
-  } catch (jsonError) {
-    try {
-      // Try YAML using js-yaml
-      return yaml.load(specStr);
-    } catch (yamlError) {
-      throw new Error(`Could not parse spec as JSON or YAML: ${jsonError.message}, ${yamlError.message}`);
+/**
+ * Compare two versions of a single operation
+ * @param {Object} context
+ * @param {Object} context.oldSpec - Previous spec, for global settings such as `security`
+ * @param {Object} context.newSpec - Current spec
+ * @param {Object} context.oldPathItem - Previous path item, for parameters shared by its operations
+ * @param {Object} context.newPathItem - Current path item
+ * @param {Object} [context.paramRenames] - New path parameter name -> old name, for renamed operations
+ * @returns {Object[]} Parameter, request body, response and security change records for the operation
+ */
+function compareOperation(oldOperation, newOperation, path, method, context) {
+  const changes = [];
+  const operationPointer = joinPointer('', 'paths', path, method);
+
+  // Check for parameter changes, including the ones declared for the whole path
+  const oldParams = operationParameters(context.oldPathItem, oldOperation);
+  const newParams = operationParameters(context.newPathItem, newOperation, joinPointer('', 'paths', path), operationPointer);
+
+  const paramChanges = compareParameters(oldParams, newParams, context.paramRenames);
+  if (paramChanges.length > 0) {
+    changes.push({ type: "parameter_changes", path, method, details: paramChanges });
+  }
+
+  // Check for request body changes
+  const requestBodyChanges = compareRequestBodies(
+    oldOperation.requestBody,
+    newOperation.requestBody,
+    joinPointer(operationPointer, 'requestBody')
+  );
+  if (requestBodyChanges.length > 0) {
+    changes.push({ type: "request_body_changes", path, method, details: requestBodyChanges });
+  }
+
+  // Check for response changes
+  const oldResponses = oldOperation.responses || {};
+  const newResponses = newOperation.responses || {};
+
+  const responseChanges = compareResponses(oldResponses, newResponses, joinPointer(operationPointer, 'responses'));
+  if (responseChanges.length > 0) {
+    changes.push({ type: "response_changes", path, method, details: responseChanges });
+  }
+
+  // Check for authentication requirement changes (operation-level security overrides the global one)
+  const oldSecurity = oldOperation.security || context.oldSpec.security || [];
+  const newSecurity = newOperation.security || context.newSpec.security || [];
+
+  const securityChanges = compareSecurityRequirements(oldSecurity, newSecurity, joinPointer(operationPointer, 'security'));
+  if (securityChanges.length > 0) {
+    changes.push({
+      type: "security_changes",
+      path,
+      method,
+      details: securityChanges,
+      schemes: describeSecuritySchemes(newSecurity, securitySchemesOf(context.newSpec))
+    });
+  }
+
+  return changes;
+}
+
+// Path parameters at the same position of two path templates, as new name -> old name
+function pathParameterRenames(oldPath, newPath) {
+  const oldNames = (oldPath.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+  const newNames = (newPath.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+  const renames = {};
+  newNames.forEach((name, i) => {
+    if (oldNames[i] && oldNames[i] !== name) {
+      renames[name] = oldNames[i];
     }
+  });
+  return renames;
+}
+
+function operationMethods(pathItem) {
+  return Object.keys(pathItem || {}).filter(key => HTTP_METHODS.includes(key));
+}
+
+/**
+ * Parameters that apply to an operation: the path item's, overridden by the operation's with the
+ * same name and location
+ * @param {Object} [pathItem] - Path item of the operation
+ * @param {Object} operation - Operation
+ * @param {string} [pathPointer] - JSON pointer of the path item, to locate the parameters
+ * @param {string} [operationPointer] - JSON pointer of the operation
+ * @returns {Object[]} Entries ({ param, pointer })
+ */
+function operationParameters(pathItem, operation, pathPointer = '', operationPointer = '') {
+  const own = (operation.parameters || [])
+    .map((param, i) => ({ param, pointer: joinPointer(operationPointer, 'parameters', String(i)) }));
+  const shared = ((pathItem && pathItem.parameters) || [])
+    .map((param, i) => ({ param, pointer: joinPointer(pathPointer, 'parameters', String(i)) }))
+    .filter(({ param }) => !own.some(entry => entry.param.name === param.name && entry.param.in === param.in));
+  return [...shared, ...own];
+}
+
+// Schema keywords a Swagger 2.0 non-body parameter carries inline instead of in `schema`
+const INLINE_SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'enum', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'minItems', 'maxItems'
+];
+
+// Schema of a parameter and its pointer
+function parameterSchema({ param, pointer }) {
+  if (param.schema || param.in === 'body') {
+    return { schema: param.schema, pointer: joinPointer(pointer, 'schema') };
   }
+  const inline = Object.fromEntries(INLINE_SCHEMA_KEYWORDS.filter(keyword => keyword in param).map(keyword => [keyword, param[keyword]]));
+  return { schema: inline, pointer };
 }
 
-function compareParameters(oldParams, newParams) {
+function compareParameters(oldEntries, newEntries, renames = {}) {
   const changes = [];
-  
+  const previousName = (param) => (param.in === 'path' && renames[param.name]) || param.name;
+  const oldParams = oldEntries.map(entry => entry.param);
+  const newParams = newEntries.map(entry => entry.param);
+
   // Check for new parameters
-  newParams.forEach(newParam => {
-    const oldParam = oldParams.find(p => p.name === newParam.name && p.in === newParam.in);
+  newParams.forEach((newParam, index) => {
+    const oldParam = oldParams.find(p => p.name === previousName(newParam) && p.in === newParam.in);
     if (!oldParam) {
-      changes.push({ type: "new_parameter", parameter: newParam.name, location: newParam.in });
+      changes.push(withRef({ type: "new_parameter", parameter: newParam.name, location: newParam.in, required: newParam.required || false }, newParam));
     } else {
+      if (oldParam.name !== newParam.name) {
+        changes.push(withRef({ type: "path_parameter_renamed", parameter: newParam.name, location: newParam.in, from: oldParam.name }, newParam));
+      }
+
       // Check for requirement changes
       if (oldParam.required !== newParam.required) {
-        changes.push({ 
+        changes.push(withRef({ 
           type: "parameter_requirement_changed", 
           parameter: newParam.name, 
           location: newParam.in,
           from: oldParam.required || false,
           to: newParam.required || false
-        });
+        }, newParam, oldParam));
       }
+
+      // Check for schema changes (Swagger 2.0 body parameters carry their schema directly, others inline)
+      const { schema: newSchema, pointer } = parameterSchema(newEntries[index]);
+      const { schema: oldSchema } = parameterSchema(oldEntries[oldParams.indexOf(oldParam)]);
+      changes.push(...diffSchemas(oldSchema, newSchema, pointer, {
+        refOf,
+        ref: refOf(newParam) || refOf(oldParam)
+      })
+        .map(change => ({ ...change, parameter: newParam.name, location: newParam.in })));
     }
   });
 
   // Check for removed parameters
   oldParams.forEach(oldParam => {
-    const newParam = newParams.find(p => p.name === oldParam.name && p.in === oldParam.in);
+    const newParam = newParams.find(p => previousName(p) === oldParam.name && p.in === oldParam.in);
     if (!newParam) {
-      changes.push({ type: "removed_parameter", parameter: oldParam.name, location: oldParam.in });
+      changes.push(withRef({ type: "removed_parameter", parameter: oldParam.name, location: oldParam.in }, oldParam));
     }
   });
 
   return changes;
 }
 
-function compareResponses(oldResponses, newResponses) {
+function compareRequestBodies(oldBody, newBody, pointer) {
+  const changes = [];
+
+  if (!oldBody && !newBody) {
+    return changes;
+  }
+
+  if (!oldBody) {
+    changes.push(withRef({
+      type: "new_request_body",
+      required: newBody.required || false,
+      mediaTypes: Object.keys(newBody.content || {}),
+      pointer
+    }, newBody));
+    return changes;
+  }
+
+  if (!newBody) {
+    changes.push(withRef({ type: "removed_request_body", mediaTypes: Object.keys(oldBody.content || {}), pointer }, oldBody));
+    return changes;
+  }
+
+  if ((oldBody.required || false) !== (newBody.required || false)) {
+    changes.push(withRef({
+      type: "request_body_requirement_changed",
+      from: oldBody.required || false,
+      to: newBody.required || false,
+      pointer
+    }, newBody, oldBody));
+  }
+
+  changes.push(...compareContent(oldBody.content || {}, newBody.content || {}, joinPointer(pointer, 'content'), refOf(newBody) || refOf(oldBody)));
+  return changes;
+}
+
+/**
+ * Compare media type maps (`content`) of a request body or response
+ * @param {Object} oldContent - Previous media type map
+ * @param {Object} newContent - Current media type map
+ * @param {string} pointer - JSON pointer of the content map
+ * @param {string} [ref] - $ref of the enclosing request body or response, if any
+ * @returns {Object[]} Media type and schema change records
+ */
+function compareContent(oldContent, newContent, pointer, ref) {
+  const changes = [];
+
+  for (const mediaType in newContent) {
+    if (!oldContent[mediaType]) {
+      changes.push(withRef({ type: "new_media_type", mediaType, pointer: joinPointer(pointer, mediaType) }, newContent[mediaType]));
+    } else {
+      const schemaChanges = diffSchemas(
+        oldContent[mediaType].schema,
+        newContent[mediaType].schema,
+        joinPointer(pointer, mediaType, 'schema'),
+        { refOf, ref }
+      );
+      changes.push(...schemaChanges.map(change => ({ ...change, mediaType })));
+    }
+  }
+
+  for (const mediaType in oldContent) {
+    if (!newContent[mediaType]) {
+      changes.push(withRef({ type: "removed_media_type", mediaType, pointer: joinPointer(pointer, mediaType) }, oldContent[mediaType]));
+    }
+  }
+
+  return changes;
+}
+
+function compareResponses(oldResponses, newResponses, pointer) {
   const changes = [];
   
   // Check for new response codes
   for (const code in newResponses) {
     if (!oldResponses[code]) {
-      changes.push({ type: "new_response_code", code });
+      changes.push(withRef({ type: "new_response_code", code }, newResponses[code]));
+    } else {
+      // Compare payload and headers within the unchanged status code
+      const responseChanges = compareResponse(oldResponses[code], newResponses[code], joinPointer(pointer, code));
+      changes.push(...responseChanges.map(change => ({ code, ...change })));
     }
   }
 
   // Check for removed response codes
   for (const code in oldResponses) {
     if (!newResponses[code]) {
-      changes.push({ type: "removed_response_code", code });
+      changes.push(withRef({ type: "removed_response_code", code }, oldResponses[code]));
     }
   }
 
   return changes;
 }
 
+function compareResponse(oldResponse, newResponse, pointer) {
+  const changes = [];
+  const ref = refOf(newResponse) || refOf(oldResponse);
+
+  if (oldResponse.content || newResponse.content) {
+    changes.push(...compareContent(oldResponse.content || {}, newResponse.content || {}, joinPointer(pointer, 'content'), ref));
+  } else {
+    // Swagger 2.0 responses carry their schema directly
+    changes.push(...diffSchemas(oldResponse.schema, newResponse.schema, joinPointer(pointer, 'schema'), { refOf, ref }));
+  }
+
+  changes.push(...compareHeaders(oldResponse.headers || {}, newResponse.headers || {}, joinPointer(pointer, 'headers'), ref));
+  return changes;
+}
+
+function compareHeaders(oldHeaders, newHeaders, pointer, ref) {
+  const changes = [];
+
+  for (const name in newHeaders) {
+    const headerPointer = joinPointer(pointer, name);
+    const newHeader = newHeaders[name] || {};
+    const oldHeader = oldHeaders[name];
+
+    if (!oldHeader) {
+      changes.push(withRef({ type: "new_response_header", header: name, required: newHeader.required || false, pointer: headerPointer }, newHeader));
+      continue;
+    }
+
+    if ((oldHeader.required || false) !== (newHeader.required || false)) {
+      changes.push(withRef({
+        type: "response_header_requirement_changed",
+        header: name,
+        from: oldHeader.required || false,
+        to: newHeader.required || false,
+        pointer: headerPointer
+      }, newHeader, oldHeader));
+    }
+
+    // OpenAPI 3 headers nest a schema; Swagger 2.0 headers are schemas themselves
+    const oldSchema = oldHeader.schema || oldHeader;
+    const newSchema = newHeader.schema || newHeader;
+    const schemaPointer = newHeader.schema ? joinPointer(headerPointer, 'schema') : headerPointer;
+    changes.push(...diffSchemas(oldSchema, newSchema, schemaPointer, {
+      refOf,
+      ref: refOf(newHeader) || refOf(oldHeader) || ref
+    }).map(change => ({ ...change, header: name })));
+  }
+
+  for (const name in oldHeaders) {
+    if (!newHeaders[name]) {
+      changes.push(withRef({ type: "removed_response_header", header: name, pointer: joinPointer(pointer, name) }, oldHeaders[name]));
+    }
+  }
+
+  return changes;
+}
+
+// Security schemes of an OpenAPI 3 (components.securitySchemes) or Swagger 2.0 (securityDefinitions) spec
+function securitySchemesOf(spec) {
+  return (spec.components && spec.components.securitySchemes) || spec.securityDefinitions || {};
+}
+
+function compareSecuritySchemes(oldSchemes, newSchemes) {
+  const changes = [];
+  const fields = ['type', 'scheme', 'bearerFormat', 'in', 'name', 'openIdConnectUrl', 'flow', 'authorizationUrl', 'tokenUrl'];
+
+  for (const name in newSchemes) {
+    const newScheme = newSchemes[name] || {};
+    const oldScheme = oldSchemes[name];
+
+    if (!oldScheme) {
+      changes.push(withRef({ type: "new_security_scheme", scheme: name, schemeType: newScheme.type }, newScheme));
+      continue;
+    }
+
+    fields.forEach(field => {
+      if (oldScheme[field] !== newScheme[field]) {
+        changes.push(withRef({
+          type: "security_scheme_changed",
+          scheme: name,
+          field,
+          from: oldScheme[field] === undefined ? null : oldScheme[field],
+          to: newScheme[field] === undefined ? null : newScheme[field]
+        }, newScheme, oldScheme));
+      }
+    });
+
+    // OAuth2 scopes, per flow (Swagger 2.0 keeps a single flow's scopes on the scheme itself)
+    const oldFlows = oldScheme.flows || { [oldScheme.flow || 'default']: oldScheme };
+    const newFlows = newScheme.flows || { [newScheme.flow || 'default']: newScheme };
+    for (const flow in newFlows) {
+      const oldScopes = Object.keys((oldFlows[flow] && oldFlows[flow].scopes) || {});
+      const newScopes = Object.keys((newFlows[flow] && newFlows[flow].scopes) || {});
+      newScopes.filter(scope => !oldScopes.includes(scope)).forEach(scope => {
+        changes.push({ type: "new_oauth_scope", scheme: name, flow, scope });
+      });
+      oldScopes.filter(scope => !newScopes.includes(scope)).forEach(scope => {
+        changes.push({ type: "removed_oauth_scope", scheme: name, flow, scope });
+      });
+    }
+  }
+
+  for (const name in oldSchemes) {
+    if (!newSchemes[name]) {
+      changes.push(withRef({ type: "removed_security_scheme", scheme: name, schemeType: (oldSchemes[name] || {}).type }, oldSchemes[name]));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the security requirements of an operation.
+ * Requirements are alternatives (any one satisfies the operation), each combining schemes and scopes.
+ * @returns {Object[]} Security requirement change records
+ */
+function compareSecurityRequirements(oldSecurity, newSecurity, pointer) {
+  const changes = [];
+  const oldKeys = oldSecurity.map(requirementKey);
+  const newKeys = newSecurity.map(requirementKey);
+  const isAnonymous = (keys) => keys.length === 0 || keys.includes('');
+
+  if (isAnonymous(oldKeys) && !isAnonymous(newKeys)) {
+    changes.push({ type: "authentication_required", requirements: newSecurity, pointer });
+    return changes;
+  }
+
+  if (!isAnonymous(oldKeys) && isAnonymous(newKeys)) {
+    changes.push({ type: "authentication_no_longer_required", requirements: oldSecurity, pointer });
+    return changes;
+  }
+
+  newSecurity.forEach((requirement, i) => {
+    if (!oldKeys.includes(newKeys[i])) {
+      changes.push({ type: "new_security_requirement", requirement, pointer });
+    }
+  });
+
+  oldSecurity.forEach((requirement, i) => {
+    if (!newKeys.includes(oldKeys[i])) {
+      changes.push({ type: "removed_security_requirement", requirement, pointer });
+    }
+  });
+
+  return changes;
+}
+
+// Stable key for a security requirement object, e.g. "api_key|oauth[read,write]"
+function requirementKey(requirement) {
+  return Object.keys(requirement || {}).sort()
+    .map(name => `${name}[${[...(requirement[name] || [])].sort().join(',')}]`)
+    .join('|');
+}
+
+// Definitions of the schemes used by a set of requirements, for building test credentials
+function describeSecuritySchemes(requirements, schemes) {
+  const described = {};
+
+  requirements.forEach(requirement => {
+    for (const name in requirement) {
+      const scheme = schemes[name];
+      if (!scheme) {
+        continue;
+      }
+      described[name] = {
+        type: scheme.type,
+        ...(scheme.scheme && { scheme: scheme.scheme }),
+        ...(scheme.bearerFormat && { bearerFormat: scheme.bearerFormat }),
+        ...(scheme.in && { in: scheme.in }),
+        ...(scheme.name && { name: scheme.name }),
+        ...(scheme.openIdConnectUrl && { openIdConnectUrl: scheme.openIdConnectUrl }),
+        ...(scheme.flows && { flows: Object.keys(scheme.flows) }),
+        ...(requirement[name].length > 0 && { scopes: requirement[name] })
+      };
+    }
+  });
+
+  return described;
+}
+
 module.exports = { diffOpenAPISpecs };
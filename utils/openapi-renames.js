@@ -0,0 +1,148 @@
+// Minimum scores for a pair of operations to be considered the same operation
+const MIN_PATH_SIMILARITY = 0.5;
+const MIN_SCHEMA_SIMILARITY = 0.7;
+
+/**
+ * Pair removed operations with added operations that are the same operation under a new path.
+ *
+ * Candidates are matched, in order of confidence, by:
+ * - `operationId`: both operations declare the same operationId
+ * - `path_template`: same method and the same path once parameter names are ignored
+ *   (`/users/{id}` -> `/users/{userId}`)
+ * - `schema_similarity`: same method, similar static path segments (version segments such as
+ *   `v1`/`v2` are ignored) and a similar parameter/request/response signature
+ *
+ * @param {Object[]} removedOperations - Operations only in the old spec ({ path, method, operation })
+ * @param {Object[]} addedOperations - Operations only in the new spec ({ path, method, operation })
+ * @returns {Object[]} Matches ({ from, to, matchedBy, similarity }), each operation used at most once
+ */
+function matchRenamedOperations(removedOperations, addedOperations) {
+  const candidates = [];
+
+  for (const from of removedOperations) {
+    for (const to of addedOperations) {
+      const candidate = scoreCandidate(from, to);
+      if (candidate) {
+        candidates.push({ from, to, ...candidate });
+      }
+    }
+  }
+
+  // Greedily take the most confident matches first
+  const rank = { operationId: 2, path_template: 1, schema_similarity: 0 };
+  candidates.sort((a, b) => rank[b.matchedBy] - rank[a.matchedBy] || b.similarity - a.similarity);
+
+  const matches = [];
+  const usedFrom = new Set();
+  const usedTo = new Set();
+  for (const candidate of candidates) {
+    if (!usedFrom.has(candidate.from) && !usedTo.has(candidate.to)) {
+      usedFrom.add(candidate.from);
+      usedTo.add(candidate.to);
+      matches.push(candidate);
+    }
+  }
+
+  return matches;
+}
+
+function scoreCandidate(from, to) {
+  const similarity = round(signatureSimilarity(from.operation, to.operation));
+  const fromId = from.operation && from.operation.operationId;
+  const toId = to.operation && to.operation.operationId;
+
+  if (fromId && fromId === toId) {
+    return { matchedBy: 'operationId', similarity };
+  }
+
+  // Different operationIds are a deliberate statement that these are different operations
+  if ((fromId && toId) || from.method !== to.method) {
+    return null;
+  }
+
+  if (pathShape(from.path) === pathShape(to.path)) {
+    return { matchedBy: 'path_template', similarity };
+  }
+
+  const pathSimilarity = jaccard(staticSegments(from.path), staticSegments(to.path));
+  if (pathSimilarity >= MIN_PATH_SIMILARITY && similarity >= MIN_SCHEMA_SIMILARITY) {
+    return { matchedBy: 'schema_similarity', similarity };
+  }
+
+  return null;
+}
+
+/**
+ * Path with parameter names removed, e.g. `/users/{id}` -> `/users/{}`
+ * @param {string} path - OpenAPI path template
+ * @returns {string} Path shape
+ */
+function pathShape(path) {
+  return path.replace(/\{[^}]+\}/g, '{}').replace(/\/+$/, '');
+}
+
+function staticSegments(path) {
+  return new Set(path.split('/').filter(segment =>
+    segment && !segment.startsWith('{') && !/^v\d+$/i.test(segment)));
+}
+
+function signatureSimilarity(oldOperation, newOperation) {
+  return jaccard(operationSignature(oldOperation), operationSignature(newOperation));
+}
+
+// Parameters, media types, response codes and top-level payload properties of an operation
+function operationSignature(operation) {
+  const signature = new Set();
+  if (!operation) {
+    return signature;
+  }
+
+  (operation.parameters || []).forEach(param => {
+    // Path parameters are often renamed along with the path
+    signature.add(param.in === 'path' ? 'param:path' : `param:${param.in}:${param.name}`);
+    addSchemaProperties(signature, 'param-body', param.schema);
+  });
+
+  const requestContent = (operation.requestBody && operation.requestBody.content) || {};
+  for (const mediaType in requestContent) {
+    signature.add(`request:${mediaType}`);
+    addSchemaProperties(signature, 'request', requestContent[mediaType].schema);
+  }
+
+  for (const code in operation.responses || {}) {
+    signature.add(`response:${code}`);
+    const response = operation.responses[code] || {};
+    addSchemaProperties(signature, `response:${code}`, response.schema);
+    for (const mediaType in response.content || {}) {
+      addSchemaProperties(signature, `response:${code}`, response.content[mediaType].schema);
+    }
+  }
+
+  return signature;
+}
+
+function addSchemaProperties(signature, prefix, schema) {
+  const target = schema && schema.type === 'array' ? schema.items : schema;
+  for (const name in (target && target.properties) || {}) {
+    signature.add(`${prefix}:${name}`);
+  }
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  a.forEach(value => {
+    if (b.has(value)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { matchRenamedOperations, pathShape };
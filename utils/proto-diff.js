@@ -0,0 +1,307 @@
+const protobuf = require('protobufjs');
+
+/**
+ * Compare two versions of a .proto file
+ * @param {string|null} oldProtoStr - Previous file content, or null for a newly added file
+ * @param {string|null} newProtoStr - Current file content, or null for a deleted file
+ * @returns {Object[]} Array of change records, each with a `severity`
+ */
+function diffProtoFiles(oldProtoStr, newProtoStr) {
+  try {
+    const oldDefs = collectDefinitions(parseProto(oldProtoStr));
+    const newDefs = collectDefinitions(parseProto(newProtoStr));
+
+    const messageChanges = compareMessageTypes(oldDefs.types, newDefs.types, rpcsByMessageType(newDefs.services));
+
+    return [
+      ...compareServices(oldDefs.services, newDefs.services),
+      ...messageChanges,
+      ...compareEnums(oldDefs.enums, newDefs.enums)
+    ];
+  } catch (error) {
+    console.error('Error comparing proto files:', error.message);
+    return [];
+  }
+}
+
+function parseProto(protoStr) {
+  // Imports are not resolved: referenced types are compared by name.
+  // A missing file parses to an empty root, so everything is reported as added or removed
+  return protobuf.parse(protoStr || '', { keepCase: true, alternateCommentMode: true }).root;
+}
+
+// Services, message types and enums by fully qualified name (without the leading dot)
+function collectDefinitions(root) {
+  const definitions = { services: {}, types: {}, enums: {} };
+
+  const walk = (namespace) => {
+    for (const nested of namespace.nestedArray) {
+      const name = nested.fullName.replace(/^\./, '');
+      if (nested instanceof protobuf.Service) {
+        definitions.services[name] = nested;
+      } else if (nested instanceof protobuf.Type) {
+        definitions.types[name] = nested;
+      } else if (nested instanceof protobuf.Enum) {
+        definitions.enums[name] = nested;
+      }
+      if (nested.nestedArray) {
+        walk(nested);
+      }
+    }
+  };
+
+  walk(root);
+  return definitions;
+}
+
+function compareServices(oldServices, newServices) {
+  const changes = [];
+
+  for (const name in newServices) {
+    if (!oldServices[name]) {
+      changes.push({ type: "new_service", path: `/${name}`, service: name, references: [shortName(name)], severity: 'non_breaking' });
+      continue;
+    }
+
+    const oldMethods = oldServices[name].methods;
+    const newMethods = newServices[name].methods;
+
+    for (const rpc in newMethods) {
+      // gRPC request path, e.g. /acme.users.v1.UserService/GetUser
+      const context = { path: `/${name}/${rpc}`, service: name, rpc, references: [rpc] };
+      const oldMethod = oldMethods[rpc];
+      const newMethod = newMethods[rpc];
+
+      if (!oldMethod) {
+        changes.push({ type: "new_rpc", ...context, severity: 'non_breaking' });
+        continue;
+      }
+
+      if (oldMethod.requestType !== newMethod.requestType) {
+        changes.push({ type: "rpc_request_type_changed", ...context, from: oldMethod.requestType, to: newMethod.requestType, severity: 'breaking' });
+      }
+      if (oldMethod.responseType !== newMethod.responseType) {
+        changes.push({ type: "rpc_response_type_changed", ...context, from: oldMethod.responseType, to: newMethod.responseType, severity: 'breaking' });
+      }
+      if (Boolean(oldMethod.requestStream) !== Boolean(newMethod.requestStream) ||
+          Boolean(oldMethod.responseStream) !== Boolean(newMethod.responseStream)) {
+        changes.push({
+          type: "rpc_streaming_changed",
+          ...context,
+          from: streamingMode(oldMethod),
+          to: streamingMode(newMethod),
+          severity: 'breaking'
+        });
+      }
+    }
+
+    for (const rpc in oldMethods) {
+      if (!newMethods[rpc]) {
+        changes.push({ type: "removed_rpc", path: `/${name}/${rpc}`, service: name, rpc, references: [rpc], severity: 'breaking' });
+      }
+    }
+  }
+
+  for (const name in oldServices) {
+    if (!newServices[name]) {
+      changes.push({ type: "removed_service", path: `/${name}`, service: name, references: [shortName(name)], severity: 'breaking' });
+    }
+  }
+
+  return changes;
+}
+
+// Message type (short name) -> RPCs using it as request or response, so field changes lead to the RPC tests
+function rpcsByMessageType(services) {
+  const rpcs = {};
+  for (const name in services) {
+    for (const rpc in services[name].methods) {
+      const method = services[name].methods[rpc];
+      [method.requestType, method.responseType].forEach(type => {
+        const key = shortName(type);
+        rpcs[key] = [...new Set([...(rpcs[key] || []), rpc])];
+      });
+    }
+  }
+  return rpcs;
+}
+
+function compareMessageTypes(oldTypes, newTypes, rpcsByType) {
+  const changes = [];
+
+  for (const name in newTypes) {
+    if (!oldTypes[name]) {
+      changes.push({ type: "new_message_type", path: name, references: [shortName(name)], severity: 'non_breaking' });
+    } else {
+      const references = [shortName(name), ...(rpcsByType[shortName(name)] || [])];
+      changes.push(...compareFields(oldTypes[name], newTypes[name], name)
+        .map(change => ({ ...change, references })));
+    }
+  }
+
+  for (const name in oldTypes) {
+    if (!newTypes[name]) {
+      changes.push({ type: "removed_message_type", path: name, references: [shortName(name)], severity: 'breaking' });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare fields of a message. Fields are identified on the wire by number, so fields are
+ * matched by number first and by name second to tell renames, renumbering and reuse apart.
+ */
+function compareFields(oldType, newType, typeName) {
+  const changes = [];
+  const oldById = byId(oldType.fieldsArray);
+  const newById = byId(newType.fieldsArray);
+  const oldByName = oldType.fields;
+  const newByName = newType.fields;
+
+  for (const newField of newType.fieldsArray) {
+    const path = `${typeName}.${newField.name}`;
+    const sameNumber = oldById[newField.id];
+    const sameName = oldByName[newField.name];
+
+    if (sameNumber && sameNumber.name === newField.name) {
+      changes.push(...compareFieldTypes(sameNumber, newField, path));
+    } else if (sameNumber && !newByName[sameNumber.name] && fieldSignature(sameNumber) === fieldSignature(newField)) {
+      // Same number and type under a new name: wire compatible, but breaks JSON mapping and generated code.
+      // When the old name is still declared under another number, fields were swapped or moved instead
+      changes.push({ type: "field_renamed", path, number: newField.id, from: sameNumber.name, to: newField.name, severity: 'potentially_breaking' });
+    } else if (sameNumber) {
+      changes.push({
+        type: "field_number_reused",
+        path,
+        number: newField.id,
+        from: { name: sameNumber.name, type: fieldSignature(sameNumber) },
+        to: { name: newField.name, type: fieldSignature(newField) },
+        severity: 'breaking'
+      });
+    } else if (sameName) {
+      changes.push({ type: "field_renumbered", path, from: sameName.id, to: newField.id, severity: 'breaking' });
+      // The same edit may also change the type or label
+      changes.push(...compareFieldTypes(sameName, newField, path));
+    } else if (isReserved(oldType, newField)) {
+      changes.push({ type: "field_number_reused", path, number: newField.id, reserved: true, severity: 'breaking' });
+    } else {
+      changes.push({ type: "new_field", path, number: newField.id, fieldType: fieldSignature(newField), severity: 'non_breaking' });
+    }
+  }
+
+  for (const oldField of oldType.fieldsArray) {
+    const stillNumbered = newById[oldField.id];
+    const stillNamed = newByName[oldField.name];
+    if (!stillNumbered && !stillNamed) {
+      // Removing a field is only safe when its number and name are reserved against reuse
+      const reserved = isReserved(newType, oldField);
+      changes.push({
+        type: "removed_field",
+        path: `${typeName}.${oldField.name}`,
+        number: oldField.id,
+        reserved,
+        severity: reserved ? 'non_breaking' : 'potentially_breaking'
+      });
+    }
+  }
+
+  return changes;
+}
+
+function compareFieldTypes(oldField, newField, path) {
+  const changes = [];
+
+  if (oldField.type !== newField.type || oldField.keyType !== newField.keyType) {
+    changes.push({ type: "field_type_changed", path, number: newField.id, from: fieldSignature(oldField), to: fieldSignature(newField), severity: 'breaking' });
+  } else if (fieldLabel(oldField) !== fieldLabel(newField)) {
+    changes.push({ type: "field_label_changed", path, number: newField.id, from: fieldLabel(oldField), to: fieldLabel(newField), severity: 'breaking' });
+  }
+
+  return changes;
+}
+
+function compareEnums(oldEnums, newEnums) {
+  const changes = [];
+
+  for (const name in newEnums) {
+    const oldValues = oldEnums[name] ? enumValues(oldEnums[name]) : null;
+    const newValues = enumValues(newEnums[name]);
+    if (!oldValues) {
+      changes.push({ type: "new_enum", path: name, severity: 'non_breaking' });
+      continue;
+    }
+
+    for (const value in newValues) {
+      if (oldValues[value] === undefined) {
+        changes.push({ type: "new_enum_value", path: `${name}.${value}`, value, number: newValues[value], severity: 'potentially_breaking' });
+      } else if (oldValues[value] !== newValues[value]) {
+        changes.push({ type: "enum_value_renumbered", path: `${name}.${value}`, value, from: oldValues[value], to: newValues[value], severity: 'breaking' });
+      }
+    }
+
+    for (const value in oldValues) {
+      if (newValues[value] === undefined) {
+        changes.push({ type: "removed_enum_value", path: `${name}.${value}`, value, number: oldValues[value], severity: 'breaking' });
+      }
+    }
+  }
+
+  for (const name in oldEnums) {
+    if (!newEnums[name]) {
+      changes.push({ type: "removed_enum", path: name, severity: 'breaking' });
+    }
+  }
+
+  return changes;
+}
+
+// Enum value name -> number (protobufjs also keeps the reverse mapping on `values`)
+function enumValues(protoEnum) {
+  const values = {};
+  for (const name in protoEnum.values) {
+    if (typeof protoEnum.values[name] === 'number') {
+      values[name] = protoEnum.values[name];
+    }
+  }
+  return values;
+}
+
+function byId(fields) {
+  const result = {};
+  fields.forEach(field => {
+    result[field.id] = field;
+  });
+  return result;
+}
+
+function fieldLabel(field) {
+  if (field.map) return 'map';
+  if (field.repeated) return 'repeated';
+  return field.rule || 'singular';
+}
+
+function fieldSignature(field) {
+  if (field.map) {
+    return `map<${field.keyType}, ${field.type}>`;
+  }
+  return field.repeated ? `repeated ${field.type}` : field.type;
+}
+
+function isReserved(type, field) {
+  return (type.reserved || []).some(entry =>
+    typeof entry === 'string' ? entry === field.name : field.id >= entry[0] && field.id <= entry[1]);
+}
+
+function streamingMode(method) {
+  if (method.requestStream && method.responseStream) return 'bidirectional';
+  if (method.requestStream) return 'client_streaming';
+  if (method.responseStream) return 'server_streaming';
+  return 'unary';
+}
+
+function shortName(name) {
+  return name.split('.').pop();
+}
+
+module.exports = { diffProtoFiles };
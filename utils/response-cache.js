@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Bump when the cached result format changes
+const CACHE_VERSION = 1;
+const DEFAULT_CACHE_DIR = '.test-updater-cache/responses';
+
+/**
+ * Cache of generation results, one JSON file per key in `config.response_cache`
+ * (default `.test-updater-cache/responses`, `false` to turn caching off).
+ * Unreadable entries count as misses.
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} Cache ({ dir, get(key), set(key, value) }), null when caching is off
+ */
+function openResponseCache(config) {
+  if (config.response_cache === false) {
+    return null;
+  }
+  const dir = path.resolve(process.cwd(), config.response_cache || DEFAULT_CACHE_DIR);
+  const entryPath = key => path.join(dir, `${key}.json`);
+
+  return {
+    dir,
+    get(key) {
+      if (!fs.existsSync(entryPath(key))) {
+        return null;
+      }
+      try {
+        const entry = JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+        return entry.version === CACHE_VERSION ? entry.value : null;
+      } catch (error) {
+        console.warn(`Could not read cached response ${entryPath(key)}, generating it again:`, error.message);
+        return null;
+      }
+    },
+    set(key, value) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        // Write to a temporary file first, so an interrupted run never leaves a partial entry
+        const temporary = `${entryPath(key)}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ version: CACHE_VERSION, value }, null, 2));
+        fs.renameSync(temporary, entryPath(key));
+      } catch (error) {
+        console.warn(`Could not cache response ${entryPath(key)}:`, error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Content-addressed cache key: a hash of the inputs, independent of object key order
+ * @param {Object} inputs - Everything the cached value depends on
+ * @returns {string} Key
+ */
+function cacheKey(inputs) {
+  return crypto.createHash('sha256').update(stableStringify(inputs)).digest('hex').slice(0, 32);
+}
+
+// JSON with object keys sorted, so equal records always serialize the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  openResponseCache,
+  cacheKey
+};
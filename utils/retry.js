@@ -0,0 +1,119 @@
+const DEFAULT_RETRIES = { max_attempts: 5, initial_delay_seconds: 2, max_delay_seconds: 60 };
+// Rate limits, timeouts, conflicts and server errors usually pass; other client errors won't
+const RETRYABLE_STATUS = [408, 409, 429];
+const CONNECTION_ERRORS = ['APIConnectionError', 'APIConnectionTimeoutError'];
+const CONNECTION_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Call `fn` until it succeeds, waiting between attempts after transient API errors: exponential
+ * backoff (with jitter) from `config.retries`, or as long as the API asks in `retry-after`.
+ * @param {Function} fn - Async function to call
+ * @param {Object} config - Configuration object
+ * @param {string} label - What is being called, for log messages
+ * @returns {Promise<*>} Result of the first successful call
+ * @throws The last error, or the first one that is not worth retrying
+ */
+async function withRetries(fn, config, label) {
+  const settings = retrySettings(config);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= settings.maxAttempts || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt, settings);
+      console.warn(`⏳ ${label} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${settings.maxAttempts})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * @param {Error} error - Error thrown by an API client
+ * @returns {boolean} Whether the same request may succeed later
+ */
+function isRetryable(error) {
+  // A 429 for an exhausted quota won't pass by waiting
+  if (error.code === 'insufficient_quota') {
+    return false;
+  }
+  if (typeof error.status === 'number') {
+    return RETRYABLE_STATUS.includes(error.status) || error.status >= 500;
+  }
+  return CONNECTION_ERRORS.includes(error.name) || CONNECTION_CODES.includes(error.code);
+}
+
+/**
+ * Milliseconds to wait before the next attempt: the API's `retry-after-ms` or `retry-after` header
+ * (seconds or an HTTP date) when present, otherwise exponential backoff with jitter
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, from 1
+ * @param {Object} settings - { initialDelay, maxDelay } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(error, attempt, { initialDelay, maxDelay }) {
+  const requested = retryAfter(error.headers);
+  if (requested !== null) {
+    return requested;
+  }
+  const backoff = Math.min(maxDelay, initialDelay * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+function retryAfter(headers) {
+  const header = name => {
+    if (!headers) return null;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  };
+  const milliseconds = Number.parseFloat(header('retry-after-ms'));
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+    return Math.round(milliseconds);
+  }
+  const value = header('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number.parseFloat(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.round(seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retrySettings(config) {
+  const settings = { ...DEFAULT_RETRIES, ...(config.retries || {}) };
+  return {
+    maxAttempts: settings.max_attempts,
+    initialDelay: settings.initial_delay_seconds * 1000,
+    maxDelay: settings.max_delay_seconds * 1000
+  };
+}
+
+/**
+ * Check the `retries` setting
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Error messages, empty when the settings are usable
+ */
+function validateRetries(config) {
+  const settings = config.retries;
+  if (settings === undefined) {
+    return [];
+  }
+  const errors = [];
+  if (settings.max_attempts !== undefined && !(Number.isInteger(settings.max_attempts) && settings.max_attempts > 0)) {
+    errors.push('retries.max_attempts must be a positive integer');
+  }
+  ['initial_delay_seconds', 'max_delay_seconds']
+    .filter(key => settings[key] !== undefined && !(typeof settings[key] === 'number' && settings[key] >= 0))
+    .forEach(key => errors.push(`retries.${key} must be a number of seconds`));
+  return errors;
+}
+
+module.exports = {
+  withRetries,
+  isRetryable,
+  retryDelay,
+  validateRetries
+};
@@ -0,0 +1,169 @@
+// Keywords compared as numeric/boolean constraints
+const CONSTRAINT_KEYWORDS = [
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'minLength',
+  'maxLength',
+  'minItems',
+  'maxItems',
+  'minProperties',
+  'maxProperties'
+];
+
+// Keywords holding a list of subschemas, compared index by index
+const COMPOSITION_KEYWORDS = ['allOf', 'oneOf', 'anyOf'];
+
+/**
+ * Recursively compare two JSON schemas
+ * @param {Object} oldSchema - Previous schema
+ * @param {Object} newSchema - Current schema
+ * @param {string} [pointer] - JSON pointer of the schema within its document
+ * @param {Object} [options]
+ * @param {Function} [options.refOf] - Returns the $ref a schema object was resolved from, if any
+ * @param {string} [options.ref] - $ref of the object enclosing the schema, used when the schema has none
+ * @returns {Object[]} Array of schema change records, each with a `pointer`
+ */
+function diffSchemas(oldSchema, newSchema, pointer = '', options = {}) {
+  const changes = [];
+  walkSchemas(oldSchema, newSchema, pointer, options.ref, new WeakMap(), changes, options);
+  return changes;
+}
+
+function walkSchemas(oldSchema, newSchema, pointer, ref, visited, changes, options) {
+  if (!isObject(oldSchema) || !isObject(newSchema)) {
+    return;
+  }
+
+  // Dereferenced specs can be circular; compare each pair of schemas once
+  let seen = visited.get(oldSchema);
+  if (!seen) {
+    seen = new WeakSet();
+    visited.set(oldSchema, seen);
+  }
+  if (seen.has(newSchema)) {
+    return;
+  }
+  seen.add(newSchema);
+
+  const currentRef = (options.refOf && (options.refOf(newSchema) || options.refOf(oldSchema))) || ref;
+  const push = (change, at = pointer) => {
+    changes.push(currentRef ? { ...change, pointer: at, ref: currentRef } : { ...change, pointer: at });
+  };
+
+  // Type and format
+  const oldTypes = schemaTypes(oldSchema);
+  const newTypes = schemaTypes(newSchema);
+  if (oldTypes.join('|') !== newTypes.join('|')) {
+    push({ type: "type_changed", from: typeLabel(oldTypes), to: typeLabel(newTypes) });
+  }
+
+  if (oldSchema.format !== newSchema.format) {
+    push({ type: "format_changed", from: oldSchema.format || null, to: newSchema.format || null });
+  }
+
+  // Nullability (OpenAPI 3.0 `nullable` or a 'null' entry in a 3.1 type array)
+  const oldNullable = isNullable(oldSchema);
+  const newNullable = isNullable(newSchema);
+  if (oldNullable !== newNullable) {
+    push({ type: "nullable_changed", from: oldNullable, to: newNullable });
+  }
+
+  // Enum values
+  if (Array.isArray(oldSchema.enum) || Array.isArray(newSchema.enum)) {
+    const oldValues = (oldSchema.enum || []).map(value => JSON.stringify(value));
+    const newValues = (newSchema.enum || []).map(value => JSON.stringify(value));
+
+    newValues.filter(value => !oldValues.includes(value)).forEach(value => {
+      push({ type: "new_enum_value", value: JSON.parse(value) });
+    });
+    oldValues.filter(value => !newValues.includes(value)).forEach(value => {
+      push({ type: "removed_enum_value", value: JSON.parse(value) });
+    });
+  }
+
+  // Min/max constraints
+  CONSTRAINT_KEYWORDS.forEach(keyword => {
+    if (oldSchema[keyword] !== newSchema[keyword]) {
+      push({
+        type: "constraint_changed",
+        constraint: keyword,
+        from: oldSchema[keyword] === undefined ? null : oldSchema[keyword],
+        to: newSchema[keyword] === undefined ? null : newSchema[keyword]
+      });
+    }
+  });
+
+  // Object properties
+  const oldProperties = oldSchema.properties || {};
+  const newProperties = newSchema.properties || {};
+  const oldRequired = oldSchema.required || [];
+  const newRequired = newSchema.required || [];
+
+  for (const name in newProperties) {
+    const propertyPointer = joinPointer(pointer, 'properties', name);
+    if (!oldProperties[name]) {
+      push({ type: "new_property", property: name, required: newRequired.includes(name) }, propertyPointer);
+    } else {
+      const wasRequired = oldRequired.includes(name);
+      const isRequired = newRequired.includes(name);
+      if (wasRequired !== isRequired) {
+        push({ type: "property_requirement_changed", property: name, from: wasRequired, to: isRequired }, propertyPointer);
+      }
+      walkSchemas(oldProperties[name], newProperties[name], propertyPointer, currentRef, visited, changes, options);
+    }
+  }
+
+  for (const name in oldProperties) {
+    if (!newProperties[name]) {
+      push({ type: "removed_property", property: name, required: oldRequired.includes(name) }, joinPointer(pointer, 'properties', name));
+    }
+  }
+
+  // Nested schemas
+  walkSchemas(oldSchema.items, newSchema.items, joinPointer(pointer, 'items'), currentRef, visited, changes, options);
+  walkSchemas(oldSchema.additionalProperties, newSchema.additionalProperties, joinPointer(pointer, 'additionalProperties'), currentRef, visited, changes, options);
+  walkSchemas(oldSchema.not, newSchema.not, joinPointer(pointer, 'not'), currentRef, visited, changes, options);
+
+  COMPOSITION_KEYWORDS.forEach(keyword => {
+    const oldList = oldSchema[keyword] || [];
+    const newList = newSchema[keyword] || [];
+    const length = Math.min(oldList.length, newList.length);
+    for (let i = 0; i < length; i++) {
+      walkSchemas(oldList[i], newList[i], joinPointer(pointer, keyword, String(i)), currentRef, visited, changes, options);
+    }
+  });
+}
+
+function schemaTypes(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+  return types.filter(type => type !== 'null').sort();
+}
+
+function typeLabel(types) {
+  if (types.length === 0) {
+    return null;
+  }
+  return types.length === 1 ? types[0] : types;
+}
+
+function isNullable(schema) {
+  return schema.nullable === true || (Array.isArray(schema.type) && schema.type.includes('null'));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Append segments to a JSON pointer, escaping `~` and `/`
+ * @param {string} pointer - Base pointer ('' for the document root)
+ * @param {...string} segments - Unescaped segments to append
+ * @returns {string} Combined JSON pointer
+ */
+function joinPointer(pointer, ...segments) {
+  return pointer + segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+module.exports = { diffSchemas, joinPointer };
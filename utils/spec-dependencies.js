@@ -0,0 +1,77 @@
+const path = require('path');
+const { parseSpec } = require('./spec-refs');
+
+/**
+ * Map every file referenced through relative `$ref`s to the root specs that include it,
+ * directly or through other referenced files
+ * @param {string[]} rootFiles - Root spec paths, relative to the repository root
+ * @param {Function} readFile - Reads a repository-relative path, returning '' when it is missing
+ * @returns {Object} Map of referenced file path -> root spec paths
+ */
+function buildDependencyGraph(rootFiles, readFile) {
+  const graph = {};
+  const refsByFile = {};
+
+  const fileRefs = (file) => {
+    if (!refsByFile[file]) {
+      refsByFile[file] = externalRefs(file, readFile(file));
+    }
+    return refsByFile[file];
+  };
+
+  for (const root of rootFiles) {
+    const visited = new Set([root]);
+    const queue = [root];
+
+    while (queue.length > 0) {
+      for (const ref of fileRefs(queue.shift())) {
+        if (visited.has(ref)) {
+          continue;
+        }
+        visited.add(ref);
+        graph[ref] = [...(graph[ref] || []), root];
+        queue.push(ref);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Files referenced by a spec or spec fragment through relative `$ref`s
+ * @param {string} file - Path of the spec, relative to the repository root
+ * @param {string} content - Spec content (JSON or YAML)
+ * @returns {string[]} Referenced paths, relative to the repository root
+ */
+function externalRefs(file, content) {
+  let spec;
+  try {
+    spec = parseSpec(content);
+  } catch (error) {
+    return [];
+  }
+
+  const refs = new Set();
+  const walk = (value) => {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+    if (typeof value.$ref === 'string') {
+      const target = value.$ref.split('#')[0];
+      // Internal refs stay in the same file; remote URLs and absolute paths are not part of the repository
+      if (target && !/^[a-z][a-z0-9+.-]*:/i.test(target) && !target.startsWith('/')) {
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(file), decodeURI(target)));
+        if (!resolved.startsWith('../')) {
+          refs.add(resolved);
+        }
+      }
+    }
+    Object.values(value).forEach(walk);
+  };
+
+  walk(spec);
+  return [...refs];
+}
+
+module.exports = { buildDependencyGraph };
@@ -0,0 +1,68 @@
+const { readRepositoryFile, getFileVersions, describeChangedFile } = require("./git");
+
+/**
+ * Build a detector: for each changed file it loads both sides of the commit range and diffs them.
+ * @param {Object} options
+ * @param {string} options.label - What the files are, for log messages (e.g. "GraphQL schema")
+ * @param {Function} options.matches - Whether the detector understands a file path; other files
+ *   matched by `api_spec_paths` are skipped
+ * @param {Function} options.diff - Async or sync function (oldContent, newContent, { file, previousFile, base, head })
+ *   returning the file's changes. Either content is null for an added or deleted file
+ * @returns {Object} Detector ({ run(changedFiles, config) }) resolving to [{ ...change, changes }]
+ */
+function createSpecDetector({ label, matches, diff }) {
+  async function run(changedFiles, config = {}) {
+    const { base, head } = config.commit_range || { base: 'HEAD~1', head: null };
+    const diffs = [];
+
+    for (const change of changedFiles) {
+      const { file, previousFile } = change;
+      // A renamed file is diffed when either name is one the detector understands
+      if (![file, previousFile].some(name => name && matches(name))) {
+        console.log(`⏭️ Skipping ${file}: not a ${label} file`);
+        continue;
+      }
+      console.log(`🔍 Processing ${label} change: ${describeChangedFile(change)}`);
+
+      try {
+        // Get old and new versions from the commit range (null for the missing side of an added or deleted file)
+        const { oldContent, newContent } = getFileVersions(change, { base, head });
+
+        if (oldContent === '' || newContent === '') {
+          console.warn(`Could not retrieve ${label} versions for ${file}, skipping...`);
+          continue;
+        }
+
+        const changes = await diff(oldContent, newContent, { file, previousFile, base, head });
+        if (changes.length > 0) {
+          console.log(`📊 Found ${changes.length} changes in ${file}`);
+          diffs.push({ ...change, changes });
+        } else {
+          console.log(`📝 No significant changes detected in ${file}`);
+        }
+      } catch (error) {
+        console.error(`Error processing ${file}:`, error.message);
+        // Continue with other files even if one fails
+      }
+    }
+
+    return diffs;
+  }
+
+  return { run };
+}
+
+/**
+ * Readers for files referenced through relative `$ref`s, at the same revisions as the root document.
+ * Refs that resolve outside the repository fail to resolve (see readRepositoryFile)
+ * @param {Object} range - { base, head } revisions
+ * @returns {{ readOldFile: Function, readNewFile: Function }} Readers taking an absolute path
+ */
+function revisionReaders({ base, head }) {
+  return {
+    readOldFile: (refPath) => readRepositoryFile(refPath, base),
+    readNewFile: (refPath) => readRepositoryFile(refPath, head)
+  };
+}
+
+module.exports = { createSpecDetector, revisionReaders };
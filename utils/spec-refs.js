@@ -0,0 +1,167 @@
+const $RefParser = require("@apidevtools/json-schema-ref-parser");
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Dereferenced objects -> the $ref they were resolved from, so change records
+// can point back at the component that actually changed.
+const refOrigins = new WeakMap();
+
+// Objects parsed from referenced files -> the file they come from (relative to the
+// working directory), so changes made in a fragment can be attributed to it.
+const sourceFiles = new WeakMap();
+
+function parseSpec(specStr) {
+  try {
+    // Try JSON first
+    return JSON.parse(specStr);
+  } catch (jsonError) {
+    try {
+      // Try YAML using js-yaml
+      return yaml.load(specStr);
+    } catch (yamlError) {
+      throw new Error(`Could not parse spec as JSON or YAML: ${jsonError.message}, ${yamlError.message}`);
+    }
+  }
+}
+
+/**
+ * Resolve internal and relative-file $refs in a parsed spec
+ * @param {Object} spec - Parsed spec
+ * @param {string} [file] - Path of the spec, used as the base for relative refs
+ * @param {Function} [readFile] - Custom reader for referenced files (absolute path -> content, empty when missing)
+ * @param {Object} [parser] - Parser to dereference with (e.g. SwaggerParser); defaults to the generic JSON schema $ref parser
+ * @returns {Promise<Object>} Dereferenced spec, or the parsed spec if resolution fails
+ */
+async function dereferenceSpec(spec, file, readFile, parser = $RefParser) {
+  const basePath = path.resolve(file || 'spec.yaml');
+  const options = {
+    parse: {
+      // Runs before the built-in JSON/YAML parsers and tags every parsed object with its file
+      sourceTracking: {
+        order: 1,
+        canParse: /\.(ya?ml|json)$/i,
+        parse: (fragment) => tagSource(parseSpec(fragment.data.toString()), fragment.url)
+      }
+    },
+    dereference: {
+      circular: true,
+      onDereference(ref, value) {
+        if (value && typeof value === 'object' && !refOrigins.has(value)) {
+          refOrigins.set(value, ref);
+        }
+      }
+    }
+  };
+
+  if (readFile) {
+    options.resolve = {
+      file: {
+        // The parser waits for a callback when read returns nothing, so a missing file has to throw
+        read: async (ref) => {
+          const content = await readFile(decodeURI(ref.url));
+          if (!content) {
+            throw new Error(`Could not read ${decodeURI(ref.url)}`);
+          }
+          return content;
+        }
+      }
+    };
+  }
+
+  try {
+    return await parser.dereference(basePath, spec, options);
+  } catch (error) {
+    console.warn(`Could not resolve $ref references in ${file || 'spec'}, comparing raw spec:`, error.message);
+    return spec;
+  }
+}
+
+/**
+ * Attach the originating $ref of the first referenced object to a change record
+ * @param {Object} change - Change record
+ * @param {...Object} sources - Objects the change was derived from
+ * @returns {Object} The change record
+ */
+function withRef(change, ...sources) {
+  for (const source of sources) {
+    const ref = source && typeof source === 'object' && refOrigins.get(source);
+    if (ref) {
+      return { ...change, ref };
+    }
+  }
+  return change;
+}
+
+function refOf(value) {
+  return refOrigins.get(value);
+}
+
+function tagSource(value, url) {
+  const file = path.relative(process.cwd(), decodeURI(url));
+  const walk = (node) => {
+    if (node && typeof node === 'object' && !sourceFiles.has(node)) {
+      sourceFiles.set(node, file);
+      Object.values(node).forEach(walk);
+    }
+  };
+  walk(value);
+  return value;
+}
+
+/**
+ * Attribute change records to the referenced file they were made in.
+ *
+ * Each record is located in the dereferenced documents by its JSON pointer (from `locate`);
+ * the innermost object on the way that was parsed from a referenced file gives the `source`.
+ * Changes in the root document itself get no `source`. Container records get the `source`
+ * shared by all of their details.
+ * @param {Object[]} changes - Change records
+ * @param {Object} oldDoc - Previous dereferenced document
+ * @param {Object} newDoc - Current dereferenced document
+ * @param {Function} [locate] - Returns the JSON pointer of a change record
+ * @returns {Object[]} Change records, with `source` where attributed
+ */
+function attributeSources(changes, oldDoc, newDoc, locate = (change) => change.pointer) {
+  const attribute = (change) => {
+    if (Array.isArray(change.details)) {
+      const details = change.details.map(attribute);
+      const sources = [...new Set(details.map(detail => detail.source))];
+      return sources.length === 1 && sources[0] ? { ...change, details, source: sources[0] } : { ...change, details };
+    }
+
+    const pointer = locate(change);
+    if (!pointer) {
+      return change;
+    }
+    const inNew = sourceAt(newDoc, pointer);
+    const inOld = sourceAt(oldDoc, pointer);
+    // Removed items only resolve in the old document
+    const { source } = inOld.depth > inNew.depth ? inOld : inNew;
+    return source ? { ...change, source } : change;
+  };
+
+  return changes.map(attribute);
+}
+
+function sourceAt(doc, pointer) {
+  const segments = pointer.split('/').slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  let node = doc;
+  let source = sourceFiles.get(node);
+  let depth = 0;
+
+  for (const segment of segments) {
+    if (!node || typeof node !== 'object' || !(segment in node)) {
+      break;
+    }
+    node = node[segment];
+    depth++;
+    if (node && typeof node === 'object' && sourceFiles.has(node)) {
+      source = sourceFiles.get(node);
+    }
+  }
+
+  return { source, depth };
+}
+
+module.exports = { parseSpec, dereferenceSpec, withRef, refOf, attributeSources };
@@ -0,0 +1,47 @@
+const path = require('path');
+const { parseGherkin } = require('./gherkin-steps');
+const { profileForFile } = require('./language-profile');
+
+/**
+ * Parse a file with the parser for its type and report syntax errors.
+ * Source files are checked by their language profile (see utils/language-profile),
+ * `.feature` files by the Gherkin parser and `.json` files by JSON.parse.
+ * Other file types are not checked.
+ * @param {string} filePath - File path, used to pick the parser
+ * @param {string} content - File content
+ * @returns {string[]} Syntax errors ("line:column message"), empty when the file parses
+ */
+function checkSyntax(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.feature') {
+    return checkGherkin(content);
+  }
+  if (extension === '.json') {
+    return checkJSON(content);
+  }
+  const profile = profileForFile(filePath);
+  return profile ? profile.checkSyntax(content, filePath) : [];
+}
+
+function checkGherkin(content) {
+  try {
+    parseGherkin(content);
+    return [];
+  } catch (error) {
+    // Gherkin reports "(line:column): message"
+    const errors = error.errors || [error];
+    return errors.map(e => e.message.replace(/^\((\d+):(\d+)\): /, '$1:$2 '));
+  }
+}
+
+function checkJSON(content) {
+  try {
+    JSON.parse(content);
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+module.exports = { checkSyntax };
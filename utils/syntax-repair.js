@@ -0,0 +1,149 @@
+const fs = require("fs");
+const { RESPONSE_SCHEMA, parseGeneratedTests, reportOutputErrors } = require("./generated-tests");
+const { checkSyntax } = require("./syntax-check");
+const { countTokens } = require("./token-budget");
+const { extractStepDefinitions, findUndefinedSteps } = require("./gherkin-steps");
+const { renderTestChange } = require("./test-merge");
+const { emptyUsage, addUsage } = require("./model-usage");
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Check generated test files with the parser for their type and send the syntax errors
+ * back to the model, up to `config.syntax_repair_attempts` times (default 2).
+ * With step definitions, `.feature` files that use undefined steps count as failing too.
+ * @param {Object[]} tests - Generated test files
+ * @param {Object[]} messages - Conversation that produced them
+ * @param {Object} provider - LLM provider
+ * @param {Object} config - Configuration object
+ * @param {string} testRepoPath - Test repository root
+ * @param {Object} options
+ * @param {Object[]|null} [options.stepDefinitions] - Existing Cucumber step definitions, or null to skip the step check
+ * @param {Object} options.budget - Token budget ({ contextWindow, maxOutputTokens }), see utils/token-budget
+ * @param {string} options.model - Model name, for counting tokens
+ * @returns {Promise<{ tests: Object[], rejected: Object[], outputErrors: string[], usage: Object }>} Test files
+ *   that parse, files that still don't ({ filePath, errors }), problems in the repair answers and the tokens
+ *   the repairs used
+ */
+async function repairSyntaxErrors(tests, messages, provider, config, testRepoPath, { stepDefinitions = null, budget, model }) {
+  const maxAttempts = config.syntax_repair_attempts !== undefined ? config.syntax_repair_attempts : DEFAULT_REPAIR_ATTEMPTS;
+  const conversation = [...messages];
+  const outputErrors = [];
+  let usage = emptyUsage();
+  let current = tests;
+  let failures = findInvalidFiles(current, testRepoPath, stepDefinitions);
+
+  for (let attempt = 1; failures.length > 0 && attempt <= maxAttempts; attempt++) {
+    console.log(`🔧 ${failures.length} generated file(s) have errors, asking the model to fix them (attempt ${attempt}/${maxAttempts})`);
+    conversation.push({ role: "user", content: repairPrompt(failures) });
+
+    let output;
+    try {
+      const response = await provider.complete({
+        messages: fitConversation(conversation, budget, model),
+        maxTokens: budget.maxOutputTokens,
+        temperature: 0.2,
+        responseSchema: RESPONSE_SCHEMA
+      });
+      output = response.content;
+      usage = addUsage(usage, response.usage);
+    } catch (error) {
+      console.warn(`Could not get a repair from the model: ${error.message}`);
+      outputErrors.push(`Repair attempt ${attempt} failed: ${error.message}`);
+      break;
+    }
+    conversation.push({ role: "assistant", content: output });
+
+    const failingPaths = failures.map(failure => failure.filePath);
+    const answer = parseGeneratedTests(output, testRepoPath);
+    reportOutputErrors(answer.errors, `repair attempt ${attempt}`, answer.tests.length);
+    outputErrors.push(...answer.errors.map(error => `Repair attempt ${attempt}: ${error}`));
+
+    // Replace the failing files with their repaired versions; files the model left out keep failing.
+    // New files are accepted too, e.g. step definitions for undefined steps
+    const currentPaths = current.map(test => test.filePath);
+    const repairedTests = answer.tests.filter(test => failingPaths.includes(test.filePath) || !currentPaths.includes(test.filePath));
+    const repairedPaths = repairedTests.map(test => test.filePath);
+    current = [...current.filter(test => !repairedPaths.includes(test.filePath)), ...repairedTests];
+    failures = findInvalidFiles(current, testRepoPath, stepDefinitions);
+  }
+
+  if (failures.length > 0) {
+    const failingPaths = failures.map(failure => failure.filePath);
+    console.warn(`🚫 Excluding ${failures.length} file(s) that still have errors: ${failingPaths.join(', ')}`);
+    current = current.filter(test => !failingPaths.includes(test.filePath));
+  }
+
+  return {
+    tests: current,
+    rejected: failures.map(({ filePath, errors }) => ({ filePath, errors })),
+    outputErrors,
+    usage
+  };
+}
+
+// Drops the earliest answer and repair request (keeping the first prompt) until the conversation leaves room for an answer
+function fitConversation(conversation, budget, model) {
+  const fitted = [...conversation];
+  const size = () => fitted.reduce((sum, message) => sum + countTokens(message.content, model), 0);
+  while (fitted.length > 3 && size() + budget.maxOutputTokens > budget.contextWindow) {
+    fitted.splice(1, 2);
+  }
+  return fitted;
+}
+
+// Syntax errors (and undefined steps) per file, checked on the content that would be committed
+function findInvalidFiles(tests, testRepoPath, stepDefinitions) {
+  const contents = new Map();
+  for (const test of tests) {
+    let content = contents.has(test.filePath)
+      ? contents.get(test.filePath)
+      : fs.existsSync(test.absolutePath) ? fs.readFileSync(test.absolutePath, 'utf8') : null;
+    const rendered = renderTestChange(test, content);
+    contents.set(test.filePath, rendered === null ? content : rendered);
+  }
+
+  // Steps defined in generated step definition files count as defined
+  const definitions = stepDefinitions && [
+    ...stepDefinitions,
+    ...[...contents].filter(([filePath, content]) => content !== null && !filePath.endsWith('.feature'))
+      .flatMap(([filePath, content]) => extractStepDefinitions(content, filePath))
+  ];
+
+  const failures = [];
+  for (const [filePath, content] of contents) {
+    if (content === null) {
+      continue;
+    }
+    let errors = checkSyntax(filePath, content);
+    if (errors.length === 0 && definitions && filePath.endsWith('.feature')) {
+      errors = findUndefinedSteps(content, definitions);
+    }
+    if (errors.length > 0) {
+      failures.push({ filePath, errors });
+    }
+  }
+
+  return failures;
+}
+
+function repairPrompt(failures) {
+  const details = failures.map(failure =>
+    `### ${failure.filePath}\n${failure.errors.map(error => `- ${error}`).join('\n')}`
+  ).join('\n\n');
+
+  return `These generated files have errors:
+
+${details}
+
+For \`update\`/\`modify\` actions the code is merged into the existing file, so line numbers refer to the file after merging.
+For undefined steps, use an existing step or add a step definition for it.
+Respond with the same JSON format, containing corrected entries for these files only (plus any new step definition files they need).`;
+}
+
+module.exports = {
+  DEFAULT_REPAIR_ATTEMPTS,
+  repairSyntaxErrors,
+  findInvalidFiles,
+  repairPrompt
+};
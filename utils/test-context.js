@@ -0,0 +1,371 @@
+const fs = require("fs");
+const path = require("path");
+const { loadProfiles, profileForFile } = require("./language-profile");
+const { countTokens, truncateToTokens } = require("./token-budget");
+const { findTestsForOperations } = require("./test-index");
+
+const MAX_LISTED_STEPS = 150;
+// Files that would get less than this are left out rather than cut down to a few lines
+const MIN_FILE_TOKENS = 200;
+const EXAMPLE_STEP_FILE_TOKENS = 1000;
+
+async function findRelevantTestFiles(allTestFiles, diff, testIndex = null, testRepoPath = '') {
+  // Tests that actually call a changed operation, according to the test index
+  const operations = testIndex ? changedOperations(diff) : [];
+  if (operations.length > 0) {
+    const callers = findTestsForOperations(testIndex, operations)
+      .filter(match => allTestFiles.includes(path.join(testRepoPath, match.file)));
+    if (callers.length > 0) {
+      console.log(`🗂️ ${callers.length} test files call the changed operations`);
+      callers.slice(0, 5).forEach(match => console.log(`📝 ${match.file} calls: ${match.operations.join(', ')}`));
+      return callers.slice(0, contextFileLimit(allTestFiles.length)).map(match => path.join(testRepoPath, match.file));
+    }
+    console.log(`⚠️ No indexed test calls the changed operations, searching test files for endpoint references`);
+  }
+
+  // Extract actual API endpoints from the changes - this is what a human would look for
+  const changedEndpoints = extractApiEndpoints(diff);
+  console.log(`🎯 Looking for tests that reference these API endpoints: ${changedEndpoints.join(', ')}`);
+  
+  if (changedEndpoints.length === 0) {
+    console.log(`⚠️ No specific API endpoints found in changes, using fallback selection`);
+    return allTestFiles.slice(0, Math.min(3, allTestFiles.length));
+  }
+  
+  // Search through test files for references to these endpoints
+  const relevantFiles = [];
+  const endpointMatches = new Map(); // Track which endpoints each file tests
+  
+  for (const testFile of allTestFiles) {
+    try {
+      const content = fs.readFileSync(testFile, 'utf8').toLowerCase();
+      const matches = [];
+      
+      changedEndpoints.forEach(endpoint => {
+        // Look for various ways the endpoint might be referenced in tests
+        const patterns = [
+          endpoint, // exact match
+          endpoint.replace(/^\//, ''), // without leading slash
+          endpoint.replace(/\{[^}]+\}/g, ''), // without path parameters
+          endpoint.split('/').filter(Boolean).join('/'), // normalized
+          ...endpoint.split('/').filter(part => part && !part.startsWith('{') && part.length > 2) // individual segments
+        ];
+        
+        patterns.forEach(pattern => {
+          if (pattern && content.includes(pattern.toLowerCase())) {
+            matches.push(endpoint);
+          }
+        });
+      });
+      
+      if (matches.length > 0) {
+        relevantFiles.push(testFile);
+        endpointMatches.set(testFile, [...new Set(matches)]); // Remove duplicates
+      }
+    } catch (error) {
+      console.warn(`Could not read test file ${testFile}:`, error.message);
+    }
+  }
+  
+  // Sort by number of endpoint matches (most relevant first)
+  const sortedFiles = relevantFiles.sort((a, b) => {
+    const aMatches = endpointMatches.get(a)?.length || 0;
+    const bMatches = endpointMatches.get(b)?.length || 0;
+    return bMatches - aMatches;
+  });
+  
+  // Log what we found
+  sortedFiles.slice(0, 5).forEach(file => {
+    const matches = endpointMatches.get(file) || [];
+    console.log(`📝 ${path.basename(file)} tests endpoints: ${matches.join(', ')}`);
+  });
+  
+  // Return top matches, but ensure we have at least some files for context
+  const maxFiles = contextFileLimit(allTestFiles.length);
+  
+  if (sortedFiles.length === 0) {
+    console.log(`⚠️ No test files reference the changed endpoints, selecting files for general context`);
+    // Fallback: look for files that might be API tests based on common patterns
+    const apiTestFiles = allTestFiles.filter(file => {
+      const fileName = path.basename(file).toLowerCase();
+      return fileName.includes('api') || 
+             fileName.includes('endpoint') || 
+             fileName.includes('integration') ||
+             fileName.includes('service');
+    });
+    return (apiTestFiles.length > 0 ? apiTestFiles : allTestFiles).slice(0, 2);
+  }
+  
+  return sortedFiles.slice(0, maxFiles);
+}
+
+// How many test files are sent to the model as context
+function contextFileLimit(testFileCount) {
+  return Math.min(5, Math.max(2, Math.floor(15000 / Math.max(testFileCount, 1))));
+}
+
+// Operations (method and path template) touched by OpenAPI changes. Renamed endpoints add
+// their old path, which is what existing tests still call
+function changedOperations(diff) {
+  const operations = new Map();
+  const add = (changePath, method) => {
+    const cleanPath = changePath.replace(/^\/paths/, '').replace(/\/(get|post|put|delete|patch|head|options)$/, '');
+    if (cleanPath.startsWith('/')) {
+      operations.set(`${method || '*'} ${cleanPath}`, { method, path: cleanPath });
+    }
+  };
+
+  diff.changes.forEach(change => {
+    if (typeof change.path === 'string') {
+      add(change.path, change.method);
+    }
+    if (change.type === 'renamed_endpoint' && change.from) {
+      add(change.from, change.fromMethod || change.method);
+    }
+  });
+  return [...operations.values()];
+}
+
+function extractApiEndpoints(diff) {
+  const endpoints = new Set();
+  
+  diff.changes.forEach(change => {
+    // Renamed endpoints: existing tests still reference the old path
+    const changePaths = [change.path, change.type === 'renamed_endpoint' ? change.from : null].filter(Boolean);
+
+    changePaths.forEach(changePath => {
+      // Extract the actual API endpoint from the OpenAPI path
+      // change.path might be something like "/paths//api/v1/users/{userId}/get"
+      let cleanPath = changePath;
+      
+      // Remove OpenAPI structure prefixes
+      cleanPath = cleanPath.replace(/^\/paths/, ''); // Remove /paths prefix
+      cleanPath = cleanPath.replace(/\/(get|post|put|delete|patch|head|options)$/, ''); // Remove HTTP method suffix
+      
+      // Clean up the path
+      if (cleanPath.startsWith('/') && cleanPath.length > 1) {
+        endpoints.add(cleanPath);
+        
+        // Also add variations that might appear in tests
+        // Without trailing parameters for broader matching
+        const withoutParams = cleanPath.replace(/\/\{[^}]+\}(\/.*)?$/, '');
+        if (withoutParams !== cleanPath && withoutParams.length > 1) {
+          endpoints.add(withoutParams);
+        }
+        
+        // Add base path segments for partial matches
+        const segments = cleanPath.split('/').filter(Boolean);
+        if (segments.length > 1) {
+          // Add progressively shorter paths
+          for (let i = segments.length; i >= 2; i--) {
+            const partialPath = '/' + segments.slice(0, i).join('/');
+            if (!partialPath.includes('{')) { // Skip paths with parameters
+              endpoints.add(partialPath);
+            }
+          }
+        }
+      }
+    });
+    
+    // Names tests would reference directly (GraphQL root fields, topics, RPCs, ...)
+    (change.references || []).forEach(reference => endpoints.add(reference));
+    
+    // Also look in the change details for endpoint references
+    if (change.details && typeof change.details === 'object') {
+      const detailsStr = JSON.stringify(change.details);
+      
+      // Look for path-like strings in the details
+      const pathMatches = detailsStr.match(/["']([\/][a-zA-Z0-9\/_\-{}]+)["']/g) || [];
+      pathMatches.forEach(match => {
+        const path = match.replace(/["']/g, '');
+        if (path.length > 3 && path.includes('/')) {
+          endpoints.add(path);
+        }
+      });
+      
+      // Look for operationId which often contains endpoint info
+      const operationIdMatch = detailsStr.match(/"operationId":\s*"([^"]+)"/);
+      if (operationIdMatch && operationIdMatch[1]) {
+        // Convert camelCase operationId to potential endpoint segments
+        const operationId = operationIdMatch[1];
+        const segments = operationId
+          .replace(/([A-Z])/g, '-$1')
+          .toLowerCase()
+          .split(/[-_]/)
+          .filter(s => s.length > 2);
+        
+        if (segments.length > 0) {
+          endpoints.add('/' + segments.join('/'));
+        }
+      }
+    }
+  });
+  
+  // Filter out very generic or short endpoints that might cause false positives
+  return Array.from(endpoints).filter(endpoint => 
+    endpoint.length > 3 && 
+    !endpoint.match(/^\/[a-z]$/) && // Skip single letter paths
+    endpoint !== '/api' && 
+    endpoint !== '/v1' &&
+    endpoint !== '/v2'
+  );
+}
+
+async function readTestFiles(testFiles, testRepoPath, { maxTokens, model }) {
+  const fileContents = [];
+  let totalTokens = 0;
+  
+  // Sort files by relevance (smaller files and more relevant names first)
+  const sortedFiles = testFiles.sort((a, b) => {
+    try {
+      const aSize = fs.statSync(a).size;
+      const bSize = fs.statSync(b).size;
+      return aSize - bSize; // Smaller files first
+    } catch (error) {
+      return 0;
+    }
+  });
+  
+  for (const [index, filePath] of sortedFiles.entries()) {
+    // Every file gets an equal share of what is left, so budget small files don't use goes to the larger ones
+    const share = Math.floor((maxTokens - totalTokens) / (sortedFiles.length - index));
+    if (share < MIN_FILE_TOKENS) {
+      console.log(`⚠️ Token limit reached, skipping remaining ${sortedFiles.length - index} test files`);
+      break;
+    }
+    
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      // Use path relative to the test repository root, not the current working directory
+      const relativePath = path.relative(testRepoPath, filePath);
+      const header = `
+=== ${path.basename(filePath)} ===
+Path: ${relativePath}
+Framework: ${detectTestFramework(content)}
+`;
+      
+      // Keep the imports and setup at the top of the file and as many tests as fit
+      const profile = profileForFile(filePath);
+      const marker = `\n\n${profile ? profile.commentPrefix : filePath.endsWith('.feature') ? '#' : '//'} ...(truncated)`;
+      const available = share - countTokens(header + marker, model);
+      const truncatedContent = countTokens(content, model) > available
+        ? truncateToTokens(content, available, model) + marker
+        : content;
+      
+      const entry = `${header}${truncatedContent}
+`;
+      totalTokens += countTokens(entry, model);
+      fileContents.push(entry);
+    } catch (error) {
+      console.warn(`Could not read test file ${filePath}:`, error.message);
+    }
+  }
+  
+  if (fileContents.length === 0) {
+    return "No test files found in the test repository. Please create new test files following standard testing patterns.";
+  }
+  
+  console.log(`📊 Analyzed ${fileContents.length} test files (${totalTokens} tokens)`);
+  return fileContents.join('\n');
+}
+
+function describeFileStatus(diff) {
+  if (diff.status === 'added') {
+    return '\nThis specification file is new: everything in it is new and needs tests.\n';
+  }
+  if (diff.status === 'deleted') {
+    return '\nThis specification file was deleted: everything in it was removed, so tests covering it must be updated to expect the removal.\n';
+  }
+  if (diff.status === 'renamed') {
+    return `\nThis specification file was renamed from ${diff.previousFile}; update references to the old file name in tests.\n`;
+  }
+  if (diff.fragments) {
+    return `\nThese changes come from files referenced by this specification (${diff.fragments.join(', ')}); each change names the file it was made in as \`source\`.\n`;
+  }
+  return '';
+}
+
+async function describeGherkinContext(stepDefinitions, stepDefinitionFiles, testRepoPath, model) {
+  const steps = stepDefinitions.slice(0, MAX_LISTED_STEPS)
+    .map(definition => `- ${definition.keyword} ${definition.pattern} (${definition.file}:${definition.line})`);
+  const more = stepDefinitions.length > MAX_LISTED_STEPS ? `\n- ...and ${stepDefinitions.length - MAX_LISTED_STEPS} more` : '';
+  // One step definition file shows how new steps are written in this suite
+  const example = stepDefinitionFiles.length > 0 ? await readTestFiles(stepDefinitionFiles.slice(0, 1), testRepoPath, { maxTokens: EXAMPLE_STEP_FILE_TOKENS, model }) : '';
+
+  return `
+## Cucumber Test Suite:
+
+The tests are Cucumber \`.feature\` files. Write new Scenarios and Scenario Outlines in Gherkin (\`code\` is Gherkin for \`.feature\` files).
+- Use only the existing steps below. If a scenario needs a step that does not exist, add a step definition for it as a separate file entry, following the style of the existing step definitions.
+- For \`update\`/\`modify\` of a \`.feature\` file, give a \`Feature:\` with only the scenarios to add or change: a scenario with the same name replaces the existing one.
+
+### Existing Steps:
+${steps.length > 0 ? steps.join('\n') + more : 'No step definitions found.'}
+${example}`;
+}
+
+function describeAuthSetup(changes) {
+  const authTypes = [
+    'security_changes',
+    'new_security_scheme',
+    'removed_security_scheme',
+    'security_scheme_changed',
+    'new_oauth_scope',
+    'removed_oauth_scope'
+  ];
+  const authChanges = changes.filter(change => authTypes.includes(change.type));
+  if (authChanges.length === 0) {
+    return '';
+  }
+
+  const operations = authChanges
+    .filter(change => change.type === 'security_changes')
+    .map(change => `- ${change.method.toUpperCase()} ${change.path} now accepts: ${JSON.stringify(change.schemes, null, 2)}`);
+
+  return `
+## Authentication Changes:
+
+Generated tests must send credentials matching the new requirements (header/query names, bearer tokens, OAuth scopes).
+Reuse the existing auth helpers and fixtures from the test files above where possible.
+
+${operations.length > 0 ? operations.join('\n') : 'See the security scheme changes listed above.'}
+`;
+}
+
+function describeMessagingContext(changes) {
+  const messageTypes = ['new_channel', 'removed_channel', 'new_operation', 'removed_operation', 'new_message', 'removed_message', 'message_changes'];
+  const messageChanges = changes.filter(change => messageTypes.includes(change.type));
+  if (messageChanges.length === 0) {
+    return '';
+  }
+
+  const channels = [...new Set(messageChanges.map(change => change.path))];
+
+  return `
+## Event-Driven Contract Changes:
+
+These changes affect message contracts on these channels/topics: ${channels.join(', ')}.
+- For messages the application **sends** (\`side: "response"\`), write consumer contract tests that assert the published payload and headers.
+- For messages the application **receives** (\`side: "request"\`), write producer contract tests that publish valid (and invalid) messages and assert how they are handled.
+`;
+}
+
+function detectTestFramework(content) {
+  // Quick detection of testing framework to help AI understand patterns
+  if (/^\s*Feature:/m.test(content)) return 'Cucumber (Gherkin)';
+  if (/\b(Given|When|Then)\s*\(\s*['"`/]/.test(content)) return 'Cucumber step definitions';
+  for (const profile of loadProfiles()) {
+    const framework = profile.detectFramework(content);
+    if (framework) return framework;
+  }
+  return 'Unknown';
+}
+
+module.exports = {
+  findRelevantTestFiles,
+  readTestFiles,
+  describeFileStatus,
+  describeGherkinContext,
+  describeAuthSetup,
+  describeMessagingContext
+};
@@ -0,0 +1,334 @@
+const path = require("path");
+const { RESPONSE_SCHEMA, parseGeneratedTests, combineGeneratedTests, reportOutputErrors } = require("./generated-tests");
+const { countTokens, chunkChanges } = require("./token-budget");
+const { cacheKey } = require("./response-cache");
+const { emptyUsage, addUsage, isSpendLimitError } = require("./model-usage");
+const { repairSyntaxErrors, findInvalidFiles, repairPrompt } = require("./syntax-repair");
+const {
+  findRelevantTestFiles,
+  readTestFiles,
+  describeFileStatus,
+  describeAuthSetup,
+  describeMessagingContext
+} = require("./test-context");
+
+// Test file context per request; the rest of the prompt budget goes to the changes
+const MAX_TEST_CONTEXT_TOKENS = 8000;
+// Times the changes of an unreadable answer are split in two and asked for again (into at most 4 requests)
+const MAX_SPLIT_DEPTH = 2;
+
+/**
+ * Generate tests for one group of a spec file's changes, in as many requests as the token budget needs
+ * @param {Object} run - Provider, config, test repository and token budget of this run
+ * @param {Object} job - The spec file diff, the group ({ label, changes }) and whether the group is only
+ *   part of the file's changes
+ * @returns {Promise<Object>} The diff, the group and the results of its requests, see generateTests
+ */
+async function generateGroup(run, { diff, group, scoped }) {
+  const { language, model, budget, promptBudget, gherkinContext } = run;
+  const operation = scoped ? group.label : null;
+  const name = operation ? `${operation} in ${diff.file}` : diff.file;
+  console.log(`📝 Generating test code for ${name}...`);
+
+  const fileStatus = describeFileStatus(diff);
+  let chunks;
+  let testContextTokens;
+  try {
+    // Instructions and context every request for this group carries; auth and messaging context is at most this large per part
+    const fixedTokens = countTokens(generationPrompt({
+      diff,
+      changes: [],
+      fileStatus,
+      scopeNote: describeScope(operation, { number: 1, count: 2 }),
+      testFilesContent: '',
+      context: `${describeAuthSetup(group.changes)}${describeMessagingContext(group.changes)}${gherkinContext}`,
+      language
+    }), model);
+    const available = promptBudget - fixedTokens;
+    if (available <= 0) {
+      console.warn(`⚠️ The instructions and context for ${name} alone take ${fixedTokens} tokens, more than the prompt budget of ${promptBudget}`);
+    }
+    testContextTokens = Math.max(0, Math.min(MAX_TEST_CONTEXT_TOKENS, Math.floor(available / 2)));
+    chunks = chunkChanges(group.changes, { maxTokens: available - testContextTokens, maxOutputTokens: budget.maxOutputTokens }, model);
+    if (chunks.length > 1) {
+      console.log(`✂️ ${group.changes.length} changes for ${name} don't fit one request, generating tests in ${chunks.length} parts`);
+    }
+  } catch (error) {
+    // Only this group fails; the other groups of the run are generated as usual
+    console.error(`Error preparing the requests for ${name}:`, error.message);
+    return { diff, group, parts: [failedResult(error)] };
+  }
+
+  const parts = [];
+  for (const [index, changes] of chunks.entries()) {
+    const part = chunks.length > 1 ? { number: index + 1, count: chunks.length } : null;
+    parts.push(...await generateTests(run, { diff, changes, operation, part, fileStatus, testContextTokens }));
+  }
+  return { diff, group, parts };
+}
+
+/**
+ * Generate tests for some of a spec file's changes in one request. When the answer cannot be
+ * read at all (typically because it was cut off at the output limit), the changes are split
+ * in two and generated again, at most MAX_SPLIT_DEPTH times; past that the request fails.
+ * @param {Object} run - Provider, config, test repository and token budget of this run
+ * @param {Object} request - The spec file diff, the changes to cover, the operation group they belong to
+ *   and which part of it they are (null when they are all of the file's changes), how many times they
+ *   were split already (splitDepth, 0 when omitted), and the prompt context
+ * @returns {Promise<Object[]>} Results ({ aiOutput, tests, rejected, outputErrors, usage, cached, failed, skipped }),
+ *   one per request made; skipped requests were not sent because of the spend limit
+ */
+async function generateTests(run, request) {
+  const { provider, config, testRepoPath, testFiles, testIndex, stepDefinitions, language, model, budget, gherkinContext, responseCache } = run;
+  const { diff, changes, operation, part, fileStatus, testContextTokens, splitDepth = 0 } = request;
+  const label = `${operation ? `${operation} in ` : ''}${diff.file}${part ? ` (part ${part.number}/${part.count})` : ''}`;
+
+  try {
+    // Read content from the test files relevant to these changes
+    const relevantTestFiles = await findRelevantTestFiles(testFiles, { ...diff, changes }, testIndex, testRepoPath);
+    console.log(`🎯 Selected ${relevantTestFiles.length} relevant test files for ${label}`);
+
+    const testFilesContent = await readTestFiles(relevantTestFiles, testRepoPath, { maxTokens: testContextTokens, model });
+    const scopeNote = describeScope(operation, part);
+    const context = `${describeAuthSetup(changes)}${describeMessagingContext(changes)}${gherkinContext}`;
+    const prompt = generationPrompt({ diff, changes, fileStatus, scopeNote, testFilesContent, context, language });
+
+    // Re-runs with the same changes, test context, model and prompts reuse the earlier result
+    const key = responseCache && cacheKey({
+      provider: provider.name,
+      model,
+      maxOutputTokens: budget.maxOutputTokens,
+      repairAttempts: config.syntax_repair_attempts,
+      templates: PROMPT_TEMPLATES,
+      file: diff.file,
+      changes,
+      testFilesContent,
+      context: [fileStatus, scopeNote, context, language.name]
+    });
+    const cached = key && responseCache.get(key);
+    if (cached) {
+      const cachedTests = cached.tests.map(test => ({ ...test, absolutePath: path.join(testRepoPath, test.filePath) }));
+      // Files the cached operations merge into may have changed since, outside the prompt's test context
+      const failures = findInvalidFiles(cachedTests, testRepoPath, stepDefinitions.length > 0 ? stepDefinitions : null);
+      if (failures.length === 0) {
+        console.log(`♻️ Reusing the cached generation for ${label}`);
+        return [{ ...cached, tests: cachedTests, usage: emptyUsage(), cached: true, failed: false, skipped: false }];
+      }
+      console.warn(`⚠️ Not reusing the cached generation for ${label}, ${failures.length} file(s) now have errors: ${failures.map(failure => failure.filePath).join(', ')}`);
+    }
+
+    const messages = [{ role: "user", content: prompt }];
+    const { content: output, usage } = await provider.complete({
+      messages,
+      maxTokens: budget.maxOutputTokens,
+      temperature: 0.2,  // Lower temperature for more consistent code generation
+      responseSchema: RESPONSE_SCHEMA
+    });
+
+    const { summary, tests, errors } = parseGeneratedTests(output, testRepoPath);
+    const unreadable = summary === null && tests.length === 0;
+    if (unreadable && (changes.length === 1 || splitDepth >= MAX_SPLIT_DEPTH)) {
+      console.error(`Could not read the answer for ${label}: ${errors[0]}`);
+      return [{
+        aiOutput: output,
+        tests: [],
+        rejected: [],
+        outputErrors: errors,
+        usage,
+        cached: false,
+        failed: true,
+        skipped: false
+      }];
+    }
+    if (unreadable) {
+      const half = Math.ceil(changes.length / 2);
+      console.warn(`✂️ Could not read the answer for ${label} (${errors[0]}), retrying its ${changes.length} changes in two requests`);
+      const halves = [changes.slice(0, half), changes.slice(half)];
+      const results = [];
+      for (const [index, changesHalf] of halves.entries()) {
+        const subPart = { number: index + 1, count: 2 };
+        results.push(...await generateTests(run, {
+          ...request,
+          changes: changesHalf,
+          splitDepth: splitDepth + 1,
+          part: part ? { number: `${part.number}.${subPart.number}`, count: part.count } : subPart
+        }));
+      }
+      // The unreadable answer was paid for too
+      results[0].usage = addUsage(usage, results[0].usage);
+      return results;
+    }
+    reportOutputErrors(errors, label, tests.length);
+
+    // Only files that parse are committed; the model gets a few chances to fix the others
+    // Undefined steps are only checked when the suite's step definitions were found
+    const repaired = await repairSyntaxErrors(tests, [...messages, { role: "assistant", content: output }], provider, config, testRepoPath, {
+      stepDefinitions: stepDefinitions.length > 0 ? stepDefinitions : null,
+      budget,
+      model
+    });
+
+    const result = {
+      // Keep the raw output when it could not be read, so nothing the model said is lost
+      aiOutput: summary !== null ? summary : output,
+      tests: repaired.tests,
+      rejected: repaired.rejected,
+      outputErrors: [...errors, ...repaired.outputErrors]
+    };
+    // Answers that could not be read (or fixed) are asked for again on the next run
+    if (key && result.outputErrors.length === 0 && result.rejected.length === 0) {
+      // Paths are stored relative to the test repository, which may be cloned elsewhere next time
+      responseCache.set(key, { ...result, tests: result.tests.map(({ absolutePath, ...test }) => test) });
+    }
+    return [{ ...result, usage: addUsage(usage, repaired.usage), cached: false, failed: false, skipped: false }];
+  } catch (error) {
+    // Not a failure: the run stops asking the model and keeps what was generated so far
+    if (isSpendLimitError(error)) {
+      console.warn(`⏸️ Skipping ${label}: ${error.message}`);
+      return [{
+        aiOutput: `Not generated: ${error.message}`,
+        tests: [],
+        rejected: [],
+        outputErrors: [],
+        usage: emptyUsage(),
+        cached: false,
+        failed: false,
+        skipped: true
+      }];
+    }
+    console.error(`Error generating test code for ${label}:`, error.message);
+    return [failedResult(error)];
+  }
+}
+
+function failedResult(error) {
+  return {
+    aiOutput: `Error generating test code: ${error.message}`,
+    tests: [],
+    rejected: [],
+    outputErrors: [error.message],
+    usage: emptyUsage(),
+    cached: false,
+    failed: true,
+    skipped: false
+  };
+}
+
+// One suggestion per spec file: the file operations of all its groups combined into one per test file,
+// with the outcome of each group
+function combineResults(diff, results, { testRepoPath, testFiles, stepDefinitions }) {
+  const parts = results.flatMap(result => result.parts);
+  let tests = combineGeneratedTests(parts.map(part => part.tests));
+  const rejected = parts.flatMap(part => part.rejected);
+
+  if (parts.length > 1) {
+    // Each request's files were checked on their own; check what the combined operations produce
+    const failures = findInvalidFiles(tests, testRepoPath, stepDefinitions.length > 0 ? stepDefinitions : null);
+    if (failures.length > 0) {
+      const failingPaths = failures.map(failure => failure.filePath);
+      console.warn(`🚫 Excluding ${failures.length} file(s) with errors after combining the results for ${diff.file}: ${failingPaths.join(', ')}`);
+      tests = tests.filter(test => !failingPaths.includes(test.filePath));
+      rejected.push(...failures);
+    }
+  }
+
+  return {
+    file: diff.file,
+    changes: diff.changes,
+    aiOutput: parts.map(part => part.aiOutput).join('\n\n'),
+    testFilesAnalyzed: parts.every(part => part.failed || part.skipped) ? 0 : testFiles.length,
+    generatedTests: tests,
+    rejectedTests: rejected,
+    outputErrors: parts.flatMap(part => part.outputErrors),
+    usage: { ...parts.reduce((sum, part) => addUsage(sum, part.usage), emptyUsage()), cached: parts.filter(part => part.cached).length },
+    spendLimitReached: parts.some(part => part.skipped),
+    operations: results.map(({ group, parts: groupParts }) => ({
+      operation: group.label,
+      changes: group.changes.length,
+      status: groupStatus(groupParts),
+      files: [...new Set(groupParts.flatMap(part => part.tests.map(test => test.filePath)))]
+    }))
+  };
+}
+
+// generated, partial (some requests failed or were skipped), rejected (no file passed the checks), no_tests,
+// failed or skipped (stopped by the spend limit)
+function groupStatus(parts) {
+  const generated = parts.some(part => part.tests.length > 0);
+  const failed = parts.some(part => part.failed);
+  const skipped = parts.some(part => part.skipped);
+  if (generated) {
+    return failed || skipped ? 'partial' : 'generated';
+  }
+  if (failed) {
+    return 'failed';
+  }
+  if (skipped) {
+    return 'skipped';
+  }
+  return parts.some(part => part.rejected.length > 0) ? 'rejected' : 'no_tests';
+}
+
+// Tells the model a request covers only some of a spec file's changes
+function describeScope(operation, part) {
+  if (!operation && !part) {
+    return '';
+  }
+  const which = operation ? `the changes to ${operation}` : 'some of the changes in this file';
+  return `\nThese are ${which}${part ? ` (part ${part.number} of ${part.count})` : ''}: the other changes in this file are handled in separate requests, so only cover the changes listed here.\n`;
+}
+
+function generationPrompt({ diff, changes, fileStatus, scopeNote, testFilesContent, context, language }) {
+  return `
+You are an expert software tester. Your task is to generate actual, executable test code based on API changes.
+
+## API Changes Detected in ${diff.file}:
+${fileStatus}${scopeNote}
+${JSON.stringify(changes, null, 2)}
+
+## Existing Test Files Structure:
+
+${testFilesContent}
+${context}
+## Test Language:
+
+Write ${language.label} tests. ${language.conventions}
+
+## Task:
+
+Generate complete, executable test code that:
+
+1. **Tests new functionality** added by the API changes
+2. **Updates existing tests** that are affected by changes
+3. **Follows existing patterns** from the current test suite
+4. **Includes proper assertions** for success and error cases
+5. **Uses the same testing framework** as existing tests
+6. **Includes descriptive test names** and comments
+7. **Rewrites renamed endpoints in place**: for \`renamed_endpoint\` changes, update the existing tests that call the old path (\`from\`) to use the new path instead of creating new tests
+
+For each change, provide:
+- **Complete test functions** (not just snippets)
+- **Proper setup/teardown** if needed
+- **Mock data** and fixtures where appropriate
+- **Error case testing** for new endpoints
+- **Updated assertions** for modified endpoints
+
+Respond with a JSON object only, with:
+- \`summary\`: a short explanation of the test changes
+- \`files\`: one entry per test file, each with
+  - \`path\`: file path relative to the test repository root
+  - \`action\`: \`create\` for a new file, \`update\` or \`modify\` for an existing one
+  - \`description\`: what this change does
+  - \`code\`: the complete test code. For \`update\`/\`modify\`, ${language.updateInstructions}
+
+Focus on generating production-ready test code that can be directly committed.
+`;
+}
+
+// Cached generations are only reused while the prompts that produced them stay the same
+const PROMPT_TEMPLATES = [generationPrompt, describeScope, repairPrompt].map(template => template.toString()).join('\n');
+
+module.exports = {
+  generateGroup,
+  combineResults
+};
@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { featureSteps } = require('./gherkin-steps');
+
+// Bump when the analysis changes, so cached entries from older versions are rebuilt
+const INDEX_VERSION = 1;
+const DEFAULT_CACHE_PATH = '.test-updater-cache/test-index.json';
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Stands in for values only known when the test runs (ids, hosts, base URLs) while a URL is resolved
+const DYNAMIC = '\u0000';
+const QUOTES = '\'"`';
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+// request(app).get('/users'), axios.post(url), client.Get(...), RestAssured when().get("/users/{id}", id)
+const METHOD_CALL_PATTERN = /\.(get|post|put|patch|delete|head|options)\s*\(/gi;
+// fetch(url, { method: 'POST' })
+const FETCH_PATTERN = /\bfetch\s*\(/g;
+// axios({ method, url }), axios.request({ method, url })
+const CONFIG_CALL_PATTERN = /\baxios(?:\.request)?\s*\(\s*(?=\{)/g;
+// http.NewRequest("POST", url, body), requests.request("GET", url), given().request(Method.GET, "/users")
+const EXPLICIT_METHOD_PATTERN = /\b(NewRequestWithContext|NewRequest|request)\s*\(/g;
+// const BASE = '/api/v1', BASE_URL = f"{HOST}/api", static final String USERS = "/users";, base := "..."
+const CONSTANT_PATTERN = /(?:^|[\s;{(])(?:(?:export\s+)?(?:const|let|var|val)\s+|(?:(?:private|public|protected|static|final)\s+)*String\s+)?([A-Za-z_$][\w$]*)\s*(?::\s*[\w.]+\s*)?:?=\s*([fF]?(['"`])(?:\\.|(?!\3)[^\\\n])*\3)/gm;
+
+/**
+ * Index of the HTTP operations each test file calls, from a static analysis of the test repository.
+ *
+ * Calls are found in supertest/axios/fetch/RestAssured/requests/net/http code, with URLs resolved
+ * through string constants and base-URL helpers (`${BASE_URL}/users/${id}` becomes `/users/{}`).
+ * `.feature` files are indexed by the URLs in their step text and, through the step definitions
+ * their steps match, by the calls those definitions make.
+ *
+ * Analysis results are cached per file content in `cachePath`, so unchanged files are not analysed again.
+ * @param {string[]} files - Absolute paths of the test files (and step definition files) to index
+ * @param {string} testRepoPath - Test repository root
+ * @param {Object} [options]
+ * @param {string|false} [options.cachePath] - Cache file, relative to the working directory (default
+ *   `.test-updater-cache/test-index.json`, `false` to not cache)
+ * @param {Object[]} [options.stepDefinitions] - Cucumber step definitions, see utils/gherkin-steps
+ * @returns {Object} Calls ({ method, path, line }) by test file path relative to the repository root;
+ *   `method` is `*` when the test does not say
+ */
+function buildTestIndex(files, testRepoPath, options = {}) {
+  const cacheFile = options.cachePath === false ? null : path.resolve(process.cwd(), options.cachePath || DEFAULT_CACHE_PATH);
+  const cached = readCache(cacheFile);
+  const entries = {};
+  let reused = 0;
+
+  for (const file of files) {
+    const relativePath = path.relative(testRepoPath, file);
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      console.warn(`Could not read test file ${file}:`, error.message);
+      continue;
+    }
+
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+    if (cached[relativePath] && cached[relativePath].hash === hash) {
+      entries[relativePath] = cached[relativePath];
+      reused++;
+    } else {
+      entries[relativePath] = { hash, ...analyzeTestFile(content, file) };
+    }
+  }
+
+  if (cacheFile && reused < Object.keys(entries).length) {
+    writeCache(cacheFile, entries);
+  }
+
+  const index = resolveSteps(entries, options.stepDefinitions || []);
+  const callCount = Object.values(index).reduce((sum, calls) => sum + calls.length, 0);
+  console.log(`🗂️ Indexed ${callCount} HTTP calls in ${Object.keys(index).length} test files${reused > 0 ? ` (${reused} unchanged files from cache)` : ''}`);
+  return index;
+}
+
+/**
+ * Static analysis of one test file
+ * @param {string} content - File content
+ * @param {string} filePath - File path, to tell `.feature` files from code
+ * @returns {{ calls: Object[], steps?: Object[] }} HTTP calls ({ method, path, line }) and, for
+ *   `.feature` files, the steps ({ text, line })
+ */
+function analyzeTestFile(content, filePath) {
+  if (filePath.endsWith('.feature')) {
+    const steps = (featureSteps(content) || []).map(step => ({ text: step.text, line: step.line }));
+    return { calls: steps.flatMap(stepCalls), steps };
+  }
+  return { calls: codeCalls(content) };
+}
+
+/**
+ * Test files that call the given operations, most relevant first: files calling more of the
+ * operations, then files whose calls match the full path rather than only its end (e.g. with a
+ * `/api/v1` base path in front)
+ * @param {Object} index - Test index, see buildTestIndex
+ * @param {Object[]} operations - Operations ({ method, path }) with OpenAPI path templates; `method` may be omitted
+ * @returns {Object[]} Matches ({ file, operations }) where operations are labels like "GET /users/{id}"
+ */
+function findTestsForOperations(index, operations) {
+  const matches = [];
+  for (const [file, calls] of Object.entries(index)) {
+    let score = 0;
+    const matched = [];
+    for (const operation of operations) {
+      const best = Math.max(0, ...calls.map(call => matchCall(call, operation)));
+      if (best > 0) {
+        score += best;
+        matched.push(`${operation.method ? `${operation.method.toUpperCase()} ` : ''}${operation.path}`);
+      }
+    }
+    if (matched.length > 0) {
+      matches.push({ file, operations: matched, score });
+    }
+  }
+  return matches
+    .sort((a, b) => b.operations.length - a.operations.length || b.score - a.score)
+    .map(({ file, operations: matched }) => ({ file, operations: matched }));
+}
+
+// 2 when the call's path is the operation's path, 1 when it only ends with it, 0 when it is another operation
+function matchCall(call, operation) {
+  if (operation.method && call.method !== '*' && call.method !== operation.method.toUpperCase()) {
+    return 0;
+  }
+  const template = operation.path.split('/').filter(Boolean);
+  const segments = call.path.split('/').filter(Boolean);
+  if (segments.length < template.length) {
+    return 0;
+  }
+  const tail = segments.slice(segments.length - template.length);
+  const matches = template.every((part, i) => /^\{.*\}$/.test(part) || part === tail[i]);
+  if (!matches) {
+    return 0;
+  }
+  return segments.length === template.length ? 2 : 1;
+}
+
+function codeCalls(content) {
+  const constants = findStringConstants(content);
+  const lineStarts = [0, ...[...content.matchAll(/\n/g)].map(match => match.index + 1)];
+  const calls = [];
+  const add = (method, expression, index) => {
+    const resolved = expression && resolveUrl(expression, constants);
+    if (resolved) {
+      calls.push({ method, path: resolved, line: lineAt(lineStarts, index) });
+    }
+  };
+
+  for (const match of content.matchAll(METHOD_CALL_PATTERN)) {
+    const [url] = readArguments(content, match.index + match[0].length);
+    add(match[1].toUpperCase(), url, match.index);
+  }
+
+  for (const match of content.matchAll(FETCH_PATTERN)) {
+    const [url, init] = readArguments(content, match.index + match[0].length);
+    add(methodProperty(init) || 'GET', url, match.index);
+  }
+
+  for (const match of content.matchAll(CONFIG_CALL_PATTERN)) {
+    const [config] = readArguments(content, match.index + match[0].length);
+    const url = config.match(/\burl\s*:\s*/);
+    if (url) {
+      const [expression] = readArguments(config, url.index + url[0].length);
+      add(methodProperty(config) || 'GET', expression, match.index);
+    }
+  }
+
+  for (const match of content.matchAll(EXPLICIT_METHOD_PATTERN)) {
+    // NewRequestWithContext takes a context first
+    const args = readArguments(content, match.index + match[0].length).slice(match[1] === 'NewRequestWithContext' ? 1 : 0);
+    const method = args.length > 1 && methodLiteral(args[0]);
+    if (method) {
+      add(method, args[1], match.index);
+    }
+  }
+
+  return uniqueCalls(calls);
+}
+
+// Calls named in step text: When I send a GET request to "/users/42"
+function stepCalls(step) {
+  const url = step.text.match(/["']((?:https?:\/\/[^\s"']*)?\/[^\s"']*)["']|(?:^|\s)((?:https?:\/\/\S*)?\/[\w\-./{}<>:]+)/);
+  const resolved = url && normalizeUrl(url[1] || url[2]);
+  if (!resolved) {
+    return [];
+  }
+  const method = step.text.match(/\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\b/);
+  return [{ method: method ? method[1] : '*', path: resolved, line: step.line }];
+}
+
+// Feature files call what their steps say, or what the step definitions they match call
+function resolveSteps(entries, stepDefinitions) {
+  const definitionsByFile = new Map();
+  for (const definition of stepDefinitions) {
+    definitionsByFile.set(definition.file, [...(definitionsByFile.get(definition.file) || []), definition]);
+  }
+  const definitionCalls = (definition) => {
+    const entry = entries[definition.file];
+    if (!entry) {
+      return [];
+    }
+    // A definition's body runs until the next definition in its file
+    const next = definitionsByFile.get(definition.file)
+      .map(other => other.line)
+      .filter(line => line > definition.line)
+      .sort((a, b) => a - b)[0];
+    return entry.calls.filter(call => call.line >= definition.line && (next === undefined || call.line < next));
+  };
+
+  const index = {};
+  for (const [file, entry] of Object.entries(entries)) {
+    if (!entry.steps) {
+      index[file] = entry.calls;
+      continue;
+    }
+    index[file] = uniqueCalls(entry.steps.flatMap(step => {
+      const own = stepCalls(step);
+      if (own.length > 0) {
+        return own;
+      }
+      const definition = stepDefinitions.find(candidate => candidate.regexp.test(step.text));
+      return definition ? definitionCalls(definition).map(call => ({ ...call, line: step.line })) : [];
+    }));
+  }
+  return index;
+}
+
+/**
+ * Resolve a URL expression from test code to a normalized path
+ * @param {string} expression - Source of the URL argument
+ * @param {Object} constants - String constants of the file, by name
+ * @returns {string|null} Path with `{}` for dynamic segments, null when it is not a URL or path
+ */
+function resolveUrl(expression, constants) {
+  return normalizeUrl(resolveValue(expression, constants, 0));
+}
+
+function resolveValue(expression, constants, depth) {
+  if (depth > 5) {
+    return DYNAMIC;
+  }
+  return splitTopLevel(expression, '+').map(part => resolvePart(part, constants, depth)).join('');
+}
+
+function resolvePart(part, constants, depth) {
+  // Python "%s/users" % base, "{}/users".format(base)
+  const formatted = part.match(/^([fF]?(['"])(?:\\.|(?!\2)[^\\])*\2)\s*(?:%|\.format\s*\()/);
+  if (formatted) {
+    return resolvePart(formatted[1], constants, depth);
+  }
+
+  const literal = part.match(/^[fF]?(['"`])([\s\S]*)\1$/);
+  if (literal) {
+    // ${expr} in JavaScript templates, {expr} in f-strings and RestAssured/OpenAPI-style paths, %s/%d in format strings
+    return literal[2]
+      .replace(/\$?\{([^{}]*)\}/g, (placeholder, name) => constantValue(name.trim(), constants, depth))
+      .replace(/%[sdvq]/g, DYNAMIC)
+      .replace(/\\(.)/g, '$1');
+  }
+
+  if (/^[A-Za-z_$][\w$.]*$/.test(part)) {
+    return constantValue(part, constants, depth);
+  }
+
+  // Base-URL helpers: url('/users'), api.path(`/users/${id}`), fmt.Sprintf("%s/users", base)
+  const call = part.match(/^[A-Za-z_$][\w$.]*\s*\(/);
+  if (call) {
+    const [first] = readArguments(part, call[0].length);
+    const value = first ? resolveValue(first, constants, depth + 1) : '';
+    return /^\//.test(value.replace(new RegExp(`^${DYNAMIC}+`), '')) ? `${DYNAMIC}${value}` : DYNAMIC;
+  }
+
+  return DYNAMIC;
+}
+
+// Value of a constant (this.BASE_URL and Config.BASE_URL are looked up by their last name), otherwise dynamic
+function constantValue(name, constants, depth) {
+  const value = constants[name] !== undefined ? constants[name] : constants[name.split('.').pop()];
+  return value !== undefined ? resolveValue(value, constants, depth + 1) : DYNAMIC;
+}
+
+// Path of a resolved URL: host, base URL variables, query and fragment removed
+function normalizeUrl(url) {
+  if (!url) {
+    return null;
+  }
+  let rest = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+  if (rest.startsWith(DYNAMIC)) {
+    // ${BASE_URL}/users, ${host}:${port}/users
+    rest = rest.slice(rest.indexOf('/') === -1 ? rest.length : rest.indexOf('/'));
+    rest = rest.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+  }
+  if (!rest.startsWith('/') || /\s/.test(rest)) {
+    return null;
+  }
+
+  const segments = rest.split(/[?#]/)[0].split('/').filter(Boolean)
+    .map(segment => (segment.includes(DYNAMIC) || /^(\{.*\}|:\w+|<.*>)$/.test(segment) ? '{}' : segment));
+  return `/${segments.join('/')}`;
+}
+
+function findStringConstants(content) {
+  const constants = {};
+  for (const match of content.matchAll(CONSTANT_PATTERN)) {
+    if (constants[match[1]] === undefined) {
+      constants[match[1]] = match[2];
+    }
+  }
+  return constants;
+}
+
+function methodProperty(source) {
+  const method = source && source.match(/\bmethod\s*:\s*['"`](\w+)['"`]/i);
+  return method && HTTP_METHODS.includes(method[1].toUpperCase()) ? method[1].toUpperCase() : null;
+}
+
+// "GET", http.MethodGet, Method.GET
+function methodLiteral(source) {
+  const method = source.match(/^['"`](\w+)['"`]$|^(?:http\.Method|Method\.)(\w+)$/);
+  const name = method && (method[1] || method[2]).toUpperCase();
+  return HTTP_METHODS.includes(name) ? name : null;
+}
+
+// Arguments of the call whose opening bracket ends before `start`
+function readArguments(text, start) {
+  const args = splitTopLevel(text.slice(start, closingBracket(text, start)), ',');
+  return args.length === 1 && args[0] === '' ? [] : args;
+}
+
+function closingBracket(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (QUOTES.includes(text[i])) {
+      i = skipString(text, i);
+    } else if (OPENING.includes(text[i])) {
+      depth++;
+    } else if (CLOSING.includes(text[i]) && depth-- === 0) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let from = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (QUOTES.includes(text[i])) {
+      i = skipString(text, i);
+    } else if (OPENING.includes(text[i])) {
+      depth++;
+    } else if (CLOSING.includes(text[i])) {
+      depth--;
+    } else if (text[i] === separator && depth === 0) {
+      parts.push(text.slice(from, i).trim());
+      from = i + 1;
+    }
+  }
+  parts.push(text.slice(from).trim());
+  return parts;
+}
+
+// Index of the quote closing the string that starts at `start`; quotes in comments end at the line end
+function skipString(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    } else if (quote === '`' && text.startsWith('${', i)) {
+      i = closingBracket(text, i + 2);
+    } else if (text[i] === '\n' && quote !== '`') {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+function lineAt(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= index) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low + 1;
+}
+
+function uniqueCalls(calls) {
+  const seen = new Set();
+  return calls
+    .sort((a, b) => a.line - b.line)
+    .filter(call => {
+      const key = `${call.method} ${call.path} ${call.line}`;
+      return !seen.has(key) && seen.add(key);
+    });
+}
+
+function readCache(cacheFile) {
+  if (!cacheFile || !fs.existsSync(cacheFile)) {
+    return {};
+  }
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    return cache.version === INDEX_VERSION ? cache.files : {};
+  } catch (error) {
+    console.warn(`Could not read the test index cache ${cacheFile}, rebuilding it:`, error.message);
+    return {};
+  }
+}
+
+function writeCache(cacheFile, entries) {
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify({ version: INDEX_VERSION, files: entries }));
+  } catch (error) {
+    console.warn(`Could not write the test index cache ${cacheFile}:`, error.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_PATH,
+  buildTestIndex,
+  analyzeTestFile,
+  findTestsForOperations,
+  resolveUrl
+};
@@ -0,0 +1,453 @@
+const path = require('path');
+const { checkSyntax } = require('./syntax-check');
+const { parseGherkin } = require('./gherkin-steps');
+const { profileForFile } = require('./language-profile');
+
+const SCRIPT_KINDS = {
+  '.js': 'JS', '.mjs': 'JS', '.cjs': 'JS', '.jsx': 'JSX',
+  '.ts': 'TS', '.mts': 'TS', '.cts': 'TS', '.tsx': 'TSX'
+};
+const SUITE_FUNCTIONS = ['describe', 'context', 'suite'];
+const TEST_FUNCTIONS = ['it', 'test', 'specify'];
+
+/**
+ * Merge generated test code into an existing test file at the syntax-tree level.
+ *
+ * JavaScript/TypeScript:
+ * - `describe` blocks with the same name as an existing one are merged into it, recursively
+ * - `it`/`test` cases with the same name as an existing one replace it
+ * - other new test cases, suites and statements go at the end of the matching block
+ * - imports and requires of modules that are already imported are dropped, with any missing
+ *   named bindings added to the existing import (or a second one when it can't take them)
+ *
+ * Gherkin (`.feature`):
+ * - Scenarios and Scenario Outlines with the same name as an existing one replace it
+ * - other new scenarios go at the end of the feature, or of the `Rule` with the same name
+ * - a Background is only added when the feature has none
+ *
+ * Other languages are merged by their language profile (see profiles/).
+ * Everything outside the edited ranges is preserved byte for byte.
+ * @param {string} existingContent - Current content of the test file
+ * @param {string} code - Generated code to merge
+ * @param {string} filePath - Test file path, used to pick the parser
+ * @returns {string|null} Merged content, or null when the file type is not supported or the existing file does not parse
+ */
+function mergeTestCode(existingContent, code, filePath) {
+  if (path.extname(filePath || '').toLowerCase() === '.feature') {
+    return mergeFeature(existingContent, code);
+  }
+  const profile = profileForFile(filePath);
+  if (!profile || checkSyntax(filePath, existingContent).length > 0) {
+    return null;
+  }
+  return profile.merge(existingContent, code, filePath);
+}
+
+/**
+ * Content of a test file after applying a generated change
+ * @param {Object} testFile - Generated test file ({ action, description, code })
+ * @param {string|null} existingContent - Current content, or null if the file does not exist
+ * @returns {string|null} New content, or null for an unknown action
+ */
+function renderTestChange(testFile, existingContent) {
+  const { action, description, code, filePath } = testFile;
+
+  if (action === 'create') {
+    return code;
+  }
+  if (action === 'update' || action === 'modify') {
+    // Tests are merged into the existing file by name (see mergeTestCode)
+    const merged = existingContent !== null ? mergeTestCode(existingContent, code, filePath) : null;
+    if (merged !== null) {
+      return merged;
+    }
+    const extension = path.extname(filePath || '').toLowerCase();
+    if (existingContent !== null && extension !== '.json') {
+      // Other files (or ones that don't parse): append new tests, marked with a comment in the file's syntax
+      const profile = profileForFile(filePath);
+      const comment = profile ? profile.commentPrefix : ['.feature', '.rb', '.yaml', '.yml'].includes(extension) ? '#' : '//';
+      return `${existingContent}\n\n${comment} === AI-Generated Test Updates ===\n${comment} ${description}\n\n${code}`;
+    }
+    // File doesn't exist (or is JSON, which can't be appended to): use the generated code as is
+    return code;
+  }
+  return null;
+}
+
+/**
+ * JavaScript/TypeScript merge, used by the javascript profile
+ * @param {string} existingContent - Current content of the test file
+ * @param {string} code - Generated code to merge
+ * @param {string} filePath - Test file path
+ * @returns {string|null} Merged content, or null when the generated code does not parse
+ */
+function mergeScript(existingContent, code, filePath) {
+  const extension = path.extname(filePath || '').toLowerCase();
+  if (!SCRIPT_KINDS[extension] || checkSyntax(filePath, code).length > 0) {
+    return null;
+  }
+
+  // Loaded on demand, like in syntax-check: only needed when tests are generated
+  const ts = require('typescript');
+  const parse = (text) => ts.createSourceFile(filePath, text, ts.ScriptTarget.Latest, true, ts.ScriptKind[SCRIPT_KINDS[extension]]);
+  const existing = parse(existingContent);
+  const generated = parse(code);
+
+  const context = { ts, existing, generated, edits: [] };
+  const body = generated.statements.filter(statement => !mergeImport(statement, context));
+  mergeStatements(existing.statements, body, topLevelContainer(existing), context);
+
+  return applyEdits(existingContent, context.edits);
+}
+
+// Merge a generated import/require into the existing ones; returns false when it is not an import
+function mergeImport(statement, context) {
+  const { ts, existing, generated, edits } = context;
+  const moduleName = importedModule(statement, ts);
+  if (moduleName === null) {
+    return false;
+  }
+
+  const imports = existing.statements.filter(s => importedModule(s, ts) !== null);
+  const sameModule = imports.filter(s => importedModule(s, ts) === moduleName);
+  if (sameModule.length === 0) {
+    // New module: after the last existing import, or at the top of the file
+    const anchor = imports[imports.length - 1];
+    const position = anchor ? anchor.end : existing.statements.length > 0 ? existing.statements[0].getStart(existing) : 0;
+    const text = statement.getText(generated);
+    edits.push({ start: position, end: position, text: anchor ? `\n${text}` : `${text}\n` });
+    return true;
+  }
+
+  // Already imported: add the named bindings the existing import lacks
+  const newBindings = namedBindings(statement, ts);
+  if (!newBindings) {
+    return true;
+  }
+  const existingBindings = sameModule.map(s => namedBindings(s, ts)).find(Boolean);
+  const names = existingBindings ? existingBindings.elements.map(element => element.getText(existing)) : [];
+  const missing = newBindings.elements.map(element => element.getText(generated)).filter(name => !names.includes(name));
+  if (missing.length === 0) {
+    return true;
+  }
+
+  if (existingBindings) {
+    const last = existingBindings.elements[existingBindings.elements.length - 1];
+    const position = last ? last.end : existingBindings.getStart(existing) + 1;
+    edits.push({ start: position, end: position, text: `${last ? ', ' : ' '}${missing.join(', ')}` });
+    return true;
+  }
+
+  // `import api from 'x'` takes them after its default binding
+  const defaultOnly = sameModule.find(s => ts.isImportDeclaration(s) && s.importClause && s.importClause.name &&
+    !s.importClause.namedBindings && !s.importClause.isTypeOnly);
+  if (defaultOnly) {
+    const position = defaultOnly.importClause.name.end;
+    edits.push({ start: position, end: position, text: `, { ${missing.join(', ')} }` });
+    return true;
+  }
+
+  // Namespace, side-effect and plain require imports can't take them: import them in a second statement
+  const anchor = sameModule[sameModule.length - 1];
+  edits.push({ start: anchor.end, end: anchor.end, text: `\n${bindingsImport(anchor, missing, context)}` });
+  return true;
+}
+
+// `import { a, b } from 'x'` or `const { a, b } = require('x')`, in the form and quotes of an existing import of x
+function bindingsImport(anchor, names, { ts, existing }) {
+  const semicolon = anchor.getText(existing).trimEnd().endsWith(';') ? ';' : '';
+  if (ts.isImportDeclaration(anchor)) {
+    const bindings = names.map(name => name.replace(/^(\w+)\s*:\s*(\w+)$/, '$1 as $2'));
+    return `import { ${bindings.join(', ')} } from ${anchor.moduleSpecifier.getText(existing)}${semicolon}`;
+  }
+  const bindings = names.map(name => name.replace(/^(\w+)\s+as\s+(\w+)$/, '$1: $2'));
+  const call = anchor.declarationList.declarations[0].initializer;
+  return `const { ${bindings.join(', ')} } = ${call.getText(existing)}${semicolon}`;
+}
+
+// Module name of an `import ... from 'x'` or `const ... = require('x')` statement, or null
+function importedModule(statement, ts) {
+  if (ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)) {
+    return statement.moduleSpecifier.text;
+  }
+  if (ts.isVariableStatement(statement) && statement.declarationList.declarations.length === 1) {
+    const initializer = statement.declarationList.declarations[0].initializer;
+    if (initializer && ts.isCallExpression(initializer) && ts.isIdentifier(initializer.expression) &&
+        initializer.expression.text === 'require' && initializer.arguments.length === 1 &&
+        ts.isStringLiteralLike(initializer.arguments[0])) {
+      return initializer.arguments[0].text;
+    }
+  }
+  return null;
+}
+
+// `{ a, b }` of an import or destructured require, or null
+function namedBindings(statement, ts) {
+  if (ts.isImportDeclaration(statement)) {
+    const bindings = statement.importClause && statement.importClause.namedBindings;
+    return bindings && ts.isNamedImports(bindings) ? bindings : null;
+  }
+  const name = statement.declarationList.declarations[0].name;
+  return ts.isObjectBindingPattern(name) ? name : null;
+}
+
+function mergeStatements(existingStatements, newStatements, container, context) {
+  const { existing, generated } = context;
+  const appended = [];
+
+  for (const statement of newStatements) {
+    const block = testBlock(statement, context.ts);
+    const match = block && existingStatements.find(s => {
+      const candidate = testBlock(s, context.ts);
+      return candidate && candidate.kind === block.kind && candidate.name === block.name;
+    });
+
+    if (match && block.kind === 'suite' && block.body && testBlock(match, context.ts).body) {
+      const target = testBlock(match, context.ts).body;
+      mergeStatements(target.statements, block.body.statements, blockContainer(target, existing), context);
+    } else if (match) {
+      // Changed test: replace it where it is, keeping its indentation
+      const indent = lineIndent(existing.text, match.getStart(existing));
+      context.edits.push({ start: match.getStart(existing), end: match.end, text: reindent(statement, generated, indent).trimStart() });
+    } else if (!existingStatements.some(s => s.getText(existing) === statement.getText(generated))) {
+      appended.push(statement);
+    }
+  }
+
+  if (appended.length > 0) {
+    const text = appended.map(statement => reindent(statement, generated, container.indent)).join('\n\n');
+    context.edits.push({ start: container.position, end: container.position, text: container.wrap(text) });
+  }
+}
+
+// Name and kind of a `describe('name', fn)` / `it('name', fn)` statement, or null
+function testBlock(statement, ts) {
+  if (!ts.isExpressionStatement(statement) || !ts.isCallExpression(statement.expression)) {
+    return null;
+  }
+  const call = statement.expression;
+  // describe.only / it.skip count as the same block
+  const callee = ts.isPropertyAccessExpression(call.expression) ? call.expression.expression : call.expression;
+  if (!ts.isIdentifier(callee) || call.arguments.length < 2 || !ts.isStringLiteralLike(call.arguments[0])) {
+    return null;
+  }
+
+  const kind = SUITE_FUNCTIONS.includes(callee.text) ? 'suite' : TEST_FUNCTIONS.includes(callee.text) ? 'test' : null;
+  if (!kind) {
+    return null;
+  }
+  const callback = call.arguments[call.arguments.length - 1];
+  const body = (ts.isFunctionExpression(callback) || ts.isArrowFunction(callback)) && ts.isBlock(callback.body) ? callback.body : null;
+  return { kind, name: call.arguments[0].text, body };
+}
+
+// Where new statements go at the end of the file
+function topLevelContainer(sourceFile) {
+  const last = sourceFile.statements[sourceFile.statements.length - 1];
+  return {
+    position: last ? last.end : 0,
+    indent: '',
+    wrap: text => (last ? `\n\n${text}` : `${text}\n`)
+  };
+}
+
+// Where new statements go at the end of a describe block
+function blockContainer(block, sourceFile) {
+  const last = block.statements[block.statements.length - 1];
+  if (last) {
+    const indent = lineIndent(sourceFile.text, last.getStart(sourceFile));
+    return { position: last.end, indent, wrap: text => `\n\n${text}` };
+  }
+  const closeIndent = lineIndent(sourceFile.text, block.end - 1);
+  return {
+    position: block.end - 1,
+    indent: `${closeIndent}  `,
+    wrap: text => `\n${text}\n${closeIndent}`
+  };
+}
+
+// Whitespace at the start of the line containing position
+function lineIndent(text, position) {
+  const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Statement text with its lines moved from their own indentation to the given one
+function reindent(statement, sourceFile, indent) {
+  const own = lineIndent(sourceFile.text, statement.getStart(sourceFile));
+  return statement.getText(sourceFile).split('\n').map((line, index) => {
+    if (index === 0) {
+      return indent + line;
+    }
+    return line.startsWith(own) ? indent + line.slice(own.length) : line;
+  }).join('\n');
+}
+
+function mergeFeature(existingContent, code) {
+  let existing;
+  let generated;
+  let generatedText = code;
+  try {
+    existing = parseGherkin(existingContent);
+  } catch (error) {
+    return null;
+  }
+  if (!existing.feature) {
+    return null;
+  }
+  try {
+    generated = parseGherkin(generatedText);
+  } catch (error) {
+    // Scenarios without a Feature header belong to the existing feature
+    if (/^\s*Feature:/m.test(code)) {
+      return null;
+    }
+    generatedText = `Feature: ${existing.feature.name}\n${code}`;
+    try {
+      generated = parseGherkin(generatedText);
+    } catch (wrappedError) {
+      return null;
+    }
+  }
+  if (!generated.feature) {
+    return null;
+  }
+
+  const context = { target: featureLines(existingContent, existing), source: featureLines(generatedText, generated), edits: [] };
+  mergeFeatureChildren(existing.feature, generated.feature, context);
+  return applyEdits(existingContent, context.edits);
+}
+
+function mergeFeatureChildren(existingContainer, generatedContainer, context) {
+  const { target, source, edits } = context;
+  const appended = [];
+
+  for (const child of generatedContainer.children) {
+    const kind = childKind(child);
+    const node = child[kind];
+    const match = existingContainer.children.find(c => c[kind] && (kind === 'background' || c[kind].name === node.name));
+
+    if (match && kind === 'rule') {
+      mergeFeatureChildren(match.rule, node, context);
+    } else if (match && kind === 'background') {
+      // The existing Background stays; steps the scenarios need must be in them
+      continue;
+    } else if (match) {
+      // Changed scenario: replace it where it is, keeping its indentation (and its tags, unless new ones are given)
+      const keepTags = !node.tags || node.tags.length === 0;
+      const range = blockRange(target, match[kind], keepTags);
+      const text = shiftLines(blockText(source, node), lineIndentAt(source, node), lineIndentAt(target, match[kind]));
+      edits.push({ start: range.start, end: range.end, text: text.trimStart() });
+    } else if (kind === 'background' && existingContainer.children.length > 0) {
+      const first = existingContainer.children[0];
+      const range = blockRange(target, first[childKind(first)]);
+      const text = shiftLines(blockText(source, node), lineIndentAt(source, node), lineIndentAt(target, first[childKind(first)]));
+      edits.push({ start: range.start, end: range.start, text: `${text}\n\n` });
+    } else {
+      appended.push(node);
+    }
+  }
+
+  // Scenarios after a Rule would belong to it, so they go before the first Rule
+  const scenarios = appended.filter(node => !node.children);
+  const rules = appended.filter(node => node.children);
+  const children = existingContainer.children;
+  const firstRule = children.findIndex(child => child.rule);
+  appendBlocks(scenarios, firstRule === -1 ? children : children.slice(0, firstRule), existingContainer, context);
+  appendBlocks(rules, children, existingContainer, context);
+}
+
+// Insert new blocks after the last of the given siblings (or at the end of the container when there are none)
+function appendBlocks(nodes, siblings, container, context) {
+  if (nodes.length === 0) {
+    return;
+  }
+  const { target, source, edits } = context;
+  const last = siblings[siblings.length - 1];
+  const indent = last ? lineIndentAt(target, last[childKind(last)]) : `${lineIndentAt(target, container)}  `;
+  const text = nodes.map(node => shiftLines(blockText(source, node), lineIndentAt(source, node), indent)).join('\n\n');
+
+  if (!last && container.children.length > 0) {
+    // Only Rules so far: the new scenarios go right before the first one
+    const first = container.children[0];
+    const position = blockRange(target, first[childKind(first)]).start;
+    edits.push({ start: position, end: position, text: `${text}\n\n` });
+    return;
+  }
+  const position = last ? containerEnd(target, last) : blockRange(target, container).end;
+  edits.push({ start: position, end: position, text: `\n\n${text}` });
+}
+
+function childKind(child) {
+  return child.rule ? 'rule' : child.background ? 'background' : 'scenario';
+}
+
+// Lines of a feature file with the first line of every block (feature, rule, background, scenario)
+function featureLines(text, document) {
+  const lines = text.split('\n');
+  const offsets = [];
+  lines.reduce((offset, line) => {
+    offsets.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+
+  const starts = [];
+  const visit = (node) => {
+    starts.push(blockStartLine(node));
+    (node.children || []).forEach(child => visit(child[childKind(child)]));
+  };
+  visit(document.feature);
+
+  return { text, lines, offsets, starts: starts.sort((a, b) => a - b) };
+}
+
+// 0-based first line of a block, including its tags
+function blockStartLine(node) {
+  return Math.min(node.location.line, ...(node.tags || []).map(tag => tag.location.line)) - 1;
+}
+
+// Character range of a block, from its tags (or keyword) to its last non-blank line before the next block
+function blockRange(file, node, fromKeyword = false) {
+  const startLine = fromKeyword ? node.location.line - 1 : blockStartLine(node);
+  let endLine = file.starts.find(start => start > startLine);
+  endLine = endLine === undefined ? file.lines.length : endLine;
+  while (endLine > startLine + 1 && file.lines[endLine - 1].trim() === '') {
+    endLine--;
+  }
+  return {
+    start: file.offsets[startLine] + (fromKeyword ? node.location.column - 1 : 0),
+    end: file.offsets[endLine - 1] + file.lines[endLine - 1].length
+  };
+}
+
+// End of a child block, including everything nested in it
+function containerEnd(file, child) {
+  const node = child[childKind(child)];
+  const children = node.children || [];
+  return children.length > 0 ? containerEnd(file, children[children.length - 1]) : blockRange(file, node).end;
+}
+
+function blockText(file, node) {
+  const range = blockRange(file, node);
+  return file.text.slice(range.start, range.end);
+}
+
+function lineIndentAt(file, node) {
+  return file.lines[node.location.line - 1].match(/^[ \t]*/)[0];
+}
+
+// Lines moved from one indentation to another
+function shiftLines(text, from, to) {
+  return text.split('\n').map(line => (line.startsWith(from) ? to + line.slice(from.length) : line)).join('\n');
+}
+
+function applyEdits(text, edits) {
+  // Edits never overlap; applying them from the end keeps the earlier positions valid.
+  // Insertions at the same position end up in the order they were made.
+  return edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
+
+module.exports = { mergeTestCode, mergeScript, renderTestChange };
@@ -0,0 +1,157 @@
+// Context window and output limit per model family; the first matching prefix wins
+const MODEL_LIMITS = [
+  ['gpt-4.1', { contextWindow: 1047576, outputLimit: 32768 }],
+  ['gpt-4o', { contextWindow: 128000, outputLimit: 16384 }],
+  ['gpt-4-turbo', { contextWindow: 128000, outputLimit: 4096 }],
+  ['gpt-4-32k', { contextWindow: 32768, outputLimit: 4096 }],
+  ['gpt-4', { contextWindow: 8192, outputLimit: 4096 }],
+  ['gpt-3.5-turbo', { contextWindow: 16385, outputLimit: 4096 }],
+  ['o1', { contextWindow: 200000, outputLimit: 100000 }],
+  ['o3', { contextWindow: 200000, outputLimit: 100000 }],
+  ['o4', { contextWindow: 200000, outputLimit: 100000 }]
+];
+// Local and unknown models: assume a modest context, override with `token_budget`
+const DEFAULT_LIMITS = { contextWindow: 16384, outputLimit: 4096 };
+const MAX_DEFAULT_OUTPUT_TOKENS = 16384;
+// Rough size of the tests generated for one change, to keep answers from being cut off
+const OUTPUT_TOKENS_PER_CHANGE = 400;
+const FALLBACK_ENCODING = 'o200k_base';
+
+const encoders = new Map();
+
+/**
+ * Token limits for a generation call: `config.token_budget` (`context_window`, `max_output_tokens`)
+ * when set, otherwise the known limits of the model.
+ * @param {Object} config - Configuration object
+ * @param {string} model - Model name
+ * @returns {{ contextWindow: number, maxOutputTokens: number }} Context window and the output tokens
+ *   to request (at most a quarter of the window by default)
+ */
+function resolveTokenBudget(config, model) {
+  const budget = config.token_budget || {};
+  const [, known] = MODEL_LIMITS.find(([prefix]) => (model || '').startsWith(prefix)) || [null, DEFAULT_LIMITS];
+  const contextWindow = budget.context_window || known.contextWindow;
+  const maxOutputTokens = budget.max_output_tokens
+    || Math.min(known.outputLimit, MAX_DEFAULT_OUTPUT_TOKENS, Math.floor(contextWindow / 4));
+  return { contextWindow, maxOutputTokens };
+}
+
+/**
+ * Check the `token_budget` setting
+ * @param {Object} config - Configuration object
+ * @returns {string[]} Error messages, empty when the budget is usable
+ */
+function validateTokenBudget(config) {
+  const budget = config.token_budget;
+  if (budget === undefined) {
+    return [];
+  }
+  const errors = ['context_window', 'max_output_tokens']
+    .filter(key => budget[key] !== undefined && !(Number.isInteger(budget[key]) && budget[key] > 0))
+    .map(key => `token_budget.${key} must be a positive integer`);
+  if (errors.length === 0 && budget.context_window && budget.max_output_tokens && budget.max_output_tokens >= budget.context_window) {
+    errors.push('token_budget.max_output_tokens must be smaller than token_budget.context_window');
+  }
+  return errors;
+}
+
+/**
+ * Count tokens with the model's tokenizer (OpenAI's o200k_base for models tiktoken does not know)
+ * @param {string} text - Text to count
+ * @param {string} model - Model name
+ * @returns {number} Token count
+ */
+function countTokens(text, model) {
+  return encoderFor(model).encode(text).length;
+}
+
+/**
+ * Shorten text to at most `maxTokens` tokens, cutting at a line boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token limit
+ * @param {string} model - Model name
+ * @returns {string} The text, or its longest prefix of whole lines that fits
+ */
+function truncateToTokens(text, maxTokens, model) {
+  const tokens = encoderFor(model).encode(text);
+  if (tokens.length <= maxTokens) {
+    return text;
+  }
+  const prefix = encoderFor(model).decode(tokens.slice(0, maxTokens));
+  const lastLine = prefix.lastIndexOf('\n');
+  return lastLine === -1 ? '' : prefix.slice(0, lastLine);
+}
+
+/**
+ * Split a change list into chunks that each fit one generation call. Changes to the same
+ * operation (same `path` and `method`) stay together unless they do not fit on their own.
+ * @param {Object[]} changes - Detected changes
+ * @param {Object} limits
+ * @param {number} limits.maxTokens - Token budget for the changes JSON in one prompt
+ * @param {number} limits.maxOutputTokens - Output tokens per call, which limits how many changes one answer can cover
+ * @param {string} model - Model name
+ * @returns {Object[][]} Chunks of changes, in their original order
+ */
+function chunkChanges(changes, { maxTokens, maxOutputTokens }, model) {
+  const maxChanges = Math.max(1, Math.floor(maxOutputTokens / OUTPUT_TOKENS_PER_CHANGE));
+  const groups = new Map();
+  for (const change of changes) {
+    const key = `${change.method || ''} ${change.path || ''}`;
+    groups.set(key, [...(groups.get(key) || []), change]);
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  const add = (items, tokens) => {
+    if (current.length > 0 && (currentTokens + tokens > maxTokens || current.length + items.length > maxChanges)) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(...items);
+    currentTokens += tokens;
+  };
+
+  for (const group of groups.values()) {
+    const tokens = group.map(change => countTokens(JSON.stringify([change], null, 2), model));
+    const groupTokens = tokens.reduce((sum, count) => sum + count, 0);
+    if (groupTokens <= maxTokens && group.length <= maxChanges) {
+      add(group, groupTokens);
+      continue;
+    }
+    group.forEach((change, i) => {
+      if (tokens[i] > maxTokens) {
+        console.warn(`⚠️ A ${change.type} change${change.path ? ` of ${change.path}` : ''} is larger than the prompt budget on its own (${tokens[i]} > ${maxTokens} tokens)`);
+      }
+      add([change], tokens[i]);
+    });
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+function encoderFor(model) {
+  // Loaded on demand, with only the ranks of the encoding that is used
+  const { Tiktoken, getEncodingNameForModel } = require('js-tiktoken/lite');
+  let encoding;
+  try {
+    encoding = getEncodingNameForModel(model);
+  } catch (error) {
+    encoding = FALLBACK_ENCODING;
+  }
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, new Tiktoken(require(`js-tiktoken/ranks/${encoding}`)));
+  }
+  return encoders.get(encoding);
+}
+
+module.exports = {
+  resolveTokenBudget,
+  validateTokenBudget,
+  countTokens,
+  truncateToTokens,
+  chunkChanges
+};